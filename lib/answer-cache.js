@@ -0,0 +1,246 @@
+// Answer cache keyed by question content. Question banks are reused across sections and terms,
+// so a suggestion is stored under a hash of the normalized text, type and options and reused
+// for any later copy of the same question, even with its options shuffled. The key also names the
+// provider and model that answered, and the course note passages they were given, so switching
+// models or notes never replays another setup's answers.
+//
+// Letters only mean something for one option order, so choices are stored as the option texts
+// they point at and translated back to letters for the copy being answered.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CHOICE_TYPES } from './answer-format.js';
+import { optionLetter } from './question-types.js';
+import { writeFileAtomic } from './atomic-write.js';
+
+export const DEFAULT_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+export function normalizeText(text) {
+    return String(text ?? '').normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// What decides the answer, with option lists sorted so shuffled copies hash the same.
+// Blanks stay in stem order since their numbers are positions in the text.
+export function questionContent(question) {
+    const texts = list => (list || []).map(item => normalizeText(item.text)).sort();
+
+    const content = {
+        type: question.type,
+        text: normalizeText(question.text),
+        options: texts(question.options)
+    };
+    if (question.matching) {
+        content.matching = { left: texts(question.matching.left), right: texts(question.matching.right) };
+    }
+    if (question.blanks) {
+        content.blanks = question.blanks.map(blank => texts(blank.options));
+    }
+    return content;
+}
+
+// `passageIds` are the course note passages put in the prompt, if any
+export function cacheKey(question, { provider = null, model = null, passageIds = [] } = {}) {
+    const content = { ...questionContent(question), provider, model };
+    if (passageIds.length) {
+        content.passages = [...passageIds].sort();
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+const optionText = (options, letter) => {
+    const option = options[String(letter).charCodeAt(0) - 65];
+    return option ? normalizeText(option.text) : null;
+};
+
+const letterFor = (options, text) => {
+    const index = options.findIndex(option => normalizeText(option.text) === text);
+    return index === -1 ? null : optionLetter(index);
+};
+
+function choiceToContent(question, choice) {
+    if (CHOICE_TYPES.includes(question.type)) {
+        return (Array.isArray(choice) ? choice : [choice]).map(letter => optionText(question.options, letter));
+    }
+    if (question.type === 'matching') {
+        return Object.fromEntries(Object.entries(choice).map(([key, letter]) => [
+            normalizeText(question.matching.left[Number(key) - 1]?.text),
+            optionText(question.matching.right, letter)
+        ]));
+    }
+    if (question.type === 'multiple_dropdowns') {
+        return Object.fromEntries(Object.entries(choice).map(([key, letter]) => [
+            key,
+            optionText(question.blanks[Number(key) - 1]?.options || [], letter)
+        ]));
+    }
+    return choice;
+}
+
+// Back to letters for this copy's option order; null if an option is not there any more
+function choiceFromContent(question, stored) {
+    if (CHOICE_TYPES.includes(question.type)) {
+        const letters = stored.map(text => letterFor(question.options, text));
+        if (letters.includes(null) || !letters.length) return null;
+        return question.type === 'multiple_answers' ? letters : letters[0];
+    }
+
+    let entries;
+    if (question.type === 'matching') {
+        entries = question.matching.left
+            .map((item, idx) => [String(idx + 1), stored[normalizeText(item.text)]])
+            .filter(([, text]) => text !== undefined)
+            .map(([key, text]) => [key, letterFor(question.matching.right, text)]);
+    } else if (question.type === 'multiple_dropdowns') {
+        entries = Object.entries(stored).map(([key, text]) => [key, letterFor(question.blanks[Number(key) - 1]?.options || [], text)]);
+    } else {
+        return stored;
+    }
+
+    if (!entries.length || entries.some(([, letter]) => letter === null)) return null;
+    return Object.fromEntries(entries);
+}
+
+export class AnswerCache {
+    constructor({ filePath, ttlMs = DEFAULT_CACHE_TTL_MS, now = Date.now }) {
+        this.filePath = filePath;
+        this.ttlMs = ttlMs;
+        this.now = now;
+        this.entries = null;
+        this.stats = { hits: 0, misses: 0 };
+        // Hit counts and expired entries dropped on lookup, not yet written out
+        this.dirty = false;
+    }
+
+    static fromEnv(env = process.env) {
+        const ttlHours = Number(env.ANSWER_CACHE_TTL_HOURS);
+        return new AnswerCache({
+            filePath: env.ANSWER_CACHE_PATH || path.join(process.cwd(), 'data', 'answer-cache.json'),
+            ttlMs: ttlHours > 0 ? ttlHours * 60 * 60 * 1000 : DEFAULT_CACHE_TTL_MS
+        });
+    }
+
+    // Loaded on first use so the server starts without touching the file
+    load() {
+        if (!this.entries) {
+            this.entries = fs.existsSync(this.filePath)
+                ? JSON.parse(fs.readFileSync(this.filePath, 'utf-8')).entries || {}
+                : {};
+        }
+        return this.entries;
+    }
+
+    save() {
+        writeFileAtomic(this.filePath, JSON.stringify({ version: 1, entries: this.entries }));
+        this.dirty = false;
+    }
+
+    // Write out what lookups changed; every other change is saved as it happens
+    flush() {
+        if (this.dirty) this.save();
+    }
+
+    isExpired(entry) {
+        return this.now() - Date.parse(entry.createdAt) > this.ttlMs;
+    }
+
+    // The stored suggestion in this question's option order, or null on a miss.
+    // The provider, model and course note passages must match the ones it was stored with.
+    get(question, { provider, model, passageIds } = {}) {
+        const entries = this.load();
+        const key = cacheKey(question, { provider, model, passageIds });
+        const entry = entries[key];
+
+        if (entry && this.isExpired(entry)) {
+            delete entries[key];
+            this.dirty = true;
+        }
+
+        const choice = entries[key] ? choiceFromContent(question, entries[key].choice) : null;
+        if (choice === null) {
+            this.stats.misses++;
+            return null;
+        }
+
+        this.stats.hits++;
+        entries[key].hits = (entries[key].hits || 0) + 1;
+        this.dirty = true;
+
+        return {
+            choice,
+            explanation: entries[key].explanation,
+            confidence: entries[key].confidence,
+            keyConcepts: entries[key].keyConcepts || [],
+            ...(entries[key].sources ? { sources: entries[key].sources } : {}),
+            cached: true
+        };
+    }
+
+    set(question, suggestion, { provider, model, passageIds } = {}) {
+        const key = cacheKey(question, { provider, model, passageIds });
+        this.load()[key] = {
+            type: question.type,
+            text: String(question.text ?? '').slice(0, 300),
+            choice: choiceToContent(question, suggestion.choice),
+            explanation: suggestion.explanation,
+            confidence: suggestion.confidence,
+            keyConcepts: suggestion.keyConcepts,
+            sources: suggestion.sources,
+            provider,
+            model,
+            createdAt: new Date(this.now()).toISOString(),
+            hits: 0
+        };
+        this.save();
+        return key;
+    }
+
+    delete(key) {
+        const entries = this.load();
+        if (!entries[key]) return false;
+        delete entries[key];
+        this.save();
+        return true;
+    }
+
+    clear() {
+        const removed = Object.keys(this.load()).length;
+        this.entries = {};
+        this.save();
+        return removed;
+    }
+
+    // Drop expired entries, returns how many went
+    prune() {
+        const entries = this.load();
+        const expired = Object.keys(entries).filter(key => this.isExpired(entries[key]));
+        expired.forEach(key => delete entries[key]);
+        if (expired.length) this.save();
+        return expired.length;
+    }
+
+    // Newest first, without the stored answers
+    list({ limit = 100 } = {}) {
+        return Object.entries(this.load())
+            .map(([key, entry]) => ({
+                key,
+                type: entry.type,
+                text: entry.text,
+                provider: entry.provider,
+                model: entry.model,
+                createdAt: entry.createdAt,
+                expiresAt: new Date(Date.parse(entry.createdAt) + this.ttlMs).toISOString(),
+                hits: entry.hits || 0
+            }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+
+    summary() {
+        return {
+            entries: Object.keys(this.load()).length,
+            ttlMs: this.ttlMs,
+            stats: { ...this.stats }
+        };
+    }
+}
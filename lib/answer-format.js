@@ -0,0 +1,264 @@
+// Structured answer format shared by quiz and study mode.
+// The model replies with JSON: { choice, explanation, confidence, keyConcepts }, plus
+// { sources } citing the numbered course material when the prompt included any
+
+import { KEYED_TYPES, NUMERIC_TYPES, answerKeys, optionLetter } from './question-types.js';
+
+export { optionLetter };
+
+export const CHOICE_TYPES = ['multiple_choice', 'true_false', 'multiple_answers'];
+
+// How many times a malformed reply is sent back to the model before the question is marked unparseable
+export const MAX_FORMAT_RETRIES = 2;
+
+export class AnswerFormatError extends Error {
+    constructor(message, raw) {
+        super(message);
+        this.name = 'AnswerFormatError';
+        this.raw = raw;
+    }
+}
+
+// Instructions appended to the prompt describing the JSON we expect back.
+// `sourceCount` is the number of course material passages in the prompt.
+export function buildFormatInstructions(question, { sourceCount = 0 } = {}) {
+    let choiceSpec;
+    if (question.type === 'multiple_answers') {
+        choiceSpec = 'an array with the letters of ALL correct options, e.g. ["A", "C"]';
+    } else if (CHOICE_TYPES.includes(question.type)) {
+        choiceSpec = 'the letter of the single correct option, e.g. "B"';
+    } else if (question.type === 'matching') {
+        choiceSpec = 'an object mapping every item number to the letter of its matching option, e.g. {"1": "B", "2": "A"}';
+    } else if (question.type === 'multiple_dropdowns') {
+        choiceSpec = 'an object mapping every dropdown number to the letter to pick in that dropdown, e.g. {"1": "A", "2": "C"}';
+    } else if (question.type === 'fill_in_multiple_blanks') {
+        choiceSpec = 'an object mapping every blank number to the word or phrase that fills it, e.g. {"1": "red", "2": "blue"}';
+    } else if (NUMERIC_TYPES.includes(question.type)) {
+        choiceSpec = 'the numeric answer as a number, e.g. 42.5';
+    } else {
+        choiceSpec = 'your concise answer as a string';
+    }
+
+    return [
+        'Respond with ONLY a JSON object, no markdown, using exactly these keys:',
+        `- "choice": ${choiceSpec}`,
+        '- "explanation": 2-4 sentences explaining why this is correct, written so a student can learn from it',
+        '- "confidence": a number between 0 and 1',
+        '- "keyConcepts": an array of 1-5 short strings naming the concepts the question tests',
+        sourceCount ? `- "sources": an array with the numbers (1-${sourceCount}) of the course material passages your answer relies on, or [] if none` : null
+    ].filter(line => line !== null).join('\n');
+}
+
+// Pull the first JSON object out of a reply, tolerating code fences and stray prose
+export function extractJson(raw) {
+    const unfenced = raw.replace(/```(?:json)?/gi, '');
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new AnswerFormatError('Response does not contain a JSON object', raw);
+    }
+
+    try {
+        return JSON.parse(unfenced.slice(start, end + 1));
+    } catch (e) {
+        throw new AnswerFormatError(`Response is not valid JSON: ${e.message}`, raw);
+    }
+}
+
+function normalizeLetters(choice, question, raw) {
+    const letters = (Array.isArray(choice) ? choice : String(choice).split(','))
+        .map(letter => String(letter).trim().replace(/[.)]$/, '').toUpperCase())
+        .filter(Boolean);
+
+    if (letters.length === 0) {
+        throw new AnswerFormatError('"choice" is empty', raw);
+    }
+
+    for (const letter of letters) {
+        const index = letter.length === 1 ? letter.charCodeAt(0) - 65 : -1;
+        if (index < 0 || index >= question.options.length) {
+            throw new AnswerFormatError(`"choice" ${letter} is not one of the ${question.options.length} options`, raw);
+        }
+    }
+
+    if (question.type !== 'multiple_answers' && letters.length > 1) {
+        throw new AnswerFormatError(`"choice" must be a single letter for ${question.type}`, raw);
+    }
+
+    return question.type === 'multiple_answers' ? [...new Set(letters)] : letters[0];
+}
+
+// Options a keyed answer picks from: the right column for matching, each dropdown's own list otherwise
+function keyedOptions(question, index) {
+    if (question.type === 'matching') return question.matching.right;
+    if (question.type === 'multiple_dropdowns') return question.blanks[index].options;
+    return null;
+}
+
+function normalizeKeyed(choice, question, raw) {
+    if (!choice || typeof choice !== 'object' || Array.isArray(choice)) {
+        throw new AnswerFormatError(`"choice" must be an object for ${question.type}`, raw);
+    }
+
+    const keys = answerKeys(question);
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(choice)) {
+        const index = keys.indexOf(String(key).replace(/^\[|\]$/g, '').trim());
+        if (index === -1) {
+            throw new AnswerFormatError(`"choice" key ${key} is not one of ${keys.join(', ')}`, raw);
+        }
+
+        const options = keyedOptions(question, index);
+        let answer = String(value ?? '').trim();
+
+        if (options) {
+            answer = answer.replace(/[.)]$/, '').toUpperCase();
+            const optionIndex = answer.length === 1 ? answer.charCodeAt(0) - 65 : -1;
+            if (optionIndex < 0 || optionIndex >= options.length) {
+                throw new AnswerFormatError(`"choice" ${keys[index]}: ${answer} is not one of the ${options.length} options`, raw);
+            }
+        }
+
+        if (answer) normalized[keys[index]] = answer;
+    }
+
+    if (Object.keys(normalized).length === 0) {
+        throw new AnswerFormatError('"choice" is empty', raw);
+    }
+
+    return normalized;
+}
+
+// Commas only as thousands separators; "3,5" could be a decimal comma, so it is asked again
+const GROUPED_NUMBER = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+function normalizeNumber(choice, raw) {
+    if (!['string', 'number'].includes(typeof choice)) {
+        throw new AnswerFormatError(`"choice" must be a single number, got ${JSON.stringify(choice)}`, raw);
+    }
+
+    let text = String(choice).trim();
+    if (GROUPED_NUMBER.test(text)) text = text.replace(/,/g, '');
+    if (!Number.isFinite(Number(text)) || text === '') {
+        throw new AnswerFormatError(`"choice" ${choice} is not a number`, raw);
+    }
+    return text;
+}
+
+// Parse and validate a model reply against the question it answers.
+// Citations outside the `sourceCount` passages are dropped rather than rejected.
+export function parseStructuredAnswer(raw, question, { sourceCount = 0 } = {}) {
+    const data = extractJson(raw || '');
+
+    if (data.choice === undefined || data.choice === null || data.choice === '') {
+        throw new AnswerFormatError('Missing "choice"', raw);
+    }
+
+    let choice;
+    if (CHOICE_TYPES.includes(question.type)) {
+        choice = normalizeLetters(data.choice, question, raw);
+    } else if (KEYED_TYPES.includes(question.type)) {
+        choice = normalizeKeyed(data.choice, question, raw);
+    } else if (NUMERIC_TYPES.includes(question.type)) {
+        choice = normalizeNumber(data.choice, raw);
+    } else {
+        choice = String(data.choice).trim();
+    }
+
+    const confidence = Number(data.confidence);
+    if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+        throw new AnswerFormatError('"confidence" must be a number between 0 and 1', raw);
+    }
+
+    if (typeof data.explanation !== 'string' || !data.explanation.trim()) {
+        throw new AnswerFormatError('Missing "explanation"', raw);
+    }
+
+    const keyConcepts = Array.isArray(data.keyConcepts)
+        ? data.keyConcepts.map(concept => String(concept).trim()).filter(Boolean)
+        : [];
+
+    const answer = {
+        choice,
+        explanation: data.explanation.trim(),
+        confidence,
+        keyConcepts
+    };
+
+    if (sourceCount) {
+        answer.sources = [...new Set((Array.isArray(data.sources) ? data.sources : [])
+            .map(Number)
+            .filter(number => Number.isInteger(number) && number >= 1 && number <= sourceCount))];
+    }
+
+    return answer;
+}
+
+// Follow-up prompt after a reply failed validation: the original prompt, what was wrong, and the reply itself
+export function buildReaskPrompt(prompt, error) {
+    const previous = String(error.raw ?? '').slice(0, 500);
+    return [
+        prompt,
+        '',
+        `Your previous reply could not be used: ${error.message}.`,
+        previous ? `Previous reply: ${previous}` : null,
+        'Reply again with ONLY the JSON object described above.'
+    ].filter(line => line !== null).join('\n');
+}
+
+function letterIndex(letter, options, raw) {
+    const index = String(letter).length === 1 ? String(letter).toUpperCase().charCodeAt(0) - 65 : -1;
+    if (index < 0 || index >= options.length) {
+        throw new AnswerFormatError(`${letter} is not one of the ${options.length} options`, raw);
+    }
+    return index;
+}
+
+// Map a validated choice onto the page: the option IDs to click or the field values to set.
+// Returns [{ key, letter, field, id, value, text }]; field is null for the question's own answer field.
+export function resolveChoice(question, choice) {
+    const raw = formatChoice(choice);
+
+    if (CHOICE_TYPES.includes(question.type)) {
+        const letters = Array.isArray(choice) ? choice : [choice];
+        return letters.map(letter => {
+            const option = question.options[letterIndex(letter, question.options, raw)];
+            return { letter: String(letter).toUpperCase(), id: option.id, value: option.value, text: option.text };
+        });
+    }
+
+    if (question.type === 'matching' || question.type === 'multiple_dropdowns') {
+        return Object.entries(choice).map(([key, letter]) => {
+            const index = Number(key) - 1;
+            const field = question.type === 'matching' ? question.matching.left[index] : question.blanks[index];
+            if (!field) {
+                throw new AnswerFormatError(`[${key}] is not one of the ${answerKeys(question).length} items`, raw);
+            }
+            const options = keyedOptions(question, index);
+            const option = options[letterIndex(letter, options, raw)];
+            return { key, letter: String(letter).toUpperCase(), field: field.id, value: option.value, text: option.text };
+        });
+    }
+
+    if (question.type === 'fill_in_multiple_blanks') {
+        return Object.entries(choice).map(([key, text]) => {
+            const blank = question.blanks[Number(key) - 1];
+            if (!blank) {
+                throw new AnswerFormatError(`[${key}] is not one of the ${question.blanks.length} blanks`, raw);
+            }
+            return { key, field: blank.id, value: String(text), text: String(text) };
+        });
+    }
+
+    return [{ field: null, value: raw, text: raw }];
+}
+
+// Human-readable form of a choice, e.g. "A, C", "[1] red; [2] blue" or the free-text answer
+export function formatChoice(choice) {
+    if (Array.isArray(choice)) return choice.join(', ');
+    if (choice && typeof choice === 'object') {
+        return Object.entries(choice).map(([key, value]) => `[${key}] ${value}`).join('; ');
+    }
+    return String(choice);
+}
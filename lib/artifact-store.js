@@ -0,0 +1,206 @@
+// Per-session artifacts: screenshots, HTML snapshots and the JSON-lines session log, one folder per session
+// under a configurable root, each with a manifest.json listing what was captured and when:
+//
+//   { version, sessionId, createdAt, updatedAt, failure, artifacts: [{ file, kind, name, step, createdAt }] }
+//
+// `failure` points at the screenshot and HTML snapshot taken when the session failed, if any.
+
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './atomic-write.js';
+
+export const ARTIFACT_KINDS = ['screenshot', 'html', 'log'];
+
+export const DEFAULT_ARTIFACT_RETENTION_DAYS = 7;
+
+const MANIFEST_FILE = 'manifest.json';
+const LOG_FILE = 'session.jsonl';
+
+// Log appends move the manifest's updatedAt, which retention ages folders by, at most this often
+const LOG_TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+export class ArtifactError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ArtifactError';
+        this.status = status;
+    }
+}
+
+// Session IDs become folder names, so only plain ID characters are accepted
+function checkSessionId(sessionId) {
+    if (typeof sessionId !== 'string' || !/^[\w-]{1,64}$/.test(sessionId)) {
+        throw new ArtifactError('Invalid session ID');
+    }
+    return sessionId;
+}
+
+const slug = name => String(name).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-|-$/g, '') || 'artifact';
+
+// The folder of one session; created on the first artifact, so sessions that capture nothing leave nothing behind
+export class SessionArtifacts {
+    constructor({ dir, sessionId, now = () => Date.now() }) {
+        this.dir = dir;
+        this.sessionId = sessionId;
+        this.now = now;
+        this.touchedAt = null;
+    }
+
+    get manifestPath() {
+        return path.join(this.dir, MANIFEST_FILE);
+    }
+
+    manifest() {
+        if (!fs.existsSync(this.manifestPath)) return null;
+        return JSON.parse(fs.readFileSync(this.manifestPath, 'utf-8'));
+    }
+
+    update(change) {
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+        const timestamp = new Date(this.now()).toISOString();
+        const manifest = this.manifest() || {
+            version: 1,
+            sessionId: this.sessionId,
+            createdAt: timestamp,
+            failure: null,
+            artifacts: []
+        };
+        change(manifest);
+        manifest.updatedAt = timestamp;
+        writeFileAtomic(this.manifestPath, JSON.stringify(manifest, null, 2));
+        this.touchedAt = this.now();
+        return manifest;
+    }
+
+    // A fresh file name in the session folder for an artifact about to be written
+    pathFor(name, extension) {
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+        const base = `${slug(name)}-${this.now()}`;
+        let file = `${base}.${extension}`;
+        for (let n = 2; fs.existsSync(path.join(this.dir, file)); n++) {
+            file = `${base}-${n}.${extension}`;
+        }
+        return path.join(this.dir, file);
+    }
+
+    // Record a file already written to pathFor()'s path
+    add(filePath, { kind, name, step = null }) {
+        if (!ARTIFACT_KINDS.includes(kind)) {
+            throw new ArtifactError(`Artifact kind must be one of: ${ARTIFACT_KINDS.join(', ')}`);
+        }
+        const entry = { file: path.basename(filePath), kind, name, step, createdAt: new Date(this.now()).toISOString() };
+        this.update(manifest => manifest.artifacts.push(entry));
+        return entry;
+    }
+
+    writeHtml(name, html, { step = null } = {}) {
+        const filePath = this.pathFor(name, 'html');
+        fs.writeFileSync(filePath, html, { mode: 0o600 });
+        this.add(filePath, { kind: 'html', name, step });
+        return filePath;
+    }
+
+    // Log entries are appended as they happen, so the log survives a crash; it is listed once.
+    // A session that only logs still counts as active for retention.
+    appendLog(entry) {
+        const filePath = path.join(this.dir, LOG_FILE);
+        const isNew = !fs.existsSync(filePath);
+        fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+        fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+        if (isNew) {
+            this.add(filePath, { kind: 'log', name: 'session' });
+        } else if (this.touchedAt === null || this.now() - this.touchedAt >= LOG_TOUCH_INTERVAL_MS) {
+            this.update(() => {});
+        }
+    }
+
+    readLog() {
+        const filePath = path.join(this.dir, LOG_FILE);
+        return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+    }
+
+    markFailure({ screenshot = null, html = null, step = null, error = null }) {
+        this.update(manifest => {
+            manifest.failure = {
+                screenshot: screenshot && path.basename(screenshot),
+                html: html && path.basename(html),
+                step,
+                error
+            };
+        });
+    }
+}
+
+export class ArtifactStore {
+    constructor({ root, retentionMs = DEFAULT_ARTIFACT_RETENTION_DAYS * 24 * 60 * 60 * 1000, now = () => Date.now() }) {
+        this.root = root;
+        this.retentionMs = retentionMs;
+        this.now = now;
+    }
+
+    static fromEnv(env = process.env) {
+        const days = Number(env.ARTIFACT_RETENTION_DAYS) || DEFAULT_ARTIFACT_RETENTION_DAYS;
+        return new ArtifactStore({
+            root: env.ARTIFACTS_DIR || path.join(process.cwd(), 'data', 'artifacts'),
+            retentionMs: days * 24 * 60 * 60 * 1000
+        });
+    }
+
+    session(sessionId) {
+        return new SessionArtifacts({ dir: path.join(this.root, checkSessionId(sessionId)), sessionId, now: this.now });
+    }
+
+    // The manifest with each file's current size, or null for a session that captured nothing
+    manifest(sessionId) {
+        const artifacts = this.session(sessionId);
+        const manifest = artifacts.manifest();
+        if (!manifest) return null;
+
+        manifest.artifacts = manifest.artifacts.map(entry => {
+            const filePath = path.join(artifacts.dir, entry.file);
+            return { ...entry, bytes: fs.existsSync(filePath) ? fs.statSync(filePath).size : null };
+        });
+        return manifest;
+    }
+
+    // Raw JSON-lines log of a session, or null if it never logged anything
+    readLog(sessionId) {
+        return this.session(sessionId).readLog();
+    }
+
+    // Absolute path of a listed artifact; anything not in the manifest is not served
+    filePath(sessionId, file) {
+        const artifacts = this.session(sessionId);
+        const listed = artifacts.manifest()?.artifacts.find(entry => entry.file === file);
+        const filePath = listed && path.join(artifacts.dir, listed.file);
+        if (!filePath || !fs.existsSync(filePath)) {
+            throw new ArtifactError('Artifact not found', 404);
+        }
+        return { filePath, kind: listed.kind };
+    }
+
+    // Remove session folders untouched for longer than the retention period; `keep` lists sessions still running
+    prune({ keep = [] } = {}) {
+        if (!fs.existsSync(this.root)) return 0;
+
+        const cutoff = this.now() - this.retentionMs;
+        let removed = 0;
+        for (const entry of fs.readdirSync(this.root, { withFileTypes: true })) {
+            if (!entry.isDirectory() || keep.includes(entry.name)) continue;
+
+            const dir = path.join(this.root, entry.name);
+            let lastTouched;
+            try {
+                lastTouched = Date.parse(JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf-8')).updatedAt);
+            } catch (e) {
+                lastTouched = fs.statSync(dir).mtimeMs;
+            }
+
+            if (!(lastTouched >= cutoff)) {
+                fs.rmSync(dir, { recursive: true, force: true });
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
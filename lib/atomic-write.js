@@ -0,0 +1,13 @@
+// Crash-safe file replacement for the JSON stores. The data goes to a temp file next to the
+// target and is renamed over it, so a crash mid-write leaves the previous file intact instead
+// of a half-written one. Files are private to the server user unless `options.mode` says otherwise.
+
+import fs from 'fs';
+import path from 'path';
+
+export function writeFileAtomic(filePath, data, options = {}) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, data, { mode: 0o600, ...options });
+    fs.renameSync(tmpPath, filePath);
+}
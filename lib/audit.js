@@ -0,0 +1,114 @@
+// Item-quality audit for instructors reviewing their own question bank.
+// Each question is sent to the model with a rubric and comes back as a list of issues.
+
+import { describeQuestion } from './question-types.js';
+import { extractJson } from './answer-format.js';
+
+export const AUDIT_CATEGORIES = {
+    ambiguous_wording: 'Stem wording is ambiguous or can be read more than one way',
+    multiple_defensible: 'More than one option can reasonably be defended as correct',
+    implausible_distractor: 'A distractor is obviously wrong and gives no diagnostic value',
+    absolute_wording: 'True/false item relies on absolute words (always, never, all, none)'
+};
+
+export const SEVERITIES = ['low', 'medium', 'high'];
+
+const ABSOLUTE_WORDS = /\b(always|never|all|none|every|no one|nobody|only|entirely|completely|impossible|must)\b/gi;
+
+export class AuditFormatError extends Error {
+    constructor(message, raw) {
+        super(message);
+        this.name = 'AuditFormatError';
+        this.raw = raw;
+    }
+}
+
+export const AUDIT_SYSTEM_PROMPT = 'You are an assessment specialist reviewing quiz items written by an instructor. ' +
+    'Judge item quality only; do not answer the question for a student. Always reply with a single JSON object.';
+
+export function buildAuditPrompt(question) {
+    let prompt = `Review this ${question.type.replace(/_/g, ' ')} quiz item:\n\n${question.text}\n\n`;
+
+    const details = describeQuestion(question);
+    if (details.length) {
+        prompt += `${details.join('\n')}\n\n`;
+    }
+
+    prompt += 'Rubric - report an issue for each of these that applies:\n';
+    for (const [category, description] of Object.entries(AUDIT_CATEGORIES)) {
+        prompt += `- ${category}: ${description}\n`;
+    }
+
+    prompt += [
+        '',
+        'Respond with ONLY a JSON object using exactly these keys:',
+        '- "issues": an array of { "category": one of the rubric keys, "severity": "low" | "medium" | "high", "detail": one sentence, "options": letters of the options involved (may be empty) }',
+        '- "summary": one sentence overall verdict',
+        '- "suggestedRevision": a rewritten stem if the item needs work, otherwise an empty string',
+        'Return an empty "issues" array if the item is well written.'
+    ].join('\n');
+
+    return prompt;
+}
+
+// Absolute wording in true/false items is cheap to spot locally, so we never rely on the model alone
+export function detectAbsoluteWording(question) {
+    if (question.type !== 'true_false') return null;
+
+    const words = [...new Set((question.text.match(ABSOLUTE_WORDS) || []).map(word => word.toLowerCase()))];
+    if (words.length === 0) return null;
+
+    return {
+        category: 'absolute_wording',
+        severity: 'medium',
+        detail: `Stem uses absolute wording (${words.join(', ')}), which test-wise students can exploit.`,
+        options: [],
+        source: 'heuristic'
+    };
+}
+
+function normalizeIssue(issue, question) {
+    if (!issue || !AUDIT_CATEGORIES[issue.category]) return null;
+
+    const optionCount = question.options ? question.options.length : 0;
+
+    return {
+        category: issue.category,
+        severity: SEVERITIES.includes(issue.severity) ? issue.severity : 'medium',
+        detail: String(issue.detail || AUDIT_CATEGORIES[issue.category]).trim(),
+        options: (Array.isArray(issue.options) ? issue.options : [])
+            .map(letter => String(letter).trim().toUpperCase())
+            .filter(letter => {
+                const index = letter.charCodeAt(0) - 65;
+                return /^[A-Z]$/.test(letter) && index >= 0 && index < optionCount;
+            }),
+        source: 'model'
+    };
+}
+
+export function parseAuditReport(raw, question) {
+    let data;
+    try {
+        data = extractJson(raw || '');
+    } catch (error) {
+        throw new AuditFormatError(error.message, raw);
+    }
+
+    if (!Array.isArray(data.issues)) {
+        throw new AuditFormatError('Audit response is missing an "issues" array', raw);
+    }
+
+    const issues = data.issues.map(issue => normalizeIssue(issue, question)).filter(Boolean);
+
+    const heuristic = detectAbsoluteWording(question);
+    if (heuristic && !issues.some(issue => issue.category === 'absolute_wording')) {
+        issues.push(heuristic);
+    }
+
+    return {
+        issues,
+        summary: String(data.summary || '').trim(),
+        suggestedRevision: String(data.suggestedRevision || '').trim(),
+        verdict: issues.some(issue => issue.severity !== 'low') ? 'revise' : 'ok'
+    };
+}
@@ -0,0 +1,353 @@
+// Canvas REST API client, authenticated with a personal access token. Lists a user's courses and
+// quizzes for the course browser and, for instructors, reads classic quiz questions without a browser.
+// Follows `Link: rel="next"` pagination and backs off when Canvas throttles (403 "Rate Limit Exceeded"
+// or 429). Questions are converted to the same shape the page adapters extract, so audit, study and
+// export work on them unchanged.
+
+import { QUESTION_TYPES, optionLetter } from './question-types.js';
+import { htmlToRichText } from './rich-content.js';
+import { withRetry } from './retry.js';
+
+export const DEFAULT_PER_PAGE = 100;
+
+// Canvas refills each token's request bucket over time; below this, requests slow down on their own
+export const LOW_RATE_LIMIT_REMAINING = 50;
+const LOW_RATE_LIMIT_DELAY_MS = 1000;
+
+// No list the bot reads needs more pages than this; it stops a server that always sends a next link
+const MAX_PAGES = 100;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CanvasApiError extends Error {
+    constructor(message, { status = 502, canvasStatus = null, retryable = false, retryAfterMs = 0 } = {}) {
+        super(message);
+        this.name = 'CanvasApiError';
+        this.status = status;
+        this.canvasStatus = canvasStatus;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// The Canvas origin, course and quiz of a classic quiz URL, or null for anything else
+export function parseQuizUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+    const match = parsed.pathname.match(/\/courses\/(\d+)\/quizzes\/(\d+)(?:\/|$)/);
+    return match ? { origin: parsed.origin, courseId: match[1], quizId: match[2] } : null;
+}
+
+// The `rel="next"` URL of a Link header, if there is one
+export function nextPageUrl(linkHeader) {
+    for (const part of String(linkHeader || '').split(',')) {
+        const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+        if (match) return match[1];
+    }
+    return null;
+}
+
+async function errorMessage(response) {
+    const body = await response.text().catch(() => '');
+    try {
+        const parsed = JSON.parse(body);
+        if (Array.isArray(parsed.errors)) return parsed.errors.map(error => error.message).join('; ');
+        if (parsed.message) return parsed.message;
+    } catch (e) {
+        // Plain-text error pages, e.g. "403 Forbidden (Rate Limit Exceeded)"
+    }
+    return body.slice(0, 200);
+}
+
+// A course as the course browser lists it
+export function courseEntry(course, origin) {
+    return {
+        id: String(course.id),
+        name: course.name,
+        courseCode: course.course_code || '',
+        url: `${origin}/courses/${course.id}`
+    };
+}
+
+// A classic quiz or New Quizzes assignment as something a session can open
+export function quizTarget(item, courseId, origin) {
+    if (item.is_quiz_lti_assignment) {
+        return {
+            id: String(item.id),
+            title: item.name,
+            engine: 'new_quizzes',
+            quizType: 'new_quiz',
+            dueAt: item.due_at || null,
+            published: item.published !== false,
+            questionCount: null,
+            url: `${origin}/courses/${courseId}/assignments/${item.id}`
+        };
+    }
+    return {
+        id: String(item.id),
+        title: item.title,
+        engine: 'classic',
+        quizType: item.quiz_type || 'assignment', // assignment | practice_quiz | graded_survey | survey
+        dueAt: item.due_at || null,
+        published: item.published !== false,
+        questionCount: item.question_count ?? null,
+        url: `${origin}/courses/${courseId}/quizzes/${item.id}`
+    };
+}
+
+const canvasType = apiType => {
+    const type = String(apiType || '').replace(/_question$/, '');
+    return QUESTION_TYPES.includes(type) ? type : 'unknown';
+};
+
+const isCorrect = answer => Number(answer.weight) > 0;
+
+// Canvas names blanks in the stem as [blank_id]; the bot numbers them [1], [2], ... in stem order
+function blankIdsInStem(text, answers) {
+    const ids = [...new Set(answers.map(answer => answer.blank_id).filter(Boolean))];
+    return ids
+        .map(id => ({ id, at: text.indexOf(`[${id}]`) }))
+        .sort((a, b) => (a.at < 0) - (b.at < 0) || a.at - b.at)
+        .map(({ id }) => id);
+}
+
+// One question from /api/v1/courses/:course_id/quizzes/:quiz_id/questions in the bot's question shape
+export function toQuestion(apiQuestion) {
+    const type = canvasType(apiQuestion.question_type);
+    const id = `question_${apiQuestion.id}`;
+    const answers = apiQuestion.answers || [];
+    let text = htmlToRichText(apiQuestion.question_text);
+
+    const question = { id, text, type, options: [] };
+
+    if (['multiple_choice', 'true_false', 'multiple_answers'].includes(type)) {
+        question.options = answers.map(answer => ({
+            id: `${id}_answer_${answer.id}`,
+            value: String(answer.id),
+            text: answer.html ? htmlToRichText(answer.html) : String(answer.text ?? '')
+        }));
+    } else if (type === 'matching') {
+        question.matching = {
+            left: answers.map(answer => ({ id: `${id}_answer_${answer.id}`, text: String(answer.left ?? answer.text ?? '') })),
+            right: (apiQuestion.matches || []).map(match => ({ value: String(match.match_id), text: String(match.text ?? '') }))
+        };
+    } else if (type === 'multiple_dropdowns' || type === 'fill_in_multiple_blanks') {
+        const blankIds = blankIdsInStem(text, answers);
+        blankIds.forEach((blankId, idx) => {
+            text = text.split(`[${blankId}]`).join(`[${idx + 1}]`);
+        });
+        question.text = text;
+        question.blanks = blankIds.map(blankId => ({
+            id: `${id}_${blankId}`,
+            options: type === 'multiple_dropdowns'
+                ? answers.filter(answer => answer.blank_id === blankId).map(answer => ({ value: String(answer.id), text: String(answer.text ?? '') }))
+                : []
+        }));
+    }
+
+    return question;
+}
+
+// The instructor's answer key as a choice in the bot's answer format, or null where there is none
+// to give (essays, uploads, calculated items whose answers depend on generated variables)
+export function answerKey(apiQuestion, question = toQuestion(apiQuestion)) {
+    const answers = apiQuestion.answers || [];
+    const letterOf = (options, value) => {
+        const index = options.findIndex(option => option.value === String(value));
+        return index >= 0 ? optionLetter(index) : null;
+    };
+    const keyed = entries => {
+        const choice = Object.fromEntries(entries.filter(([, value]) => value !== null && value !== undefined));
+        return Object.keys(choice).length ? choice : null;
+    };
+
+    switch (question.type) {
+        case 'multiple_choice':
+        case 'true_false': {
+            const correct = answers.find(isCorrect);
+            return correct ? letterOf(question.options, correct.id) : null;
+        }
+        case 'multiple_answers': {
+            const letters = answers.filter(isCorrect).map(answer => letterOf(question.options, answer.id)).filter(Boolean);
+            return letters.length ? letters : null;
+        }
+        case 'matching':
+            return keyed(answers.map((answer, idx) => [String(idx + 1), letterOf(question.matching.right, answer.match_id)]));
+        case 'multiple_dropdowns':
+        case 'fill_in_multiple_blanks':
+            return keyed(question.blanks.map((blank, idx) => {
+                const blankId = blank.id.slice(`${question.id}_`.length);
+                const correct = answers.find(answer => answer.blank_id === blankId && isCorrect(answer));
+                if (!correct) return [String(idx + 1), null];
+                return [String(idx + 1), question.type === 'multiple_dropdowns' ? letterOf(blank.options, correct.id) : String(correct.text)];
+            }));
+        case 'short_answer': {
+            const correct = answers.find(answer => isCorrect(answer) && answer.text);
+            return correct ? String(correct.text) : null;
+        }
+        case 'numerical': {
+            const exact = answers.find(answer => isCorrect(answer) && answer.exact !== undefined && answer.exact !== null);
+            return exact ? String(exact.exact) : null;
+        }
+        default:
+            return null;
+    }
+}
+
+export class CanvasApiClient {
+    constructor({ baseUrl, token, fetch = globalThis.fetch, perPage = DEFAULT_PER_PAGE, retry = {}, onRetry, wait = sleep }) {
+        if (!token) {
+            throw new CanvasApiError('A Canvas access token is required', { status: 400 });
+        }
+        this.origin = new URL(baseUrl).origin;
+        this.token = token;
+        this.fetch = fetch;
+        this.perPage = perPage;
+        this.retry = retry;
+        this.onRetry = onRetry;
+        this.wait = wait;
+        // Last X-Rate-Limit-Remaining seen, shared by every request this client makes
+        this.rateLimitRemaining = null;
+    }
+
+    url(pathname, params = {}) {
+        const url = new URL(pathname, this.origin);
+        for (const [name, value] of Object.entries(params)) {
+            [].concat(value).forEach(item => url.searchParams.append(name, String(item)));
+        }
+        return url.toString();
+    }
+
+    // One GET with throttling and retries; resolves with the parsed body and the next page's URL
+    async request(url) {
+        // The token only ever goes to the Canvas the client was made for, whatever a Link header says
+        if (new URL(url).origin !== this.origin) {
+            throw new CanvasApiError(`Refusing to follow a Canvas API link to ${new URL(url).origin}`);
+        }
+
+        return withRetry(async () => {
+            if (this.rateLimitRemaining !== null && this.rateLimitRemaining < LOW_RATE_LIMIT_REMAINING) {
+                await this.wait(LOW_RATE_LIMIT_DELAY_MS);
+            }
+
+            let response;
+            try {
+                response = await this.fetch(url, {
+                    headers: { Authorization: `Bearer ${this.token}`, Accept: 'application/json' }
+                });
+            } catch (error) {
+                throw new CanvasApiError(`Canvas API request failed: ${error.message}`, { retryable: true });
+            }
+
+            const remaining = Number.parseFloat(response.headers.get('x-rate-limit-remaining'));
+            if (Number.isFinite(remaining)) this.rateLimitRemaining = remaining;
+
+            if (response.ok) {
+                return { data: await response.json(), next: nextPageUrl(response.headers.get('link')) };
+            }
+
+            const message = await errorMessage(response);
+            const throttled = response.status === 429 || (response.status === 403 && /rate limit/i.test(message));
+            if (throttled || response.status >= 500) {
+                const retryAfter = Number(response.headers.get('retry-after'));
+                throw new CanvasApiError(`Canvas API ${throttled ? 'rate limit exceeded' : `error ${response.status}`}`, {
+                    canvasStatus: response.status,
+                    retryable: true,
+                    retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : 0
+                });
+            }
+            if (response.status === 401) {
+                throw new CanvasApiError('Canvas rejected the access token', { status: 403, canvasStatus: 401 });
+            }
+            if (response.status === 403) {
+                throw new CanvasApiError(`Canvas refused access${message ? `: ${message}` : ''} (quiz questions need an instructor token)`, { status: 403, canvasStatus: 403 });
+            }
+            if (response.status === 404) {
+                throw new CanvasApiError(`Not found in Canvas: ${new URL(url).pathname}`, { status: 404, canvasStatus: 404 });
+            }
+            throw new CanvasApiError(`Canvas API error ${response.status}${message ? `: ${message}` : ''}`, { canvasStatus: response.status });
+        }, { ...this.retry, onRetry: this.onRetry, wait: this.wait });
+    }
+
+    async get(pathname, params) {
+        return (await this.request(this.url(pathname, params))).data;
+    }
+
+    // Every item of a paginated list endpoint
+    async getAll(pathname, params = {}) {
+        const items = [];
+        let url = this.url(pathname, { per_page: this.perPage, ...params });
+
+        for (let page = 0; url; page++) {
+            if (page >= MAX_PAGES) {
+                throw new CanvasApiError(`Canvas API kept paginating ${pathname} past ${MAX_PAGES} pages`);
+            }
+            const { data, next } = await this.request(url);
+            items.push(...[].concat(data));
+            url = next;
+        }
+        return items;
+    }
+
+    // Every course the token's user is enrolled in, or only those with the given role
+    listCourses({ enrollmentType = null } = {}) {
+        return this.getAll('/api/v1/courses', {
+            ...(enrollmentType ? { enrollment_type: enrollmentType } : {}),
+            'state[]': ['available', 'unpublished']
+        });
+    }
+
+    listQuizzes(courseId) {
+        return this.getAll(`/api/v1/courses/${encodeURIComponent(courseId)}/quizzes`);
+    }
+
+    // New Quizzes have no classic quiz record; they are assignments launched through the quiz LTI tool
+    async listNewQuizzes(courseId) {
+        const assignments = await this.getAll(`/api/v1/courses/${encodeURIComponent(courseId)}/assignments`);
+        return assignments.filter(assignment => assignment.is_quiz_lti_assignment);
+    }
+
+    // Courses for the course browser; date-restricted enrollments come back without a name and are skipped
+    async listCourseEntries(options) {
+        return (await this.listCourses(options))
+            .filter(course => course.name && !course.access_restricted_by_date)
+            .map(course => courseEntry(course, this.origin));
+    }
+
+    // Classic and New Quizzes of a course, soonest due first and undated ones last
+    async listQuizTargets(courseId) {
+        const quizzes = await this.listQuizzes(courseId);
+        const newQuizzes = await this.listNewQuizzes(courseId);
+        return [...quizzes, ...newQuizzes]
+            .map(item => quizTarget(item, courseId, this.origin))
+            .sort((a, b) => (!a.dueAt) - (!b.dueAt) || String(a.dueAt).localeCompare(String(b.dueAt)) || a.title.localeCompare(b.title));
+    }
+
+    getQuiz(courseId, quizId) {
+        return this.get(`/api/v1/courses/${encodeURIComponent(courseId)}/quizzes/${encodeURIComponent(quizId)}`);
+    }
+
+    listQuizQuestions(courseId, quizId) {
+        return this.getAll(`/api/v1/courses/${encodeURIComponent(courseId)}/quizzes/${encodeURIComponent(quizId)}/questions`);
+    }
+
+    // A quiz with its questions converted and its answer key, in Canvas' question order
+    async fetchQuiz(courseId, quizId) {
+        const quiz = await this.getQuiz(courseId, quizId);
+        const apiQuestions = (await this.listQuizQuestions(courseId, quizId))
+            .sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+        const questions = apiQuestions.map(toQuestion);
+
+        return {
+            quiz,
+            questions,
+            answerKey: apiQuestions
+                .map((apiQuestion, idx) => ({ questionId: questions[idx].id, choice: answerKey(apiQuestion, questions[idx]) }))
+                .filter(item => item.choice !== null)
+        };
+    }
+}
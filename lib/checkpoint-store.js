@@ -0,0 +1,62 @@
+// Progress checkpoints for running sessions: one JSON file per session, rewritten after every
+// question, so a run that crashed can pick up where it stopped. Deleted once the run finishes.
+
+import fs from 'fs';
+import path from 'path';
+import { sanitizeConfig } from './run-store.js';
+import { writeFileAtomic } from './atomic-write.js';
+
+// Vault IDs are references, not secrets; a resumed run resolves them again
+export function checkpointConfig(config) {
+    return {
+        ...sanitizeConfig(config),
+        ...(config.apiKeyCredentialId ? { apiKeyCredentialId: config.apiKeyCredentialId } : {}),
+        ...(config.canvasCredentialId ? { canvasCredentialId: config.canvasCredentialId } : {}),
+        ...(config.canvasTokenCredentialId ? { canvasTokenCredentialId: config.canvasTokenCredentialId } : {}),
+        ...(config.ensemble ? { ensemble: config.ensemble } : {})
+    };
+}
+
+export class CheckpointStore {
+    constructor({ dir }) {
+        this.dir = dir;
+    }
+
+    static fromEnv(env = process.env) {
+        return new CheckpointStore({
+            dir: env.CHECKPOINT_DIR || path.join(process.cwd(), 'data', 'checkpoints')
+        });
+    }
+
+    // Session IDs come from the URL; never let one name a path outside the directory
+    filePath(sessionId) {
+        if (!/^[\w-]+$/.test(String(sessionId))) {
+            throw new Error(`Invalid session ID "${sessionId}"`);
+        }
+        return path.join(this.dir, `${sessionId}.json`);
+    }
+
+    save(checkpoint) {
+        writeFileAtomic(this.filePath(checkpoint.sessionId), JSON.stringify(checkpoint));
+    }
+
+    load(sessionId) {
+        let file;
+        try {
+            file = this.filePath(sessionId);
+        } catch (e) {
+            return null;
+        }
+        if (!fs.existsSync(file)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    delete(sessionId) {
+        fs.rmSync(this.filePath(sessionId), { force: true });
+    }
+}
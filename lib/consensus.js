@@ -0,0 +1,81 @@
+// Consensus across several model replies to the same question. Each reply is a vote for its
+// answer; the answer with the most votes wins, the share of voters behind it becomes the
+// confidence, and anything short of every voter agreeing (a split vote, or voters that failed
+// to reply) flags the question for review.
+
+import { CHOICE_TYPES, formatChoice } from './answer-format.js';
+import { KEYED_TYPES, NUMERIC_TYPES } from './question-types.js';
+
+// Voters per question: samples from the main model plus other configured models
+export const MAX_ENSEMBLE_SIZE = 7;
+
+const normalizeAnswer = text => String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!]$/, '');
+
+// Two replies vote for the same answer when their keys match: letter sets regardless of order,
+// numbers by value and free text ignoring case and spacing
+export function voteKey(question, choice) {
+    if (CHOICE_TYPES.includes(question.type)) {
+        return [].concat(choice).sort().join(',');
+    }
+    if (KEYED_TYPES.includes(question.type)) {
+        return JSON.stringify(Object.entries(choice)
+            .map(([key, value]) => [key, normalizeAnswer(value)])
+            .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true })));
+    }
+    if (NUMERIC_TYPES.includes(question.type)) {
+        return String(Number(choice));
+    }
+    return normalizeAnswer(choice);
+}
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+
+// Combine `votes` ([{ voter, suggestion }]) into one suggestion. `voters` is how many were asked,
+// so voters that failed to reply count against the agreement.
+export function aggregateVotes(question, votes, { voters = votes.length } = {}) {
+    if (!votes.length) {
+        throw new Error('No votes to aggregate');
+    }
+
+    const groups = new Map();
+    for (const vote of votes) {
+        const key = voteKey(question, vote.suggestion.choice);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(vote);
+    }
+
+    // Most votes first; ties go to the answer its voters were more confident about
+    const ranked = Array.from(groups.values()).sort((a, b) =>
+        b.length - a.length ||
+        mean(b.map(vote => vote.suggestion.confidence)) - mean(a.map(vote => vote.suggestion.confidence)));
+
+    const winners = ranked[0];
+    const best = winners.reduce((top, vote) => vote.suggestion.confidence > top.suggestion.confidence ? vote : top);
+    const agreement = winners.length / voters;
+
+    const consensus = {
+        agreement,
+        voters,
+        responded: votes.length,
+        modelConfidence: mean(winners.map(vote => vote.suggestion.confidence)),
+        flagged: agreement < 1,
+        votes: ranked.map(group => ({
+            answer: formatChoice(group[0].suggestion.choice),
+            choice: group[0].suggestion.choice,
+            count: group.length,
+            voters: group.map(vote => vote.voter)
+        }))
+    };
+
+    // Per-option tallies for choice questions, so split multiple_answers votes still show which options most voters picked
+    if (CHOICE_TYPES.includes(question.type)) {
+        consensus.optionVotes = {};
+        for (const vote of votes) {
+            for (const letter of [].concat(vote.suggestion.choice)) {
+                consensus.optionVotes[letter] = (consensus.optionVotes[letter] || 0) + 1;
+            }
+        }
+    }
+
+    return { ...best.suggestion, confidence: agreement, consensus };
+}
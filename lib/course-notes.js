@@ -0,0 +1,238 @@
+// Per-course notes used to ground suggestions in how the course itself teaches a topic.
+// Uploaded lecture notes, slides (as extracted text), syllabi and glossaries are split into
+// passages and searched with BM25, so no embedding model is needed. The best passages go
+// into the prompt as numbered course material the model cites back.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './atomic-write.js';
+
+export const NOTE_KINDS = ['notes', 'slides', 'syllabus', 'glossary'];
+
+export const MAX_NOTE_CHARS = 2000000;
+export const DEFAULT_CONTEXT_PASSAGES = 3;
+
+// Passages are built from whole paragraphs up to about this size
+const PASSAGE_CHARS = 800;
+
+const STOP_WORDS = new Set((
+    'a an and are as at be by for from has have how in is it its of on or that the this to was were ' +
+    'what when where which who why will with does do did not no can following true false'
+).split(' '));
+
+export class CourseNotesError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CourseNotesError';
+        this.status = status;
+    }
+}
+
+export function tokenize(text) {
+    return (String(text ?? '').normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+}
+
+// Course ID from a Canvas URL such as https://school.instructure.com/courses/123/quizzes/4
+export function courseIdFromUrl(url) {
+    const match = String(url ?? '').match(/\/courses\/(\d+)/);
+    return match ? match[1] : null;
+}
+
+// Glossaries are one term per line; everything else is grouped by paragraph
+export function splitPassages(text, kind = 'notes') {
+    const lines = String(text).replace(/\r\n?/g, '\n');
+    if (kind === 'glossary') {
+        return lines.split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    // Paragraphs too long for one passage are split between sentences
+    const pieces = lines.split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .flatMap(paragraph => paragraph.length <= PASSAGE_CHARS
+            ? [paragraph]
+            : (paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]).map(sentence => sentence.trim()));
+
+    const passages = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && current.length + piece.length + 1 > PASSAGE_CHARS) {
+            passages.push(current);
+            current = '';
+        }
+        current = current ? `${current} ${piece}` : piece;
+    }
+    if (current) passages.push(current);
+    return passages;
+}
+
+// Okapi BM25 over a fixed set of passages
+export class Bm25Index {
+    constructor(passages, { k1 = 1.2, b = 0.75 } = {}) {
+        this.passages = passages;
+        this.k1 = k1;
+        this.b = b;
+        this.termCounts = passages.map(passage => {
+            const counts = new Map();
+            for (const token of tokenize(passage.text)) counts.set(token, (counts.get(token) || 0) + 1);
+            return counts;
+        });
+        this.lengths = this.termCounts.map(counts => Array.from(counts.values()).reduce((sum, n) => sum + n, 0));
+        this.averageLength = this.lengths.reduce((sum, n) => sum + n, 0) / (passages.length || 1);
+
+        this.documentFrequency = new Map();
+        for (const counts of this.termCounts) {
+            for (const token of counts.keys()) {
+                this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+            }
+        }
+    }
+
+    idf(token) {
+        const df = this.documentFrequency.get(token) || 0;
+        return Math.log(1 + (this.passages.length - df + 0.5) / (df + 0.5));
+    }
+
+    // Best matches first; passages sharing no terms with the query are left out
+    search(query, limit = DEFAULT_CONTEXT_PASSAGES) {
+        const terms = [...new Set(tokenize(query))];
+        return this.termCounts
+            .map((counts, idx) => {
+                const norm = this.k1 * (1 - this.b + this.b * this.lengths[idx] / (this.averageLength || 1));
+                const score = terms.reduce((sum, term) => {
+                    const tf = counts.get(term) || 0;
+                    return tf ? sum + this.idf(term) * tf * (this.k1 + 1) / (tf + norm) : sum;
+                }, 0);
+                return { passage: this.passages[idx], score };
+            })
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// Numbered course material for the prompt; the numbers are what the model cites in "sources"
+export function buildContextBlock(passages) {
+    return [
+        'Course material (from this course\'s own notes; prefer how it explains things):',
+        ...passages.map((passage, idx) => `[${idx + 1}] ${passage.name} (${passage.kind}): ${passage.text}`)
+    ].join('\n');
+}
+
+// A citation kept with the suggestion, short enough to show under the answer
+export function citePassage(passage) {
+    return {
+        documentId: passage.documentId,
+        passageId: passage.passageId,
+        name: passage.name,
+        kind: passage.kind,
+        excerpt: passage.text.length > 240 ? `${passage.text.slice(0, 237)}...` : passage.text
+    };
+}
+
+// One JSON file per course under `dir`, with the index rebuilt in memory when it changes
+export class CourseNotesStore {
+    constructor({ dir }) {
+        this.dir = dir;
+        this.indexes = new Map();
+    }
+
+    static fromEnv(env = process.env) {
+        return new CourseNotesStore({ dir: env.COURSE_NOTES_DIR || path.join(process.cwd(), 'data', 'course-notes') });
+    }
+
+    filePath(courseId) {
+        if (!/^[\w-]+$/.test(String(courseId))) {
+            throw new CourseNotesError('Invalid course ID');
+        }
+        return path.join(this.dir, `${courseId}.json`);
+    }
+
+    load(courseId) {
+        const filePath = this.filePath(courseId);
+        return fs.existsSync(filePath)
+            ? JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+            : { version: 1, courseId: String(courseId), documents: [] };
+    }
+
+    save(courseId, data) {
+        writeFileAtomic(this.filePath(courseId), JSON.stringify(data));
+        this.indexes.delete(String(courseId));
+    }
+
+    describe(document) {
+        return {
+            id: document.id,
+            name: document.name,
+            kind: document.kind,
+            uploadedAt: document.uploadedAt,
+            chars: document.chars,
+            passageCount: document.passages.length
+        };
+    }
+
+    list(courseId) {
+        return this.load(courseId).documents.map(document => this.describe(document));
+    }
+
+    add(courseId, { name, kind = 'notes', text }) {
+        if (!NOTE_KINDS.includes(kind)) {
+            throw new CourseNotesError(`kind must be one of: ${NOTE_KINDS.join(', ')}`);
+        }
+        if (!name || typeof name !== 'string') {
+            throw new CourseNotesError('name is required');
+        }
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new CourseNotesError('The document has no text');
+        }
+        if (text.length > MAX_NOTE_CHARS) {
+            throw new CourseNotesError(`Documents are limited to ${MAX_NOTE_CHARS} characters`, 413);
+        }
+
+        const data = this.load(courseId);
+        const id = crypto.randomUUID();
+        const document = {
+            id,
+            name: name.trim().slice(0, 200),
+            kind,
+            uploadedAt: new Date().toISOString(),
+            chars: text.length,
+            passages: splitPassages(text, kind).map((passage, idx) => ({ id: `${id}:${idx}`, text: passage }))
+        };
+        data.documents.push(document);
+        this.save(courseId, data);
+        return this.describe(document);
+    }
+
+    delete(courseId, documentId) {
+        const data = this.load(courseId);
+        const before = data.documents.length;
+        data.documents = data.documents.filter(document => document.id !== documentId);
+        if (data.documents.length === before) {
+            throw new CourseNotesError('Document not found', 404);
+        }
+        this.save(courseId, data);
+    }
+
+    index(courseId) {
+        const key = String(courseId);
+        if (!this.indexes.has(key)) {
+            const passages = this.load(courseId).documents.flatMap(document => document.passages.map(passage => ({
+                documentId: document.id,
+                passageId: passage.id,
+                name: document.name,
+                kind: document.kind,
+                text: passage.text
+            })));
+            this.indexes.set(key, new Bm25Index(passages));
+        }
+        return this.indexes.get(key);
+    }
+
+    // Top passages for a query, each with its document name, kind and score
+    search(courseId, query, limit = DEFAULT_CONTEXT_PASSAGES) {
+        return this.index(courseId).search(query, limit).map(({ passage, score }) => ({ ...passage, score }));
+    }
+}
@@ -0,0 +1,130 @@
+// Server-side credential vault. Secrets are encrypted at rest with AES-256-GCM using a key
+// derived from CREDENTIAL_MASTER_KEY, and are only ever referenced by ID from the API.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './atomic-write.js';
+
+export const CREDENTIAL_TYPES = {
+    canvas: ['username', 'password'],
+    api_key: ['apiKey'],
+    canvas_token: ['token'] // Canvas personal access token for the REST API
+};
+
+const MIN_MASTER_KEY_LENGTH = 32;
+
+export class VaultError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'VaultError';
+        this.status = status;
+    }
+}
+
+export class CredentialVault {
+    constructor({ filePath, masterKey }) {
+        if (!masterKey || masterKey.length < MIN_MASTER_KEY_LENGTH) {
+            throw new VaultError(`CREDENTIAL_MASTER_KEY must be at least ${MIN_MASTER_KEY_LENGTH} characters`, 503);
+        }
+
+        this.filePath = filePath;
+        this.store = this.load();
+        this.key = crypto.scryptSync(masterKey, Buffer.from(this.store.salt, 'base64'), 32);
+    }
+
+    static fromEnv(env = process.env) {
+        return new CredentialVault({
+            filePath: env.CREDENTIAL_VAULT_PATH || path.join(process.cwd(), 'data', 'credentials.json'),
+            masterKey: env.CREDENTIAL_MASTER_KEY
+        });
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        }
+        return { version: 1, salt: crypto.randomBytes(16).toString('base64'), credentials: {} };
+    }
+
+    save() {
+        writeFileAtomic(this.filePath, JSON.stringify(this.store, null, 2));
+    }
+
+    encrypt(secrets) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf-8'), cipher.final()]);
+        return {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(record) {
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(record.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+            const data = Buffer.concat([decipher.update(Buffer.from(record.data, 'base64')), decipher.final()]);
+            return JSON.parse(data.toString('utf-8'));
+        } catch (e) {
+            throw new VaultError('Credential could not be decrypted (wrong master key?)', 500);
+        }
+    }
+
+    describe(id, record) {
+        return { id, type: record.type, label: record.label, createdAt: record.createdAt };
+    }
+
+    list() {
+        return Object.entries(this.store.credentials).map(([id, record]) => this.describe(id, record));
+    }
+
+    create({ type, label, ...fields }) {
+        const required = CREDENTIAL_TYPES[type];
+        if (!required) {
+            throw new VaultError(`Credential type must be one of: ${Object.keys(CREDENTIAL_TYPES).join(', ')}`);
+        }
+
+        const secrets = {};
+        for (const field of required) {
+            if (typeof fields[field] !== 'string' || !fields[field]) {
+                throw new VaultError(`"${field}" is required for ${type} credentials`);
+            }
+            secrets[field] = fields[field];
+        }
+
+        const id = crypto.randomUUID();
+        const record = {
+            type,
+            label: String(label || type).slice(0, 100),
+            createdAt: new Date().toISOString(),
+            ...this.encrypt(secrets)
+        };
+
+        this.store.credentials[id] = record;
+        this.save();
+        return this.describe(id, record);
+    }
+
+    // Decrypted secrets for one credential, optionally checking its type
+    get(id, expectedType) {
+        const record = this.store.credentials[id];
+        if (!record) {
+            throw new VaultError(`Credential ${id} not found`, 404);
+        }
+        if (expectedType && record.type !== expectedType) {
+            throw new VaultError(`Credential ${id} is a ${record.type} credential, expected ${expectedType}`);
+        }
+        return this.decrypt(record);
+    }
+
+    delete(id) {
+        if (!this.store.credentials[id]) {
+            throw new VaultError(`Credential ${id} not found`, 404);
+        }
+        delete this.store.credentials[id];
+        this.save();
+    }
+}
@@ -0,0 +1,315 @@
+// Turn a stored run into downloadable files: Anki-importable TSV, CSV, and a QTI 1.2 package
+// that Canvas can re-import into a course the instructor owns.
+
+import { CHOICE_TYPES, formatChoice } from './answer-format.js';
+import { NUMERIC_TYPES, describeQuestion } from './question-types.js';
+import { createZip } from './zip.js';
+import { richTextToHtml } from './rich-content.js';
+
+export const EXPORT_FORMATS = ['anki', 'csv', 'qti'];
+
+// Pair every extracted question with its suggestion or audit item, in quiz order
+export function runItems(run) {
+    const result = run.result || {};
+    const items = result.studySheet || result.report || result.answers || [];
+    return (run.questions || []).map((question, index) => ({
+        number: index + 1,
+        question,
+        item: items.find(candidate => candidate.questionId === question.id) || null
+    }));
+}
+
+function suggestedAnswer(item) {
+    if (!item || item.choice === undefined || item.choice === null) return '';
+    return formatChoice(item.choice);
+}
+
+// Options, blanks or matching columns on one line; a lone "Options:" heading adds nothing there
+function detailLine(question) {
+    const lines = describeQuestion(question);
+    if (lines[0] === 'Options:') lines.shift();
+    return lines.join(' | ');
+}
+
+// Letters of the options the suggestion picked, as indexes
+function chosenIndexes(question, item) {
+    if (!item || item.choice === undefined || !CHOICE_TYPES.includes(question.type)) return [];
+    const letters = Array.isArray(item.choice) ? item.choice : [item.choice];
+    return letters
+        .map(letter => String(letter).charCodeAt(0) - 65)
+        .filter(index => index >= 0 && index < question.options.length);
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function slug(text) {
+    return String(text || 'run').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'run';
+}
+
+// Names of the course documents a suggestion cited
+function sourceNames(item) {
+    return [...new Set((item?.sources || []).map(source => source.name))];
+}
+
+// Consensus votes as "B x2, C x1"
+function voteTally(item) {
+    return (item?.consensus?.votes || []).map(vote => `${vote.answer} x${vote.count}`).join(', ');
+}
+
+// Anki "Import File" format: tab-separated, HTML allowed, tags in the third column
+export function toAnkiTsv(run) {
+    const clean = text => String(text ?? '').replace(/[\t\r\n]+/g, ' ');
+    const lines = ['#separator:tab', '#html:true', '#tags column:3'];
+
+    for (const { question, item } of runItems(run)) {
+        let front = richTextToHtml(question.text);
+        const details = describeQuestion(question);
+        if (details.length) {
+            front += '<br><br>' + details.map(richTextToHtml).join('<br>');
+        }
+
+        let back = '';
+        if (run.mode === 'audit') {
+            back = (item?.issues || [])
+                .map(issue => `<b>${escapeHtml(issue.category.replace(/_/g, ' '))}</b>: ${escapeHtml(issue.detail)}`)
+                .join('<br>') || 'No issues found';
+        } else {
+            back = [
+                suggestedAnswer(item) && `<b>${escapeHtml(suggestedAnswer(item))}</b>`,
+                item?.explanation && escapeHtml(item.explanation),
+                sourceNames(item).length && `<i>Sources: ${escapeHtml(sourceNames(item).join('; '))}</i>`,
+                item?.consensus?.flagged && `<b>Review this:</b> the models disagreed (${escapeHtml(voteTally(item))})`
+            ].filter(Boolean).join('<br><br>');
+        }
+
+        const tags = ['canvas-quiz-bot', question.type, ...(item?.keyConcepts || []).map(concept => slug(concept))];
+        if (item?.consensus?.flagged) tags.push('review-this');
+        lines.push([clean(front), clean(back), tags.join(' ')].join('\t'));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Spreadsheets run cells starting with these as formulas; plain numbers such as -4.5 are left alone
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+function csvField(value) {
+    let text = String(value ?? '');
+    if (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(run) {
+    const header = run.mode === 'audit'
+        ? ['number', 'question_id', 'type', 'question', 'options', 'verdict', 'issues', 'summary', 'suggested_revision']
+        : ['number', 'question_id', 'type', 'question', 'options', 'suggested_answer', 'explanation', 'confidence', 'key_concepts', 'sources', 'agreement', 'votes', 'needs_review'];
+
+    const rows = runItems(run).map(({ number, question, item }) => {
+        const base = [number, question.id, question.type, question.text, detailLine(question)];
+
+        if (run.mode === 'audit') {
+            return [...base,
+                item?.verdict ?? '',
+                (item?.issues || []).map(issue => `${issue.severity} ${issue.category}: ${issue.detail}`).join(' | '),
+                item?.summary ?? '',
+                item?.suggestedRevision ?? ''];
+        }
+
+        return [...base,
+            suggestedAnswer(item),
+            item?.explanation ?? '',
+            item?.confidence ?? '',
+            (item?.keyConcepts || []).join('; '),
+            sourceNames(item).join('; '),
+            item?.consensus ? Number(item.consensus.agreement.toFixed(2)) : '',
+            item?.consensus ? voteTally(item) : '',
+            item?.consensus ? (item.consensus.flagged ? 'yes' : 'no') : ''];
+    });
+
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+const QTI_QUESTION_TYPES = {
+    multiple_choice: 'multiple_choice_question',
+    true_false: 'true_false_question',
+    multiple_answers: 'multiple_answers_question',
+    short_answer: 'short_answer_question',
+    essay: 'essay_question',
+    matching: 'matching_question',
+    multiple_dropdowns: 'multiple_dropdowns_question',
+    fill_in_multiple_blanks: 'fill_in_multiple_blanks_question',
+    numerical: 'numerical_question',
+    calculated: 'calculated_question',
+    file_upload: 'file_upload_question',
+    text_only: 'text_only_question'
+};
+
+function qtiChoices(ident, options) {
+    return `
+            <render_choice>${options.map((opt, idx) => `
+              <response_label ident="${ident}_${idx}">
+                <material><mattext texttype="text/plain">${escapeHtml(opt.text)}</mattext></material>
+              </response_label>`).join('')}
+            </render_choice>`;
+}
+
+function qtiScore(conditions) {
+    return `
+        <resprocessing>
+          <outcomes><decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/></outcomes>
+          <respcondition continue="No">
+            <conditionvar>${conditions}</conditionvar>
+            <setvar action="Set" varname="SCORE">100</setvar>
+          </respcondition>
+        </resprocessing>`;
+}
+
+// Matching items, dropdowns and blanks each get their own response, scored together
+function qtiKeyedResponses(ident, question, item) {
+    const fields = question.type === 'matching' ? question.matching.left : question.blanks;
+    const choice = item && item.choice && typeof item.choice === 'object' ? item.choice : {};
+
+    let response = '';
+    const conditions = [];
+
+    fields.forEach((field, idx) => {
+        const responseId = `response_${idx + 1}`;
+        const answer = choice[String(idx + 1)];
+        let options = question.type === 'matching' ? question.matching.right : field.options;
+
+        // Canvas stores each blank's accepted answers as its choices
+        if (question.type === 'fill_in_multiple_blanks') {
+            options = answer ? [{ text: answer }] : [];
+        }
+
+        const label = question.type === 'matching' ? field.text : `[${idx + 1}]`;
+        response += `
+          <response_lid ident="${responseId}">
+            <material><mattext texttype="text/plain">${escapeHtml(label)}</mattext></material>${qtiChoices(`${ident}_${idx + 1}`, options)}
+          </response_lid>`;
+
+        if (answer) {
+            const optionIndex = question.type === 'fill_in_multiple_blanks' ? 0 : answer.charCodeAt(0) - 65;
+            conditions.push(`<varequal respident="${responseId}">${ident}_${idx + 1}_${optionIndex}</varequal>`);
+        }
+    });
+
+    return {
+        response,
+        processing: conditions.length ? qtiScore(conditions.length > 1 ? `<and>${conditions.join('')}</and>` : conditions[0]) : ''
+    };
+}
+
+function qtiItem({ number, question, item }) {
+    const type = QTI_QUESTION_TYPES[question.type] || 'text_only_question';
+    const ident = `item_${number}`;
+    const correct = chosenIndexes(question, item);
+
+    let response = '';
+    let processing = '';
+
+    if (CHOICE_TYPES.includes(question.type)) {
+        const cardinality = question.type === 'multiple_answers' ? 'Multiple' : 'Single';
+        response = `
+          <response_lid ident="response1" rcardinality="${cardinality}">${qtiChoices(ident, question.options)}
+          </response_lid>`;
+
+        if (correct.length) {
+            const conditions = question.type === 'multiple_answers'
+                ? `<and>${question.options.map((_, idx) => correct.includes(idx)
+                    ? `<varequal respident="response1">${ident}_${idx}</varequal>`
+                    : `<not><varequal respident="response1">${ident}_${idx}</varequal></not>`).join('')}</and>`
+                : `<varequal respident="response1">${ident}_${correct[0]}</varequal>`;
+
+            processing = qtiScore(conditions);
+        }
+    } else if ((question.type === 'matching' && question.matching) || (question.blanks && question.blanks.length)) {
+        ({ response, processing } = qtiKeyedResponses(ident, question, item));
+    } else if (['short_answer', 'essay', ...NUMERIC_TYPES].includes(question.type)) {
+        response = `
+          <response_str ident="response1" rcardinality="Single">
+            <render_fib><response_label ident="answer1" rshuffle="No"/></render_fib>
+          </response_str>`;
+
+        if (question.type !== 'essay' && suggestedAnswer(item)) {
+            processing = qtiScore(`<varequal respident="response1">${escapeHtml(suggestedAnswer(item))}</varequal>`);
+        }
+    }
+
+    const feedback = item?.explanation
+        ? `
+        <itemfeedback ident="general_fb">
+          <flow_mat><material><mattext texttype="text/plain">${escapeHtml(item.explanation)}</mattext></material></flow_mat>
+        </itemfeedback>`
+        : '';
+
+    return `
+      <item ident="${ident}" title="Question ${number}">
+        <itemmetadata>
+          <qtimetadata>
+            <qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>${type}</fieldentry></qtimetadatafield>
+            <qtimetadatafield><fieldlabel>points_possible</fieldlabel><fieldentry>1.0</fieldentry></qtimetadatafield>
+          </qtimetadata>
+        </itemmetadata>
+        <presentation>
+          <material><mattext texttype="text/html">${escapeHtml(richTextToHtml(question.text))}</mattext></material>${response}
+        </presentation>${processing}${feedback}
+      </item>`;
+}
+
+// QTI 1.2 assessment plus IMS manifest, zipped the way Canvas' "QTI .zip file" import expects
+export function toQtiPackage(run) {
+    const assessmentId = `assessment_${slug(run.id)}`;
+    const title = `Canvas Quiz Bot export ${run.startedAt ? new Date(run.startedAt).toISOString().slice(0, 10) : ''}`.trim();
+
+    const assessment = `<?xml version="1.0" encoding="UTF-8"?>
+<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2">
+  <assessment ident="${assessmentId}" title="${escapeHtml(title)}">
+    <section ident="root_section">${runItems(run).map(qtiItem).join('')}
+    </section>
+  </assessment>
+</questestinterop>
+`;
+
+    const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${assessmentId}_manifest" xmlns="http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1">
+  <metadata>
+    <schema>IMS Content</schema>
+    <schemaversion>1.1.3</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="${assessmentId}" type="imsqti_xmlv1p2">
+      <file href="${assessmentId}/${assessmentId}.xml"/>
+    </resource>
+  </resources>
+</manifest>
+`;
+
+    return createZip([
+        { name: 'imsmanifest.xml', content: manifest },
+        { name: `${assessmentId}/${assessmentId}.xml`, content: assessment }
+    ]);
+}
+
+export function exportRun(run, format) {
+    const base = `${run.mode || 'run'}-${slug(run.id)}`;
+
+    switch (format) {
+        case 'anki':
+            return { filename: `${base}-anki.txt`, contentType: 'text/tab-separated-values; charset=utf-8', body: toAnkiTsv(run) };
+        case 'csv':
+            return { filename: `${base}.csv`, contentType: 'text/csv; charset=utf-8', body: toCsv(run) };
+        case 'qti':
+            return { filename: `${base}-qti.zip`, contentType: 'application/zip', body: toQtiPackage(run) };
+        default:
+            throw new Error(`Export format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+}
@@ -0,0 +1,145 @@
+// Where the headless browser may go. Canvas and login hosts come from a server-side allow-list
+// (CANVAS_HOSTS, LOGIN_HOSTS; `*.instructure.com` style wildcards allowed). Without an allow-list
+// any public host is accepted. Either way, non-web schemes and internal addresses (loopback,
+// private and link-local ranges, single-label and .local/.internal names) are refused, unless
+// the host is listed explicitly, e.g. a self-hosted Canvas on the campus network. Frames inside
+// a page may also load Instructure's New Quizzes hosts, which a vanity-domain Canvas embeds.
+
+import dns from 'dns';
+import net from 'net';
+
+export class HostPolicyError extends Error {
+    constructor(message, { field = 'url', code = 'host_not_allowed' } = {}) {
+        super(message);
+        this.name = 'HostPolicyError';
+        this.status = 400;
+        this.field = field;
+        this.code = code;
+    }
+}
+
+// New Quizzes runs as an LTI tool on regional hosts such as school.quiz-lti-iad-prod.instructure.com
+const NEW_QUIZZES_HOST = /^[a-z0-9-]+\.quiz-lti-[a-z0-9-]+\.instructure\.com$/i;
+
+export function isNewQuizzesHost(hostname) {
+    return NEW_QUIZZES_HOST.test(hostname);
+}
+
+const INTERNAL_NAME = /(^localhost$|\.localhost$|\.local$|\.internal$|\.lan$|\.home\.arpa$)/i;
+
+const parseList = value => (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+function ipv4ToInt(address) {
+    return address.split('.').reduce((total, part) => total * 256 + Number(part), 0);
+}
+
+const IPV4_INTERNAL = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].map(([base, bits]) => [ipv4ToInt(base), bits]);
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved addresses
+export function isInternalAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) {
+        const value = ipv4ToInt(address);
+        return IPV4_INTERNAL.some(([base, bits]) => Math.floor(value / 2 ** (32 - bits)) === Math.floor(base / 2 ** (32 - bits)));
+    }
+    if (family === 6) {
+        const lower = address.toLowerCase();
+        // IPv4-mapped addresses, dotted or in the hex form URL parsing normalizes them to
+        const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (mapped) return isInternalAddress(mapped[1]);
+        const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+        if (mappedHex) {
+            const [high, low] = mappedHex.slice(1).map(part => parseInt(part, 16));
+            return isInternalAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+        }
+        return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || /^ff/.test(lower);
+    }
+    return false;
+}
+
+export function hostMatches(hostname, pattern) {
+    if (pattern.startsWith('*.')) {
+        return hostname.endsWith(pattern.slice(1)) && hostname.length > pattern.length - 1;
+    }
+    return hostname === pattern;
+}
+
+export class HostPolicy {
+    constructor({ canvasHosts = [], loginHosts = [], lookup = (hostname) => dns.promises.lookup(hostname, { all: true }) } = {}) {
+        this.canvasHosts = canvasHosts.map(host => host.toLowerCase());
+        this.loginHosts = loginHosts.map(host => host.toLowerCase());
+        this.lookup = lookup;
+    }
+
+    static fromEnv(env = process.env) {
+        return new HostPolicy({
+            canvasHosts: parseList(env.CANVAS_HOSTS),
+            loginHosts: parseList(env.LOGIN_HOSTS)
+        });
+    }
+
+    get restricted() {
+        return this.canvasHosts.length > 0;
+    }
+
+    listed(hostname, kind) {
+        const hosts = kind === 'canvas' ? this.canvasHosts : [...this.canvasHosts, ...this.loginHosts];
+        return hosts.some(pattern => hostMatches(hostname, pattern));
+    }
+
+    // Synchronous checks on the URL itself; `kind` is 'canvas' for quiz URLs, 'login' for sign-in pages
+    check(url, { kind = 'canvas', field = 'url' } = {}) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            throw new HostPolicyError('must be an absolute URL', { field, code: 'url' });
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new HostPolicyError('must use http or https', { field, code: 'protocol' });
+        }
+
+        const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        if (this.listed(hostname, kind)) return hostname;
+
+        if (this.restricted) {
+            throw new HostPolicyError(`${hostname} is not an allowed ${kind === 'canvas' ? 'Canvas' : 'login'} host`, { field });
+        }
+        if (isInternalAddress(hostname) || INTERNAL_NAME.test(hostname) || (!net.isIP(hostname) && !hostname.includes('.'))) {
+            throw new HostPolicyError(`${hostname} is an internal address`, { field, code: 'internal_address' });
+        }
+        return hostname;
+    }
+
+    // check() plus a DNS lookup, so a public name pointing at an internal address is refused too
+    async assertAllowed(url, options = {}) {
+        const hostname = this.check(url, options);
+        if (this.listed(hostname, options.kind || 'canvas') || net.isIP(hostname)) return;
+
+        let addresses;
+        try {
+            addresses = await this.lookup(hostname);
+        } catch (error) {
+            throw new HostPolicyError(`${hostname} could not be resolved`, { field: options.field || 'url', code: 'unresolvable' });
+        }
+        if (addresses.some(({ address }) => isInternalAddress(address))) {
+            throw new HostPolicyError(`${hostname} resolves to an internal address`, { field: options.field || 'url', code: 'internal_address' });
+        }
+    }
+
+    // Browser navigations: Canvas or login hosts only, checked without DNS so it can run per request.
+    // Subframes may also load the New Quizzes tool over https, whatever the allow-list says.
+    allowsNavigation(url, { subframe = false } = {}) {
+        try {
+            this.check(url, { kind: 'login' });
+            return true;
+        } catch (error) {
+            if (!subframe) return false;
+            const parsed = new URL(url);
+            return parsed.protocol === 'https:' && isNewQuizzesHost(parsed.hostname);
+        }
+    }
+}
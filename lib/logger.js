@@ -0,0 +1,164 @@
+// Structured session logging. Every entry has a level, an event code and the session context,
+// and is redacted before any sink (console, WebSocket, log file) sees it:
+//
+//   { timestamp, level, event, sessionId, step, question, message, ...fields }
+//
+// Event codes are dotted and stable, e.g. `login.failed` or `question.answered`, so logs can be
+// filtered without matching message text.
+
+export const LOG_LEVELS = ['debug', 'info', 'warning', 'error'];
+
+export const REDACTED = '[REDACTED]';
+
+// Query parameters carrying credentials or single-use tokens (OAuth codes, SAML assertions, CAS tickets)
+const SENSITIVE_PARAM = /^(.*token.*|.*secret.*|pass(word|wd)?|pwd|code|ticket|saml(request|response)|assertion|sig(nature)?|nonce|state|session(_?id|_state)?|api[_-]?key|key|auth.*)$/i;
+// Structured field names whose values are never logged
+const SENSITIVE_FIELD = /^(.*token|.*secret|.*password|passwd|pwd|cookies?|set-cookie|authorization|api[_-]?key)$/i;
+
+export function levelAtLeast(level, minLevel) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(minLevel);
+}
+
+export function isLogLevel(level) {
+    return LOG_LEVELS.includes(level);
+}
+
+// URLs keep their host and path; values of token-like query and fragment parameters are dropped
+export function redactUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return url;
+    }
+
+    const scrub = params => {
+        let changed = false;
+        for (const name of [...new Set(params.keys())]) {
+            if (SENSITIVE_PARAM.test(name)) {
+                params.set(name, REDACTED);
+                changed = true;
+            }
+        }
+        return changed;
+    };
+
+    let changed = false;
+    if (parsed.username || parsed.password) {
+        parsed.username = '';
+        parsed.password = '';
+        changed = true;
+    }
+    if (scrub(parsed.searchParams)) changed = true;
+    if (parsed.hash.includes('=')) {
+        const fragment = new URLSearchParams(parsed.hash.slice(1));
+        if (scrub(fragment)) {
+            parsed.hash = fragment.toString();
+            changed = true;
+        }
+    }
+    // Untouched URLs are returned exactly as written
+    return changed ? parsed.toString().replace(/%5BREDACTED%5D/g, REDACTED) : url;
+}
+
+// Known secret values, then URLs, cookie headers, bearer tokens and `password=...` style pairs
+export function redactText(text, secrets = []) {
+    const redacted = secrets.reduce(
+        (result, secret) => secret ? result.split(secret).join(REDACTED) : result,
+        String(text)
+    );
+
+    return redacted
+        .replace(/\bhttps?:\/\/[^\s"'<>]+/g, url => redactUrl(url))
+        .replace(/\b(set-cookie|cookie)(\s*[:=]\s*)[^\n]+/gi, `$1$2${REDACTED}`)
+        .replace(/\b(bearer|basic)\s+[\w.~+/-]+=*/gi, `$1 ${REDACTED}`)
+        .replace(/\b([\w-]*(?:token|secret|passw|pwd|api[_-]?key)[\w-]*)(["']?\s*[:=]\s*["']?)[^\s"'&,;]+/gi, `$1$2${REDACTED}`);
+}
+
+// Structured fields are redacted the same way; values under sensitive keys are dropped entirely
+export function redactFields(value, secrets = [], key = '') {
+    if (key && SENSITIVE_FIELD.test(key) && typeof value !== 'number' && typeof value !== 'boolean') {
+        return value === undefined || value === null ? value : REDACTED;
+    }
+    if (typeof value === 'string') return redactText(value, secrets);
+    if (Array.isArray(value)) return value.map(item => redactFields(item, secrets));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactFields(item, secrets, name)]));
+    }
+    return value;
+}
+
+// Console sink: one readable line per entry at or above `minLevel`
+export function consoleSink({ minLevel = 'info', write = line => console.log(line) } = {}) {
+    return entry => {
+        if (!levelAtLeast(entry.level, minLevel)) return;
+        write(`[${entry.level.toUpperCase()}] ${entry.event}: ${entry.message}`);
+    };
+}
+
+export class SessionLogger {
+    // `context()` supplies the session ID, step and question number at the time of each entry;
+    // `secrets()` the credential values to scrub. A failing sink never stops the others.
+    constructor({ context = () => ({}), secrets = () => [], sinks = [], now = () => new Date() } = {}) {
+        this.context = context;
+        this.secrets = secrets;
+        this.sinks = sinks;
+        this.now = now;
+    }
+
+    log(level, event, message, fields = {}) {
+        if (!isLogLevel(level)) {
+            throw new Error(`Unknown log level "${level}". Expected one of: ${LOG_LEVELS.join(', ')}`);
+        }
+
+        const secrets = this.secrets();
+        const entry = {
+            timestamp: this.now().toISOString(),
+            level,
+            event,
+            ...this.context(),
+            message: redactText(message, secrets),
+            ...redactFields(fields, secrets)
+        };
+
+        for (const sink of this.sinks) {
+            try {
+                sink(entry);
+            } catch (error) {
+                console.error(`Log sink failed: ${error.message}`);
+            }
+        }
+        return entry;
+    }
+
+    debug(event, message, fields) {
+        return this.log('debug', event, message, fields);
+    }
+
+    info(event, message, fields) {
+        return this.log('info', event, message, fields);
+    }
+
+    warning(event, message, fields) {
+        return this.log('warning', event, message, fields);
+    }
+
+    error(event, message, fields) {
+        return this.log('error', event, message, fields);
+    }
+}
+
+// Entries from a JSON-lines log at or above `minLevel`, skipping torn lines
+export function parseLogLines(text, { minLevel = 'debug' } = {}) {
+    return text
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(entry => entry && isLogLevel(entry.level) && levelAtLeast(entry.level, minLevel));
+}
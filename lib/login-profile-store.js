@@ -0,0 +1,60 @@
+// Per-deployment login profiles: which strategy (or exact pages and selectors) a school's
+// sign-in needs, matched to a Canvas host or picked by name when a session starts.
+
+import fs from 'fs';
+import path from 'path';
+import { validateLoginProfile, LoginProfileError } from './login-strategies/index.js';
+import { writeFileAtomic } from './atomic-write.js';
+
+export class LoginProfileStore {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+    }
+
+    static fromEnv(env = process.env) {
+        return new LoginProfileStore({
+            filePath: env.LOGIN_PROFILES_PATH || path.join(process.cwd(), 'data', 'login-profiles.json')
+        });
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return {};
+        return JSON.parse(fs.readFileSync(this.filePath, 'utf-8')).profiles || {};
+    }
+
+    write(profiles) {
+        writeFileAtomic(this.filePath, JSON.stringify({ version: 1, profiles }, null, 2));
+    }
+
+    list() {
+        return Object.values(this.load());
+    }
+
+    // Own keys only, so names like "constructor" are not found on Object.prototype
+    get(name) {
+        const profiles = this.load();
+        return Object.hasOwn(profiles, name) ? profiles[name] : null;
+    }
+
+    // The profile whose hosts include the given Canvas or login hostname
+    forHost(hostname) {
+        return this.list().find(profile => profile.hosts.includes(hostname)) || null;
+    }
+
+    save(profile) {
+        const validated = validateLoginProfile(profile);
+        const profiles = this.load();
+        profiles[validated.name] = validated;
+        this.write(profiles);
+        return validated;
+    }
+
+    delete(name) {
+        const profiles = this.load();
+        if (!Object.hasOwn(profiles, name)) {
+            throw new LoginProfileError('Login profile not found', 404);
+        }
+        delete profiles[name];
+        this.write(profiles);
+    }
+}
@@ -0,0 +1,114 @@
+// Built-in login strategies, described as the pages a sign-in goes through. Each page lists the
+// credential fields to fill (selectors in priority order) and the button that submits it:
+//
+//   { name, fields: [{ field: 'username' | 'password', selectors, optional }], submit, navigates, optional }
+//   { name, manual: true, prompt }   hand the visible browser to the user, e.g. for MFA
+//
+// `navigates: false` marks single-page sign-ins where the next step appears without a page load.
+// Optional pages are skipped when their first field, or their button if they have no fields, is missing.
+
+const GENERIC_USERNAME = [
+    'input[autocomplete="username"]',
+    'input[type="email"]',
+    'input[name*="user" i]',
+    'input[id*="user" i]',
+    'input[name*="email" i]',
+    'input[type="text"]'
+];
+const GENERIC_PASSWORD = ['input[autocomplete="current-password"]', 'input[type="password"]'];
+const GENERIC_SUBMIT = ['button[type="submit"]', 'input[type="submit"]', 'form button:not([type="button"])'];
+
+export const BUILT_IN_STRATEGIES = {
+    canvas: {
+        label: 'Canvas native login',
+        pages: [{
+            name: 'credentials',
+            fields: [
+                { field: 'username', selectors: ['#pseudonym_session_unique_id', 'input[name="pseudonym_session[unique_id]"]'] },
+                { field: 'password', selectors: ['#pseudonym_session_password', 'input[name="pseudonym_session[password]"]'] }
+            ],
+            submit: ['#login_form button[type="submit"]', 'button.Button--login', '#login_form input[type="submit"]']
+        }]
+    },
+
+    // Username first, then the password on its own page if the first one did not ask for it
+    two_step: {
+        label: 'Generic two-step form',
+        pages: [
+            {
+                name: 'identifier',
+                fields: [
+                    { field: 'username', selectors: GENERIC_USERNAME },
+                    { field: 'password', selectors: GENERIC_PASSWORD, optional: true }
+                ],
+                submit: GENERIC_SUBMIT
+            },
+            {
+                name: 'password',
+                optional: true,
+                fields: [{ field: 'password', selectors: GENERIC_PASSWORD }],
+                submit: GENERIC_SUBMIT
+            }
+        ]
+    },
+
+    // Shibboleth IdP and ADFS forms, then Shibboleth's attribute release page if it shows
+    saml: {
+        label: 'SAML identity provider (Shibboleth, ADFS)',
+        pages: [
+            {
+                name: 'credentials',
+                fields: [
+                    { field: 'username', selectors: ['#username', 'input[name="j_username"]', '#userNameInput', 'input[name="UserName"]', ...GENERIC_USERNAME] },
+                    { field: 'password', selectors: ['#password', 'input[name="j_password"]', '#passwordInput', 'input[name="Password"]', ...GENERIC_PASSWORD] }
+                ],
+                submit: ['button[name="_eventId_proceed"]', '#submitButton', '#loginButton', ...GENERIC_SUBMIT]
+            },
+            {
+                name: 'attribute-release',
+                optional: true,
+                submit: ['input[name="_eventId_proceed"]', 'button[name="_eventId_proceed"]']
+            }
+        ]
+    },
+
+    // Microsoft Entra ID: email and password are steps of one page, then "Stay signed in?"
+    microsoft: {
+        label: 'Microsoft Entra ID',
+        pages: [
+            {
+                name: 'email',
+                fields: [{ field: 'username', selectors: ['input[name="loginfmt"]', '#i0116'] }],
+                submit: ['#idSIButton9', 'input[type="submit"]'],
+                navigates: false
+            },
+            {
+                name: 'password',
+                fields: [{ field: 'password', selectors: ['input[name="passwd"]', '#i0118'] }],
+                submit: ['#idSIButton9', 'input[type="submit"]']
+            },
+            {
+                name: 'stay-signed-in',
+                optional: true,
+                submit: ['#idBtn_Back']
+            }
+        ]
+    },
+
+    google: {
+        label: 'Google',
+        pages: [
+            {
+                name: 'email',
+                fields: [{ field: 'username', selectors: ['#identifierId', 'input[type="email"]'] }],
+                submit: ['#identifierNext button', '#identifierNext'],
+                navigates: false
+            },
+            {
+                name: 'password',
+                fields: [{ field: 'password', selectors: ['input[name="Passwd"]', 'input[type="password"]'] }],
+                submit: ['#passwordNext button', '#passwordNext']
+            }
+        ]
+    }
+};
@@ -0,0 +1,128 @@
+// Login strategies. Each one is a named list of sign-in pages (see built-in.js) run by
+// runLoginPages(); a per-deployment profile can pin its own pages and selectors instead:
+//
+//   strategy.name, strategy.label, strategy.pages
+//   await detectLoginStrategy(page) -> strategy for the sign-in page the browser is on
+//   strategyFromProfile(profile) -> the profile's pages, or those of the built-in it names
+
+import { BUILT_IN_STRATEGIES } from './built-in.js';
+import { runLoginPages, findVisible, LoginError } from './run-pages.js';
+
+export { runLoginPages, findVisible, LoginError };
+
+export const LOGIN_STRATEGIES = Object.keys(BUILT_IN_STRATEGIES);
+
+const CREDENTIAL_FIELDS = ['username', 'password'];
+
+export class LoginProfileError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'LoginProfileError';
+        this.status = status;
+    }
+}
+
+export function createLoginStrategy(name) {
+    const strategy = BUILT_IN_STRATEGIES[name];
+    if (!strategy) {
+        throw new Error(`Unknown login strategy "${name}". Expected one of: ${LOGIN_STRATEGIES.join(', ')}`);
+    }
+    return { name, ...strategy };
+}
+
+// Identity provider hosts and paths first, then Canvas's own form; anything else is a generic two-step form
+export function detectStrategyFromUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+
+    if (/(^|\.)login\.(microsoftonline|live)\.com$/.test(parsed.hostname)) return 'microsoft';
+    if (parsed.hostname === 'accounts.google.com') return 'google';
+    if (/\/idp\/|\/adfs\/|shibboleth|saml/i.test(parsed.pathname)) return 'saml';
+    if (/^\/login\/canvas/.test(parsed.pathname)) return 'canvas';
+    return null;
+}
+
+export async function detectLoginStrategy(page) {
+    const fromUrl = detectStrategyFromUrl(page.url());
+    if (fromUrl) return createLoginStrategy(fromUrl);
+
+    const canvasForm = await page.$('#login_form input[name="pseudonym_session[unique_id]"]');
+    return createLoginStrategy(canvasForm ? 'canvas' : 'two_step');
+}
+
+export function strategyFromProfile(profile) {
+    if (profile.pages) {
+        return { name: `profile:${profile.name}`, label: `Profile "${profile.name}"`, pages: profile.pages };
+    }
+    return createLoginStrategy(profile.strategy);
+}
+
+const isSelectorList = value => Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.trim());
+
+function validatePage(page, idx) {
+    const where = `pages[${idx}]`;
+    if (!page || typeof page !== 'object') {
+        throw new LoginProfileError(`${where} must be an object`);
+    }
+    if (typeof page.name !== 'string' || !page.name.trim()) {
+        throw new LoginProfileError(`${where}.name is required`);
+    }
+    if (page.manual) return;
+
+    for (const [fieldIdx, field] of (page.fields || []).entries()) {
+        if (!CREDENTIAL_FIELDS.includes(field?.field)) {
+            throw new LoginProfileError(`${where}.fields[${fieldIdx}].field must be one of: ${CREDENTIAL_FIELDS.join(', ')}`);
+        }
+        if (!isSelectorList(field.selectors)) {
+            throw new LoginProfileError(`${where}.fields[${fieldIdx}].selectors must be a non-empty list of CSS selectors`);
+        }
+    }
+    if (page.submit !== undefined && !isSelectorList(page.submit)) {
+        throw new LoginProfileError(`${where}.submit must be a non-empty list of CSS selectors`);
+    }
+    if (!page.fields?.length && !page.submit) {
+        throw new LoginProfileError(`${where} needs fields, a submit button or manual: true`);
+    }
+}
+
+// Check a profile before it is stored and return it with only the known keys
+export function validateLoginProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+        throw new LoginProfileError('Profile must be an object');
+    }
+    if (typeof profile.name !== 'string' || !/^[\w-]{1,64}$/.test(profile.name)) {
+        throw new LoginProfileError('name may only contain letters, digits, dashes and underscores');
+    }
+    if (profile.hosts !== undefined && !(Array.isArray(profile.hosts) && profile.hosts.every(host => typeof host === 'string' && host))) {
+        throw new LoginProfileError('hosts must be a list of hostnames');
+    }
+    if (profile.loginUrl !== undefined) {
+        try {
+            new URL(profile.loginUrl);
+        } catch (e) {
+            throw new LoginProfileError('loginUrl must be an absolute URL');
+        }
+    }
+    if (profile.pages === undefined && !LOGIN_STRATEGIES.includes(profile.strategy)) {
+        throw new LoginProfileError(`A profile needs pages, or a strategy from: ${LOGIN_STRATEGIES.join(', ')}`);
+    }
+    if (profile.pages !== undefined) {
+        if (!Array.isArray(profile.pages) || !profile.pages.length) {
+            throw new LoginProfileError('pages must be a non-empty list');
+        }
+        profile.pages.forEach(validatePage);
+    }
+
+    return {
+        name: profile.name,
+        hosts: profile.hosts || [],
+        ...(profile.strategy ? { strategy: profile.strategy } : {}),
+        ...(profile.loginUrl ? { loginUrl: profile.loginUrl } : {}),
+        ...(profile.pages ? { pages: profile.pages } : {}),
+        manualMfa: profile.manualMfa === true
+    };
+}
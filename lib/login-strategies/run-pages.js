@@ -0,0 +1,105 @@
+// Drives a strategy's pages in a Puppeteer page: fill each field, submit, wait for the next page.
+
+export class LoginError extends Error {
+    constructor(message, page) {
+        super(message);
+        this.name = 'LoginError';
+        this.page = page;
+    }
+}
+
+// How long to look for something that might not be there (optional pages and fields)
+const OPTIONAL_TIMEOUT_MS = 3000;
+// Pause after a submit that does not load a new page, for the next step to render
+const SETTLE_MS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// First selector, in priority order, that matches a visible element within `timeout`.
+// Invalid selectors (e.g. :has-text on older Chromium) simply count as a miss.
+export async function findVisible(target, selectors, { timeout = 10000 } = {}) {
+    const deadline = Date.now() + timeout;
+    do {
+        for (const selector of selectors) {
+            try {
+                const handle = await target.$(selector);
+                if (handle && await handle.boundingBox()) return { selector, handle };
+            } catch (e) {
+                continue;
+            }
+        }
+        await sleep(250);
+    } while (Date.now() < deadline);
+    return null;
+}
+
+async function fill(page, handle, value) {
+    await handle.click({ clickCount: 3 });
+    await page.keyboard.press('Backspace');
+    await handle.type(value, { delay: 50 });
+}
+
+// `credentials` holds the username and password; `manualStep(page)` resolves once the user has
+// finished a manual page. Returns the names of the pages that ran.
+export async function runLoginPages(page, pages, { credentials, log = () => {}, manualStep, timeout = 10000, navigationTimeout = 30000 }) {
+    const ran = [];
+
+    for (const loginPage of pages) {
+        if (loginPage.manual) {
+            await manualStep(loginPage);
+            ran.push(loginPage.name);
+            continue;
+        }
+
+        const firstWait = loginPage.optional ? OPTIONAL_TIMEOUT_MS : timeout;
+        let lastField = null;
+        let skipped = false;
+
+        for (const [idx, field] of (loginPage.fields || []).entries()) {
+            const found = await findVisible(page, field.selectors, {
+                timeout: idx === 0 ? firstWait : (field.optional ? OPTIONAL_TIMEOUT_MS : timeout)
+            });
+
+            if (!found) {
+                if (field.optional) continue;
+                if (idx === 0 && loginPage.optional) {
+                    skipped = true;
+                    break;
+                }
+                throw new LoginError(`No ${field.field} field on the ${loginPage.name} page`, loginPage.name);
+            }
+
+            await fill(page, found.handle, credentials[field.field]);
+            log(`✓ Entered ${field.field} (${found.selector})`);
+            lastField = found.handle;
+        }
+
+        if (skipped) continue;
+
+        if (loginPage.submit) {
+            const button = await findVisible(page, loginPage.submit, { timeout: lastField ? OPTIONAL_TIMEOUT_MS : firstWait });
+            if (!button && !lastField) {
+                if (loginPage.optional) continue;
+                throw new LoginError(`No button to continue on the ${loginPage.name} page`, loginPage.name);
+            }
+
+            const submit = button ? () => button.handle.click() : () => lastField.press('Enter');
+            log(button ? `✓ Submitting ${loginPage.name} (${button.selector})` : `✓ Submitting ${loginPage.name} with Enter`);
+
+            if (loginPage.navigates === false) {
+                await submit();
+                await sleep(SETTLE_MS);
+            } else {
+                await Promise.all([
+                    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: navigationTimeout })
+                        .catch(() => log(`⚠️ No page load after the ${loginPage.name} page, carrying on`)),
+                    submit()
+                ]);
+            }
+        }
+
+        ran.push(loginPage.name);
+    }
+
+    return ran;
+}
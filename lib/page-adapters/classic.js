@@ -0,0 +1,145 @@
+// Classic Quizzes engine: questions render directly in the Canvas page as .question blocks.
+
+import { QUESTION_TYPES } from '../question-types.js';
+import { findFirst } from './find-first.js';
+import { evaluateWithRichContent } from '../rich-content.js';
+
+export class ClassicQuizAdapter {
+    constructor() {
+        this.name = 'classic';
+        this.label = 'Classic Quizzes';
+    }
+
+    // "Take the Quiz" / "Resume Quiz" on the quiz landing page
+    startSelectors({ mode } = {}) {
+        const selectors = [
+            'a.btn:has-text("Take the Quiz")',
+            'button:has-text("Take the Quiz")',
+            'a:has-text("Resume Quiz")',
+            'button:has-text("Resume")',
+            '.take_quiz_button',
+            '#take_quiz_link'
+        ];
+
+        // Instructors auditing their own course start from the quiz preview
+        if (mode === 'audit') {
+            selectors.unshift('#preview_quiz_button', 'a.preview_quiz_button');
+        }
+
+        return selectors;
+    }
+
+    get submitSelectors() {
+        return [
+            'button.submit_quiz_button',
+            'button:has-text("Submit Quiz")',
+            'input[value="Submit Quiz"]',
+            '.quiz_submit'
+        ];
+    }
+
+    get confirmSelectors() {
+        return ['button:has-text("Submit"), button:has-text("OK"), button:has-text("Yes")'];
+    }
+
+    // Clicking start loads the take page as a full navigation
+    async start(page, options) {
+        const found = await findFirst(page, this.startSelectors(options));
+        if (!found) return { started: false, selector: null };
+
+        await Promise.all([
+            page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }),
+            found.handle.click()
+        ]);
+        return { started: true, selector: found.selector };
+    }
+
+    // Questions live in the top-level page
+    async quizFrame(page) {
+        return page.mainFrame();
+    }
+
+    async extractQuestions(frame) {
+        return evaluateWithRichContent(frame, (richContent, questionTypes) => {
+            const questionElements = document.querySelectorAll('.question');
+            const extractedQuestions = [];
+
+            const selectOptions = select => Array.from(select.options)
+                .filter(opt => opt.value !== '')
+                .map(opt => ({ value: opt.value, text: opt.textContent.trim() }));
+
+            questionElements.forEach((element, index) => {
+                const textElement = element.querySelector('.question_text') || element.querySelector('.text');
+
+                // Prefer the exact Canvas class, fall back to a looser match for older markup
+                const type = questionTypes.find(t => element.classList.contains(`${t}_question`)) ||
+                           questionTypes.find(t => element.className.includes(t)) || 'unknown';
+
+                let stem = textElement ? richContent(textElement) : { text: '', images: [] };
+                let blanks;
+
+                // Inline blanks and dropdowns become [1], [2], ... markers in the stem
+                if ((type === 'fill_in_multiple_blanks' || type === 'multiple_dropdowns') && textElement) {
+                    const marked = textElement.cloneNode(true);
+                    const fields = Array.from(textElement.querySelectorAll('input.question_input, select.question_input, input[type="text"], select'));
+                    Array.from(marked.querySelectorAll('input.question_input, select.question_input, input[type="text"], select'))
+                        .forEach((field, idx) => field.replaceWith(`[${idx + 1}]`));
+
+                    stem = richContent(marked);
+                    blanks = fields.map(field => ({
+                        id: field.name || field.id,
+                        options: field.tagName === 'SELECT' ? selectOptions(field) : []
+                    }));
+                }
+
+                const options = [];
+                if (['multiple_choice', 'true_false', 'multiple_answers', 'unknown'].includes(type)) {
+                    element.querySelectorAll('.answer').forEach(answer => {
+                        const label = answer.querySelector('label');
+                        const input = answer.querySelector('input');
+                        if (label && input) {
+                            options.push({
+                                text: richContent(label).text,
+                                id: input.id,
+                                value: input.value
+                            });
+                        }
+                    });
+                }
+
+                // Matching: each row has its left-hand text and a select listing the right-hand column
+                let matching;
+                if (type === 'matching') {
+                    const rows = Array.from(element.querySelectorAll('.answer'))
+                        .filter(row => row.querySelector('select'));
+                    matching = {
+                        left: rows.map(row => {
+                            const select = row.querySelector('select');
+                            const left = row.querySelector('.answer_match_left') || row.querySelector('label');
+                            return {
+                                id: select.name || select.id,
+                                text: left ? richContent(left).text : ''
+                            };
+                        }),
+                        right: rows.length ? selectOptions(rows[0].querySelector('select')) : []
+                    };
+                }
+
+                const question = {
+                    id: element.id || `question_${index}`,
+                    text: stem.text,
+                    type: type,
+                    options: options,
+                    element: element.id
+                };
+                if (stem.images.length) question.images = stem.images;
+                if (blanks) question.blanks = blanks;
+                if (matching) question.matching = matching;
+
+                extractedQuestions.push(question);
+            });
+
+            return extractedQuestions;
+        }, QUESTION_TYPES);
+    }
+}
@@ -0,0 +1,14 @@
+// First selector in the list that shows up on the page or frame, with its element handle.
+// Invalid selectors (e.g. :has-text on older Chromium) simply count as a miss.
+
+export async function findFirst(target, selectors, { timeout = 5000 } = {}) {
+    for (const selector of selectors) {
+        try {
+            const handle = await target.waitForSelector(selector, { timeout });
+            if (handle) return { selector, handle };
+        } catch (e) {
+            continue;
+        }
+    }
+    return null;
+}
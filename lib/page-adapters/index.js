@@ -0,0 +1,57 @@
+// Quiz page adapters. Each engine knows how to start the quiz, which frame the questions
+// live in, how to extract them and which buttons submit:
+//
+//   adapter.name, adapter.label
+//   await adapter.start(page, { mode }) -> { started, selector }
+//   await adapter.quizFrame(page) -> Frame
+//   await adapter.extractQuestions(frame) -> questions
+//   adapter.submitSelectors, adapter.confirmSelectors
+
+import { ClassicQuizAdapter } from './classic.js';
+import { NewQuizzesAdapter, NEW_QUIZZES_FRAME_SELECTOR } from './new-quizzes.js';
+import { findFirst } from './find-first.js';
+
+export { ClassicQuizAdapter, NewQuizzesAdapter, findFirst };
+
+export const QUIZ_ENGINES = ['classic', 'new_quizzes'];
+
+export function createPageAdapter(engine) {
+    switch (engine) {
+        case 'classic':
+            return new ClassicQuizAdapter();
+        case 'new_quizzes':
+            return new NewQuizzesAdapter();
+        default:
+            throw new Error(`Unknown quiz engine "${engine}". Expected one of: ${QUIZ_ENGINES.join(', ')}`);
+    }
+}
+
+// Classic quizzes live under /quizzes/; New Quizzes launch from an assignment or the quiz LTI host
+export function detectEngineFromUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+
+    if (parsed.hostname.includes('quiz-lti')) return 'new_quizzes';
+    if (/\/courses\/[^/]+\/quizzes\/\d+/.test(parsed.pathname)) return 'classic';
+    if (/\/courses\/[^/]+\/assignments\/\d+/.test(parsed.pathname)) return 'new_quizzes';
+    return null;
+}
+
+// Pick the adapter for the page the browser is on; an explicit engine skips detection
+export async function detectPageAdapter(page, { engine = 'auto' } = {}) {
+    if (engine && engine !== 'auto') {
+        return createPageAdapter(engine);
+    }
+
+    const fromUrl = detectEngineFromUrl(page.url());
+    if (fromUrl === 'classic') {
+        return createPageAdapter('classic');
+    }
+
+    const ltiFrame = await page.$(NEW_QUIZZES_FRAME_SELECTOR);
+    return createPageAdapter(ltiFrame || fromUrl === 'new_quizzes' ? 'new_quizzes' : 'classic');
+}
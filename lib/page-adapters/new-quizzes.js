@@ -0,0 +1,164 @@
+// New Quizzes engine: the quiz LTI tool renders a React app inside an iframe on the assignment page.
+// There are no Canvas question classes in there, so questions are found by their automation
+// attributes and typed from the interaction type, falling back to the inputs they contain.
+
+import { findFirst } from './find-first.js';
+import { evaluateWithRichContent } from '../rich-content.js';
+
+export const NEW_QUIZZES_FRAME_SELECTOR = 'iframe#tool_content, iframe[src*="quiz-lti"], iframe[name="tool_content"]';
+
+const QUESTION_SELECTOR = '[data-automation="sdk-question-item"]';
+
+// New Quizzes interaction types mapped onto the classic type names the rest of the bot uses
+const INTERACTION_TYPES = {
+    'choice': 'multiple_choice',
+    'true-false': 'true_false',
+    'multi-answer': 'multiple_answers',
+    'essay': 'essay',
+    'numeric': 'numerical',
+    'formula': 'calculated',
+    'rich-fill-blank': 'fill_in_multiple_blanks',
+    'matching': 'matching',
+    'file-upload': 'file_upload',
+    'stimulus': 'text_only'
+};
+
+export class NewQuizzesAdapter {
+    constructor() {
+        this.name = 'new_quizzes';
+        this.label = 'New Quizzes';
+    }
+
+    startSelectors() {
+        return [
+            'button[data-automation="sdk-begin-button"]',
+            'button[data-automation="sdk-resume-button"]',
+            'button:has-text("Begin")',
+            'button:has-text("Resume")'
+        ];
+    }
+
+    get submitSelectors() {
+        return [
+            'button[data-automation="sdk-submit-button"]',
+            'button:has-text("Submit")'
+        ];
+    }
+
+    get confirmSelectors() {
+        return ['button[data-automation="sdk-confirm-submit-button"]'];
+    }
+
+    // The take view renders inside the LTI frame without a top-level navigation
+    async start(page, options) {
+        const frame = await this.quizFrame(page);
+        const found = await findFirst(frame, this.startSelectors(options));
+        if (!found) return { started: false, selector: null };
+
+        await found.handle.click();
+        await frame.waitForSelector(QUESTION_SELECTOR, { timeout: 30000 });
+        return { started: true, selector: found.selector };
+    }
+
+    async quizFrame(page) {
+        const iframe = await page.waitForSelector(NEW_QUIZZES_FRAME_SELECTOR, { timeout: 15000 });
+        const frame = await iframe.contentFrame();
+        if (!frame) {
+            throw new Error('New Quizzes frame has no content');
+        }
+        await frame.waitForSelector('body', { timeout: 30000 });
+        return frame;
+    }
+
+    async extractQuestions(frame) {
+        return evaluateWithRichContent(frame, (richContent, questionSelector, interactionTypes) => {
+            const selectOptions = select => Array.from(select.options)
+                .filter(opt => opt.value !== '')
+                .map(opt => ({ value: opt.value, text: opt.textContent.trim() }));
+
+            const labelText = input => {
+                const label = input.closest('label') ||
+                    (input.id && document.querySelector(`label[for="${CSS.escape(input.id)}"]`));
+                return label ? richContent(label).text : input.value;
+            };
+
+            // React markup has no stable IDs; give every field one the bot can target when answering
+            const fieldId = (field, fallback) => {
+                if (!field.name && !field.id) field.id = fallback;
+                return field.name || field.id;
+            };
+
+            return Array.from(document.querySelectorAll(questionSelector)).map((element, index) => {
+                if (!element.id) element.id = element.dataset.itemId || `new_quiz_question_${index + 1}`;
+
+                const body = element.querySelector('[data-automation="sdk-item-body"]') || element;
+                const inlineFields = Array.from(body.querySelectorAll('input[type="text"], input:not([type]), select'));
+                const choices = Array.from(element.querySelectorAll('input[type="radio"], input[type="checkbox"]'));
+                const matchingRows = Array.from(element.querySelectorAll('[data-automation="sdk-matching-row"]'))
+                    .filter(row => row.querySelector('select'));
+
+                let type = interactionTypes[element.dataset.interactionType];
+                if (!type) {
+                    if (matchingRows.length) type = 'matching';
+                    else if (choices.some(input => input.type === 'checkbox')) type = 'multiple_answers';
+                    else if (choices.length) type = 'multiple_choice';
+                    else if (inlineFields.length) type = 'fill_in_multiple_blanks';
+                    else if (element.querySelector('textarea')) type = 'essay';
+                    else if (element.querySelector('input[type="file"]')) type = 'file_upload';
+                    else if (element.querySelector('input[type="text"]')) type = 'short_answer';
+                    else type = 'unknown';
+                }
+
+                // Fill-in-the-blank items made only of dropdowns behave like classic multiple dropdowns
+                if (type === 'fill_in_multiple_blanks' && inlineFields.length && inlineFields.every(field => field.tagName === 'SELECT')) {
+                    type = 'multiple_dropdowns';
+                }
+
+                let stem = richContent(body);
+                let blanks;
+                if (type === 'fill_in_multiple_blanks' || type === 'multiple_dropdowns') {
+                    blanks = inlineFields.map((field, idx) => ({
+                        id: fieldId(field, `${element.id}_blank_${idx + 1}`),
+                        options: field.tagName === 'SELECT' ? selectOptions(field) : []
+                    }));
+
+                    const marked = body.cloneNode(true);
+                    Array.from(marked.querySelectorAll('input[type="text"], input:not([type]), select'))
+                        .forEach((field, idx) => field.replaceWith(`[${idx + 1}]`));
+                    stem = richContent(marked);
+                }
+
+                const options = ['multiple_choice', 'true_false', 'multiple_answers'].includes(type)
+                    ? choices.map((input, idx) => {
+                        if (!input.id) input.id = `${element.id}_option_${idx + 1}`;
+                        return { text: labelText(input), id: input.id, value: input.value };
+                    })
+                    : [];
+
+                let matching;
+                if (type === 'matching') {
+                    const selects = matchingRows.map(row => row.querySelector('select'));
+                    matching = {
+                        left: matchingRows.map((row, idx) => ({
+                            id: fieldId(row.querySelector('select'), `${element.id}_match_${idx + 1}`),
+                            text: richContent(row.querySelector('[data-automation="sdk-matching-left"]') || row).text
+                        })),
+                        right: selects.length ? selectOptions(selects[0]) : []
+                    };
+                }
+
+                const question = {
+                    id: element.id,
+                    text: stem.text,
+                    type,
+                    options,
+                    element: element.id
+                };
+                if (stem.images.length) question.images = stem.images;
+                if (blanks) question.blanks = blanks;
+                if (matching) question.matching = matching;
+                return question;
+            });
+        }, QUESTION_SELECTOR, INTERACTION_TYPES);
+    }
+}
@@ -0,0 +1,41 @@
+import { Groq, APIConnectionError } from 'groq-sdk';
+import { ProviderError, parseRetryAfter } from './provider-error.js';
+
+export const GROQ_DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+
+export class GroqProvider {
+    constructor({ apiKey }) {
+        if (!apiKey) {
+            throw new ProviderError('Groq API key is required', { provider: 'groq' });
+        }
+        this.name = 'groq';
+        this.defaultModel = GROQ_DEFAULT_MODEL;
+        // The bot retries transient errors itself, with backoff shared across providers
+        this.client = new Groq({ apiKey, maxRetries: 0 });
+    }
+
+    async complete({ messages, model, temperature, maxTokens, json }) {
+        try {
+            const completion = await this.client.chat.completions.create({
+                messages,
+                model: model || this.defaultModel,
+                temperature,
+                max_tokens: maxTokens,
+                ...(json ? { response_format: { type: 'json_object' } } : {})
+            });
+
+            return {
+                content: completion.choices[0]?.message?.content?.trim() || '',
+                usage: completion.usage || null
+            };
+        } catch (error) {
+            // Connection errors and timeouts from the SDK carry no status but are worth retrying
+            throw new ProviderError(error.message, {
+                provider: this.name,
+                status: error.status,
+                retryable: error instanceof APIConnectionError || undefined,
+                retryAfterMs: parseRetryAfter(error.headers?.['retry-after'])
+            });
+        }
+    }
+}
@@ -0,0 +1,29 @@
+// LLM provider layer. Every adapter exposes the same interface:
+//
+//   provider.name, provider.defaultModel
+//   await provider.complete({ messages, model, temperature, maxTokens, json }) -> { content, usage }
+
+import { GroqProvider } from './groq.js';
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { StubProvider } from './stub.js';
+import { ProviderError, RETRYABLE_STATUSES } from './provider-error.js';
+
+export { GroqProvider, OpenAICompatibleProvider, StubProvider, ProviderError, RETRYABLE_STATUSES };
+
+export const PROVIDERS = ['groq', 'openai', 'stub'];
+
+export const DEFAULT_TEMPERATURE = 0.3;
+export const DEFAULT_MAX_TOKENS = 500;
+
+export function createProvider({ provider = 'groq', apiKey, baseUrl, model, responder } = {}) {
+    switch (provider) {
+        case 'groq':
+            return new GroqProvider({ apiKey });
+        case 'openai':
+            return new OpenAICompatibleProvider({ baseUrl, apiKey, defaultModel: model });
+        case 'stub':
+            return new StubProvider({ responder });
+        default:
+            throw new ProviderError(`Unknown provider "${provider}". Expected one of: ${PROVIDERS.join(', ')}`, { provider });
+    }
+}
@@ -0,0 +1,57 @@
+// Any server speaking the OpenAI chat completions API: OpenAI itself, a local
+// llama.cpp server (`llama-server`), Ollama (`/v1`), vLLM, LM Studio, ...
+
+import { ProviderError, parseRetryAfter } from './provider-error.js';
+
+export const OPENAI_DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+export class OpenAICompatibleProvider {
+    constructor({ baseUrl, apiKey, defaultModel }) {
+        this.name = 'openai';
+        this.baseUrl = (baseUrl || OPENAI_DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.defaultModel = defaultModel;
+    }
+
+    async complete({ messages, model, temperature, maxTokens, json }) {
+        const resolvedModel = model || this.defaultModel;
+        if (!resolvedModel) {
+            throw new ProviderError('A model name is required for OpenAI-compatible providers', { provider: this.name });
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+                },
+                body: JSON.stringify({
+                    model: resolvedModel,
+                    messages,
+                    temperature,
+                    max_tokens: maxTokens,
+                    ...(json ? { response_format: { type: 'json_object' } } : {})
+                })
+            });
+        } catch (error) {
+            throw new ProviderError(`Could not reach ${this.baseUrl}: ${error.message}`, { provider: this.name, retryable: true });
+        }
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            throw new ProviderError(`${response.status} ${response.statusText}: ${body.slice(0, 200)}`, {
+                provider: this.name,
+                status: response.status,
+                retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+            });
+        }
+
+        const completion = await response.json();
+        return {
+            content: completion.choices?.[0]?.message?.content?.trim() || '',
+            usage: completion.usage || null
+        };
+    }
+}
@@ -0,0 +1,27 @@
+// Error raised by any provider adapter. `status` carries the HTTP status when there is one.
+// `retryable` marks failures worth trying again (rate limits, overload, dropped connections) and
+// `retryAfterMs` the wait the server asked for, if it sent a Retry-After header.
+
+export const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504];
+
+export class ProviderError extends Error {
+    constructor(message, { provider, status, retryable, retryAfterMs } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.retryable = retryable ?? RETRYABLE_STATUSES.includes(status);
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
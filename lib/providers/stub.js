@@ -0,0 +1,67 @@
+// Deterministic offline provider for tests and demos. Never calls the network.
+// Pass `responder(messages) => string` to script replies; otherwise it answers
+// every prompt with well-formed JSON derived from a hash of the prompt.
+
+import crypto from 'crypto';
+
+// Message content is a string, or an array of parts when images are attached; only text counts
+function messageText(message) {
+    if (!Array.isArray(message.content)) return String(message.content);
+    return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+export class StubProvider {
+    constructor({ responder } = {}) {
+        this.name = 'stub';
+        this.defaultModel = 'stub';
+        this.responder = responder || defaultResponder;
+        this.calls = [];
+    }
+
+    async complete({ messages, model }) {
+        this.calls.push({ messages, model });
+        const content = await this.responder(messages);
+        const promptTokens = messages.reduce((total, message) => total + Math.ceil(messageText(message).length / 4), 0);
+        const completionTokens = Math.ceil(content.length / 4);
+        return {
+            content,
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+}
+
+function defaultResponder(messages) {
+    const prompt = messages.map(messageText).join('\n');
+
+    if (prompt.includes('"issues"')) {
+        return JSON.stringify({ issues: [], summary: 'Stub review: no issues found.', suggestedRevision: '' });
+    }
+
+    const hash = crypto.createHash('sha256').update(prompt).digest();
+    const letters = (prompt.match(/^[A-Z]\. /gm) || []).map(line => line[0]);
+
+    let choice = 'stub answer';
+    if (prompt.includes('an object mapping every')) {
+        // Keyed answers: matching items are numbered lines, blanks and dropdowns are [n] markers
+        const keys = prompt.includes('every item number')
+            ? (prompt.match(/^\d+\. /gm) || []).map(line => line.split('.')[0])
+            : [...new Set((prompt.match(/\[(\d+)\]/g) || []).map(marker => marker.slice(1, -1)))];
+        const value = prompt.includes('to the letter') ? 'A' : 'stub';
+        choice = Object.fromEntries(keys.map(key => [key, value]));
+    } else if (prompt.includes('the numeric answer')) {
+        choice = hash[0];
+    } else if (letters.length) {
+        choice = prompt.includes('ALL correct options') ? [letters[0]] : letters[hash[0] % letters.length];
+    }
+
+    return JSON.stringify({
+        choice,
+        explanation: 'Deterministic stub explanation.',
+        confidence: 0.5,
+        keyConcepts: ['stub']
+    });
+}
@@ -0,0 +1,77 @@
+// Canvas classic question types and how their sub-fields are described to the model and in exports.
+// Blanks and dropdowns are numbered in page order and appear as [1], [2], ... in the question text;
+// matching items are numbered on the left and lettered on the right.
+
+// Each type is detected from the `<type>_question` class Canvas puts on the question element
+export const QUESTION_TYPES = [
+    'multiple_choice',
+    'true_false',
+    'multiple_answers',
+    'short_answer',
+    'essay',
+    'matching',
+    'multiple_dropdowns',
+    'fill_in_multiple_blanks',
+    'numerical',
+    'calculated',
+    'file_upload',
+    'text_only'
+];
+
+// Answers are keyed by blank, dropdown or matching item number
+export const KEYED_TYPES = ['matching', 'multiple_dropdowns', 'fill_in_multiple_blanks'];
+
+export const NUMERIC_TYPES = ['numerical', 'calculated'];
+
+// Kept in study sheets and exports, but there is nothing the bot can fill in
+export const NO_ANSWER_TYPES = ['file_upload', 'text_only'];
+
+export function optionLetter(index) {
+    return String.fromCharCode(65 + index);
+}
+
+// The keys a keyed answer must use, as strings: "1", "2", ...
+export function answerKeys(question) {
+    const fields = question.type === 'matching'
+        ? question.matching?.left || []
+        : question.blanks || [];
+    return fields.map((_, idx) => String(idx + 1));
+}
+
+// Prompt-ready lines describing everything the student sees besides the stem
+export function describeQuestion(question) {
+    const lines = [];
+
+    if (question.type === 'matching' && question.matching) {
+        lines.push('Items:');
+        question.matching.left.forEach((item, idx) => lines.push(`${idx + 1}. ${item.text}`));
+        lines.push('Options:');
+        question.matching.right.forEach((opt, idx) => lines.push(`${optionLetter(idx)}. ${opt.text}`));
+    } else if (question.type === 'multiple_dropdowns' && question.blanks) {
+        lines.push('Dropdowns:');
+        question.blanks.forEach((blank, idx) => {
+            lines.push(`[${idx + 1}] ${blank.options.map((opt, i) => `${optionLetter(i)}. ${opt.text}`).join(' | ')}`);
+        });
+    } else if (question.type === 'fill_in_multiple_blanks' && question.blanks) {
+        lines.push(`Blanks: ${question.blanks.map((_, idx) => `[${idx + 1}]`).join(', ')}`);
+    } else if (question.options && question.options.length) {
+        lines.push('Options:');
+        question.options.forEach((opt, idx) => lines.push(`${optionLetter(idx)}. ${opt.text}`));
+    }
+
+    return lines;
+}
+
+// What study sheets say for items the bot cannot answer
+export const NO_ANSWER_NOTES = {
+    file_upload: 'File upload item: prepare the file yourself and attach it in Canvas.',
+    text_only: 'Informational text, no answer required.'
+};
+
+// Sub-fields worth carrying onto study, audit and answer records
+export function subFields(question) {
+    const fields = {};
+    if (question.blanks) fields.blanks = question.blanks;
+    if (question.matching) fields.matching = question.matching;
+    return fields;
+}
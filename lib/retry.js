@@ -0,0 +1,38 @@
+// Retry with exponential backoff for transient failures, e.g. a provider answering 429.
+// Waits grow as baseDelayMs * 2^attempt with jitter, capped at maxDelayMs, and never undercut
+// a Retry-After the server sent.
+
+export const DEFAULT_RETRY = {
+    retries: 4,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Half the exponential step plus a random share of the other half, so parallel callers spread out
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY, random = Math.random) {
+    const step = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(step / 2 + random() * step / 2);
+}
+
+export async function withRetry(fn, {
+    retries = DEFAULT_RETRY.retries,
+    baseDelayMs = DEFAULT_RETRY.baseDelayMs,
+    maxDelayMs = DEFAULT_RETRY.maxDelayMs,
+    shouldRetry = error => error?.retryable === true,
+    onRetry,
+    wait = sleep
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) throw error;
+
+            const delayMs = Math.min(maxDelayMs, Math.max(error.retryAfterMs || 0, backoffDelay(attempt, { baseDelayMs, maxDelayMs })));
+            onRetry?.(error, attempt + 1, delayMs);
+            await wait(delayMs);
+        }
+    }
+}
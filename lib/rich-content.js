@@ -0,0 +1,190 @@
+// Rich question content. innerText drops equations, code formatting and images, so question
+// and option markup is serialized to a Markdown-like string instead:
+//
+//   inline math  \( x^2 \)       display math  \[ \frac{a}{b} \]
+//   code         `x` and ```lang fenced blocks with whitespace kept
+//   images       ![alt text](https://...)
+
+// Runs in the browser: keep it self-contained, it is sent to the page as source
+export function serializeRichContent(root) {
+    const images = [];
+    const blockTags = ['P', 'DIV', 'LI', 'UL', 'OL', 'TABLE', 'TR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'SECTION', 'FIGURE'];
+    const skippedClasses = ['hidden-readable', 'screenreader-only'];
+    const mathjaxOutput = ['MathJax_Preview', 'MathJax', 'MathJax_Display', 'MathJax_CHTML', 'MathJax_SVG'];
+
+    const math = (tex, display) => (display ? `\n\\[ ${tex.trim()} \\]\n` : `\\( ${tex.trim()} \\)`);
+    const hasClass = (node, names) => names.some(name => node.classList && node.classList.contains(name));
+
+    // MathJax 3 keeps the original TeX on its math items, not in the DOM
+    const mathJaxSource = node => {
+        try {
+            const items = window.MathJax.startup.document.getMathItemsWithin(node);
+            return items.length ? items[0].math : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const walk = node => {
+        if (node.nodeType === 3) return node.textContent.replace(/\s+/g, ' ');
+        if (node.nodeType !== 1) return '';
+
+        const tag = node.tagName.toUpperCase();
+        const children = () => Array.from(node.childNodes).map(walk).join('');
+
+        if (tag === 'MJX-CONTAINER') {
+            const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+            const tex = annotation ? annotation.textContent : mathJaxSource(node);
+            return tex ? math(tex, node.getAttribute('display') === 'true') : node.textContent;
+        }
+        if (hasClass(node, skippedClasses) || hasClass(node, mathjaxOutput)) return '';
+
+        // MathJax 2 leaves the source in a script tag next to its rendering
+        if (tag === 'SCRIPT') {
+            const type = node.getAttribute('type') || '';
+            return type.startsWith('math/tex') ? math(node.textContent, type.includes('mode=display')) : '';
+        }
+        if (tag === 'STYLE' || tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return '';
+
+        if (tag === 'MATH') {
+            const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+            const tex = annotation ? annotation.textContent : node.getAttribute('alttext');
+            return tex ? math(tex, node.getAttribute('display') === 'block') : node.textContent;
+        }
+
+        if (tag === 'IMG') {
+            // Canvas' equation editor renders LaTeX as an image with the source attached
+            const equation = node.getAttribute('data-equation-content');
+            if (equation) return math(equation, false);
+
+            const src = node.src || node.getAttribute('src') || '';
+            const alt = (node.getAttribute('alt') || '').trim();
+            images.push({ src, alt });
+            return `![${alt}](${src})`;
+        }
+
+        if (tag === 'PRE') {
+            const codeElement = node.querySelector('code') || node;
+            const language = ((codeElement.getAttribute('class') || '').match(/language-([\w+-]+)/) || [])[1] || '';
+            return `\n\`\`\`${language}\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n`;
+        }
+        if (tag === 'CODE') return `\`${node.textContent}\``;
+        if (tag === 'BR') return '\n';
+        if (tag === 'SUP') return `^{${children()}}`;
+        if (tag === 'SUB') return `_{${children()}}`;
+
+        return blockTags.includes(tag) ? `\n${children()}\n` : children();
+    };
+
+    // Tidy whitespace everywhere except inside fenced code
+    const text = walk(root)
+        .split(/(\n```[^\n]*\n[\s\S]*?\n```\n)/)
+        .map((part, idx) => (idx % 2 ? part : part
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n[ \t]+/g, '\n')
+            .replace(/[ \t]{2,}/g, ' ')))
+        .join('')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return { text, images };
+}
+
+// Run pageFunction in a page or frame with serializeRichContent as its first argument.
+// Functions cannot be passed to evaluate() as arguments, so both travel as source.
+export function evaluateWithRichContent(frame, pageFunction, ...args) {
+    return frame.evaluate(`(${pageFunction})(${serializeRichContent}, ...${JSON.stringify(args)})`);
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+        if (name[0] !== '#') return HTML_ENTITIES[name.toLowerCase()] ?? match;
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    });
+}
+
+function attributeOf(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+    return match ? decodeEntities(match[1] ?? match[2]).trim() : '';
+}
+
+const stripTags = html => decodeEntities(html.replace(/<[^>]*>/g, ''));
+
+// serializeRichContent() for HTML that never reaches a browser, e.g. question_text from the Canvas
+// REST API. Math, code and images are set aside as placeholders so tag stripping cannot touch them.
+export function htmlToRichText(html) {
+    const kept = [];
+    const keep = value => `\u0000${kept.push(value) - 1}\u0000`;
+
+    const text = String(html ?? '')
+        .replace(/<(style|textarea|select)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi, (match, attrs, tex) => {
+            const type = attributeOf(attrs, 'type');
+            return type.startsWith('math/tex')
+                ? keep(type.includes('mode=display') ? `\n\\[ ${tex.trim()} \\]\n` : `\\( ${tex.trim()} \\)`)
+                : '';
+        })
+        .replace(/<pre\b([^>]*)>([\s\S]*?)<\/pre>/gi, (match, attrs, inner) => {
+            const language = ((attrs + inner).match(/language-([\w+-]+)/) || [])[1] || '';
+            return keep(`\n\`\`\`${language}\n${stripTags(inner).replace(/\n$/, '')}\n\`\`\`\n`);
+        })
+        .replace(/<code\b[^>]*>([\s\S]*?)<\/code>/gi, (match, inner) => keep(`\`${stripTags(inner)}\``))
+        .replace(/<img\b[^>]*>/gi, tag => {
+            const equation = attributeOf(tag, 'data-equation-content');
+            return keep(equation ? `\\( ${equation} \\)` : `![${attributeOf(tag, 'alt')}](${attributeOf(tag, 'src')})`);
+        })
+        .replace(/<sup\b[^>]*>([\s\S]*?)<\/sup>/gi, '^{$1}')
+        .replace(/<sub\b[^>]*>([\s\S]*?)<\/sub>/gi, '_{$1}')
+        .replace(/\s+/g, ' ')
+        .replace(/<br\b[^>]*>/gi, '\n')
+        .replace(/<\/?(p|div|li|ul|ol|table|tr|h[1-6]|blockquote|section|figure)\b[^>]*>/gi, '\n');
+
+    return stripTags(text)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n[ \t]+/g, '\n')
+        .replace(/[ \t]{2,}/g, ' ')
+        .replace(/\u0000(\d+)\u0000/g, (match, idx) => kept[Number(idx)])
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+const RICH_MARKERS = /\\\(|\\\[|```|`[^`\n]+`|!\[[^\]]*\]\(/;
+
+// Whether a serialized string uses any of the notation above, so prompts can explain it
+export function hasRichContent(text) {
+    return RICH_MARKERS.test(String(text ?? ''));
+}
+
+export const RICH_CONTENT_NOTE = 'Math is written in LaTeX between \\( \\) or \\[ \\], code in Markdown backticks or fences, ' +
+    'and images as ![alt text](url).';
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+const escapeAttribute = value => value.replace(/"/g, '&quot;');
+
+// Rich text as HTML for exports. Math stays as \( \) / \[ \] delimiters, which Anki and Canvas render.
+export function richTextToHtml(text) {
+    return String(text ?? '')
+        .split(/(```[^\n]*\n[\s\S]*?\n```)/)
+        .map((part, idx) => {
+            if (idx % 2) {
+                const [, language, code] = part.match(/```([^\n]*)\n([\s\S]*?)\n```/);
+                const attr = language ? ` class="language-${escapeAttribute(escapeHtml(language))}"` : '';
+                return `<pre><code${attr}>${escapeHtml(code)}</code></pre>`;
+            }
+            return escapeHtml(part)
+                .replace(/!\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)/g,
+                    (match, alt, src) => `<img src="${escapeAttribute(src)}" alt="${escapeAttribute(alt)}">`)
+                .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+                .replace(/\n/g, '<br>');
+        })
+        .join('');
+}
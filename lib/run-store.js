@@ -0,0 +1,93 @@
+// Run history persisted as JSON lines: one finished session per line, appended as runs complete.
+
+import fs from 'fs';
+import path from 'path';
+
+// Only these config fields are kept on a run record; anything secret never reaches the store
+const PERSISTED_CONFIG_FIELDS = [
+    'mode', 'provider', 'model', 'temperature', 'maxTokens', 'baseUrl',
+    'canvasUrl', 'loginUrl', 'quizEngine', 'questionScreenshots', 'headless', 'autoSubmit', 'delayMin', 'delayMax',
+    'concurrency', 'tokensPerMinute', 'useCache', 'courseId', 'useCourseNotes',
+    'loginStrategy', 'loginProfile', 'manualMfa', 'questionSource'
+];
+
+export function sanitizeConfig(config) {
+    const sanitized = Object.fromEntries(PERSISTED_CONFIG_FIELDS
+        .filter(field => config[field] !== undefined)
+        .map(field => [field, config[field]]));
+
+    // Ensemble members keep their provider and model but not which vault key they used
+    if (config.ensemble) {
+        sanitized.ensemble = {
+            samples: config.ensemble.samples,
+            members: (config.ensemble.members || []).map(({ apiKeyCredentialId, ...member }) => member)
+        };
+    }
+    return sanitized;
+}
+
+export class RunStore {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+    }
+
+    static fromEnv(env = process.env) {
+        return new RunStore({
+            filePath: env.RUNS_PATH || path.join(process.cwd(), 'data', 'runs.jsonl')
+        });
+    }
+
+    append(record) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n', { mode: 0o600 });
+    }
+
+    // Every stored record, skipping a torn last line if the process died mid-write
+    readAll() {
+        if (!fs.existsSync(this.filePath)) return [];
+
+        return fs.readFileSync(this.filePath, 'utf-8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    // A resumed session appends again under the same ID; its latest record wins
+    latest() {
+        const byId = new Map();
+        this.readAll().forEach(run => {
+            byId.delete(run.id);
+            byId.set(run.id, run);
+        });
+        return Array.from(byId.values());
+    }
+
+    // Newest first, without the heavy question and result payloads
+    list() {
+        return this.latest()
+            .map(run => ({
+                id: run.id,
+                mode: run.mode,
+                status: run.status,
+                canvasUrl: run.config?.canvasUrl,
+                startedAt: run.startedAt,
+                finishedAt: run.finishedAt,
+                durationMs: run.durationMs,
+                questionCount: run.questions?.length || 0,
+                totalTokens: run.usage?.totalTokens ?? null,
+                errorCount: run.errors?.length || 0
+            }))
+            .reverse();
+    }
+
+    get(id) {
+        return this.readAll().findLast(run => run.id === id) || null;
+    }
+}
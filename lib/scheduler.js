@@ -0,0 +1,114 @@
+// Bounded-concurrency scheduler for model calls, with an optional tokens-per-minute budget.
+//
+//   const scheduler = new ModelScheduler({ concurrency: 3, budget: sharedBudget('groq:key-id', 6000) });
+//   const { content, usage } = await scheduler.schedule(() => provider.complete(...), { tokens: estimate });
+//
+// Tasks start in the order they were scheduled. `ready()` is awaited when a task leaves the queue,
+// before any budget is reserved, so a session can hold or drop calls it queued long before.
+// The budget is shared by every session using the same provider key, since that is what the
+// provider rate-limits.
+
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 16;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Sliding one-minute window of reserved tokens. Reservations are estimates and are corrected
+// with the real usage once the completion comes back.
+export class TokenBudget {
+    constructor({ tokensPerMinute, windowMs = 60000, now = Date.now, wait = sleep }) {
+        this.tokensPerMinute = tokensPerMinute;
+        this.windowMs = windowMs;
+        this.now = now;
+        this.wait = wait;
+        this.entries = [];
+    }
+
+    used() {
+        const cutoff = this.now() - this.windowMs;
+        this.entries = this.entries.filter(entry => entry.at > cutoff);
+        return this.entries.reduce((total, entry) => total + entry.tokens, 0);
+    }
+
+    // Resolves once `tokens` fit in the window. A call larger than the whole budget still goes
+    // through once the window is empty, rather than waiting forever.
+    async reserve(tokens) {
+        for (;;) {
+            const used = this.used();
+            if (used + tokens <= this.tokensPerMinute || this.entries.length === 0) {
+                const entry = { at: this.now(), tokens };
+                this.entries.push(entry);
+                return entry;
+            }
+            await this.wait(Math.max(10, this.entries[0].at + this.windowMs - this.now()));
+        }
+    }
+
+    settle(entry, tokens) {
+        if (Number.isFinite(tokens) && tokens > 0) entry.tokens = tokens;
+    }
+}
+
+const budgets = new Map();
+
+// One budget per provider key across all sessions; the latest configured limit applies
+export function sharedBudget(key, tokensPerMinute) {
+    if (!tokensPerMinute) return null;
+
+    let budget = budgets.get(key);
+    if (!budget) {
+        budget = new TokenBudget({ tokensPerMinute });
+        budgets.set(key, budget);
+    }
+    budget.tokensPerMinute = tokensPerMinute;
+    return budget;
+}
+
+export class ModelScheduler {
+    constructor({ concurrency = DEFAULT_CONCURRENCY, budget = null } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.budget = budget;
+        this.queue = [];
+        this.active = 0;
+    }
+
+    // Run task() when a slot and enough budget are free. `tokens` is the estimated cost of the call;
+    // the task's result.usage.total_tokens, if any, replaces it in the budget. A `ready()` that
+    // throws rejects the task without running it.
+    schedule(task, { tokens = 0, ready = null } = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, tokens, ready, resolve, reject });
+            this.pump();
+        });
+    }
+
+    pump() {
+        while (this.active < this.concurrency && this.queue.length) {
+            const job = this.queue.shift();
+            this.active++;
+            this.execute(job).finally(() => {
+                this.active--;
+                this.pump();
+            });
+        }
+    }
+
+    async execute({ task, tokens, ready, resolve, reject }) {
+        try {
+            if (ready) await ready();
+            const reservation = this.budget ? await this.budget.reserve(tokens) : null;
+            const result = await task();
+            if (reservation) {
+                this.budget.settle(reservation, result?.usage?.total_tokens);
+            }
+            resolve(result);
+        } catch (error) {
+            reject(error);
+        }
+    }
+
+    // Reject everything still waiting for a slot, e.g. when the session ends early
+    cancelPending(error) {
+        this.queue.splice(0).forEach(job => job.reject(error));
+    }
+}
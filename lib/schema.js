@@ -0,0 +1,130 @@
+// Declarative request validation. A schema maps field names to specs:
+//
+//   { type: 'string' | 'integer' | 'number' | 'boolean' | 'enum' | 'url' | 'object' | 'array',
+//     required, default, nullable, min, max, maxLength, pattern, values, protocols, maxItems, fields, items }
+//
+// parse() returns the typed value with defaults filled in, or throws a ValidationError listing every
+// problem as { field, code, message } with dotted field paths such as `ensemble.members[1].model`.
+// Empty strings count as missing, so optional text inputs left blank fall back to their default.
+
+export class ValidationError extends Error {
+    constructor(errors) {
+        super(errors.map(error => `${error.field}: ${error.message}`).join('; '));
+        this.name = 'ValidationError';
+        this.status = 400;
+        this.errors = errors;
+    }
+}
+
+const describeType = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    url: 'an absolute URL',
+    object: 'an object',
+    array: 'a list'
+};
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+function checkValue(spec, value, field, errors) {
+    const fail = (code, message) => {
+        errors.push({ field, code, message });
+        return undefined;
+    };
+
+    switch (spec.type) {
+        case 'string':
+        case 'url':
+            if (typeof value !== 'string') return fail('type', `must be ${describeType[spec.type]}`);
+            value = value.trim();
+            if (spec.maxLength && value.length > spec.maxLength) return fail('max_length', `must be at most ${spec.maxLength} characters`);
+            if (spec.pattern && !spec.pattern.test(value)) return fail('pattern', spec.patternMessage || 'has an invalid format');
+            if (spec.type === 'url') {
+                let parsed;
+                try {
+                    parsed = new URL(value);
+                } catch (e) {
+                    return fail('url', 'must be an absolute URL');
+                }
+                const protocols = spec.protocols || ['http:', 'https:'];
+                if (!protocols.includes(parsed.protocol)) {
+                    return fail('protocol', `must use ${protocols.map(protocol => protocol.replace(':', '')).join(' or ')}`);
+                }
+            }
+            return value;
+
+        case 'enum':
+            if (!spec.values.includes(value)) return fail('enum', `must be one of: ${spec.values.join(', ')}`);
+            return value;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('type', `must be ${describeType.boolean}`);
+            return value;
+
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+                return fail('type', `must be ${describeType[spec.type]}`);
+            }
+            if (spec.min !== undefined && value < spec.min) return fail('min', `must be at least ${spec.min}`);
+            if (spec.max !== undefined && value > spec.max) return fail('max', `must be at most ${spec.max}`);
+            return value;
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return fail('type', `must be ${describeType.object}`);
+            return checkFields(spec.fields, value, field, errors);
+
+        case 'array':
+            if (!Array.isArray(value)) return fail('type', `must be ${describeType.array}`);
+            if (spec.maxItems !== undefined && value.length > spec.maxItems) return fail('max_items', `must have at most ${spec.maxItems} entries`);
+            return value.map((item, idx) => checkValue(spec.items, item, `${field}[${idx}]`, errors));
+
+        default:
+            throw new Error(`Unknown schema type "${spec.type}" for ${field}`);
+    }
+}
+
+function checkFields(fields, input, prefix, errors) {
+    const value = {};
+    for (const [name, spec] of Object.entries(fields)) {
+        const field = prefix ? `${prefix}.${name}` : name;
+        const raw = input[name];
+
+        if (isMissing(raw)) {
+            if (raw === null && spec.nullable) {
+                value[name] = null;
+            } else if (spec.required) {
+                errors.push({ field, code: 'required', message: 'is required' });
+            } else if (spec.default !== undefined) {
+                value[name] = typeof spec.default === 'function' ? spec.default() : spec.default;
+            }
+            continue;
+        }
+
+        const checked = checkValue(spec, raw, field, errors);
+        if (checked !== undefined) value[name] = checked;
+    }
+    return value;
+}
+
+// `rules` see the parsed value once every field is valid and return an error object, a list of them, or null
+export function validate(schema, input, { rules = [] } = {}) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, errors: [{ field: '(body)', code: 'type', message: 'must be a JSON object' }] };
+    }
+
+    const value = checkFields(schema, input, '', errors);
+    if (!errors.length) {
+        rules.forEach(rule => errors.push(...[].concat(rule(value) || [])));
+    }
+    return { value, errors };
+}
+
+export function parse(schema, input, options) {
+    const { value, errors } = validate(schema, input, options);
+    if (errors.length) throw new ValidationError(errors);
+    return value;
+}
@@ -0,0 +1,138 @@
+// The /api/start-quiz payload: its schema, the rules that span several fields, and parseStartRequest(),
+// which turns a request body into a session config or throws a ValidationError with field-level messages.
+
+import { parse } from './schema.js';
+import { PROVIDERS, DEFAULT_TEMPERATURE, DEFAULT_MAX_TOKENS } from './providers/index.js';
+import { QUIZ_ENGINES, detectEngineFromUrl } from './page-adapters/index.js';
+import { LOGIN_STRATEGIES } from './login-strategies/index.js';
+import { DEFAULT_CONCURRENCY, MAX_CONCURRENCY } from './scheduler.js';
+import { MAX_ENSEMBLE_SIZE } from './consensus.js';
+import { parseQuizUrl } from './canvas-api.js';
+
+export const QUIZ_MODES = ['quiz', 'study', 'audit'];
+
+// Where questions come from: the quiz page in the browser, or the REST API with an instructor's token
+export const QUESTION_SOURCES = ['browser', 'api'];
+
+// Longest pause between answers, in seconds
+export const MAX_DELAY_SECONDS = 30;
+
+const credentialId = { type: 'string', maxLength: 128 };
+
+const ENSEMBLE_MEMBER = {
+    type: 'object',
+    fields: {
+        provider: { type: 'enum', values: PROVIDERS, required: true },
+        model: { type: 'string', maxLength: 200 },
+        baseUrl: { type: 'url' },
+        apiKeyCredentialId: credentialId
+    }
+};
+
+export const START_QUIZ_SCHEMA = {
+    provider: { type: 'enum', values: PROVIDERS, default: 'groq' },
+    apiKeyCredentialId: credentialId, // Vault ID of the provider API key
+    canvasCredentialId: credentialId, // Vault ID of the Canvas username/password
+    canvasTokenCredentialId: credentialId, // Vault ID of a Canvas access token, for questionSource 'api'
+    baseUrl: { type: 'url' }, // OpenAI-compatible endpoint, e.g. a local llama.cpp or Ollama server
+    model: { type: 'string', maxLength: 200 },
+    temperature: { type: 'number', min: 0, max: 2, default: DEFAULT_TEMPERATURE },
+    maxTokens: { type: 'integer', min: 1, max: 8192, default: DEFAULT_MAX_TOKENS },
+    canvasUrl: { type: 'url', required: true },
+    loginUrl: { type: 'url' }, // Optional custom login URL
+    loginStrategy: { type: 'enum', values: ['auto', ...LOGIN_STRATEGIES], default: 'auto' },
+    // Saved per-deployment profile; otherwise matched to the Canvas host
+    loginProfile: {
+        type: 'string',
+        maxLength: 64,
+        pattern: /^[\w-]+$/,
+        patternMessage: 'may only contain letters, digits, dashes and underscores'
+    },
+    manualMfa: { type: 'boolean', default: false }, // pause in the visible browser for MFA instead of guessing
+    delayMin: { type: 'number', min: 0, max: MAX_DELAY_SECONDS, default: 2 },
+    delayMax: { type: 'number', min: 0, max: MAX_DELAY_SECONDS, default: 5 },
+    headless: { type: 'boolean', default: true },
+    autoSubmit: { type: 'boolean', default: true },
+    mode: { type: 'enum', values: QUIZ_MODES, default: 'quiz' }, // 'quiz' answers on the page, 'study' builds a study sheet, 'audit' reviews item quality
+    quizEngine: { type: 'enum', values: ['auto', ...QUIZ_ENGINES], default: 'auto' },
+    questionSource: { type: 'enum', values: QUESTION_SOURCES, default: 'browser' },
+    questionScreenshots: { type: 'boolean', default: false }, // attach each question's screenshot for vision models
+    useCache: { type: 'boolean', default: true }, // reuse suggestions for questions answered before
+    courseId: {
+        type: 'string',
+        maxLength: 64,
+        pattern: /^[\w-]+$/,
+        patternMessage: 'may only contain letters, digits, dashes and underscores'
+    },
+    useCourseNotes: { type: 'boolean', default: true },
+    // Consensus: more samples from the main model and other models that vote on every answer
+    ensemble: {
+        type: 'object',
+        nullable: true,
+        default: null,
+        fields: {
+            samples: { type: 'integer', min: 1, max: MAX_ENSEMBLE_SIZE, default: 1 },
+            members: { type: 'array', maxItems: MAX_ENSEMBLE_SIZE - 1, items: ENSEMBLE_MEMBER, default: () => [] }
+        }
+    },
+    concurrency: { type: 'integer', min: 1, max: MAX_CONCURRENCY, default: DEFAULT_CONCURRENCY }, // model calls in flight at once
+    tokensPerMinute: { type: 'integer', min: 1 } // budget per provider key; defaults to MODEL_TOKENS_PER_MINUTE
+};
+
+// A model needs a key (Groq) or a model name (OpenAI-compatible), whether it answers or votes
+function modelRules(model, field = '') {
+    const errors = [];
+    if (model.provider === 'groq' && !model.apiKeyCredentialId) {
+        errors.push({ field: `${field}apiKeyCredentialId`, code: 'required', message: 'is required for Groq' });
+    }
+    if (model.provider === 'openai' && !model.model) {
+        errors.push({ field: `${field}model`, code: 'required', message: 'is required for OpenAI-compatible providers' });
+    }
+    return errors;
+}
+
+export const START_QUIZ_RULES = [
+    config => modelRules(config),
+    // A pasted course or assignment-list URL would only fail once the browser is on the page
+    config => config.quizEngine === 'auto' && !detectEngineFromUrl(config.canvasUrl)
+        ? { field: 'canvasUrl', code: 'quiz_url', message: 'is not a quiz; expected /courses/:id/quizzes/:id or a New Quizzes assignment, or pick one from the course browser' }
+        : null,
+    config => config.delayMin > config.delayMax
+        ? { field: 'delayMax', code: 'range', message: 'must not be less than delayMin' }
+        : null,
+    config => config.manualMfa && config.headless
+        ? { field: 'manualMfa', code: 'conflict', message: 'needs a visible browser; set headless to false' }
+        : null,
+    config => {
+        if (config.questionSource !== 'api') return null;
+        const errors = [];
+        if (config.mode === 'quiz') {
+            errors.push({ field: 'questionSource', code: 'conflict', message: 'api only works in study and audit modes; answering needs the quiz page' });
+        }
+        if (!config.canvasTokenCredentialId) {
+            errors.push({ field: 'canvasTokenCredentialId', code: 'required', message: 'is required when questions come from the Canvas API' });
+        }
+        if (!parseQuizUrl(config.canvasUrl)) {
+            errors.push({ field: 'canvasUrl', code: 'quiz_url', message: 'must be a classic quiz URL (/courses/:id/quizzes/:id) when questions come from the Canvas API' });
+        }
+        return errors;
+    },
+    config => {
+        if (!config.ensemble) return null;
+        const { samples, members } = config.ensemble;
+        const errors = members.flatMap((member, idx) => modelRules(member, `ensemble.members[${idx}].`));
+        if (samples + members.length > MAX_ENSEMBLE_SIZE) {
+            errors.push({ field: 'ensemble', code: 'max', message: `may have at most ${MAX_ENSEMBLE_SIZE} voters in total` });
+        }
+        return errors;
+    }
+];
+
+// Secrets are only accepted by /api/credentials; the start request references them by ID
+export const FORBIDDEN_SECRET_FIELDS = ['username', 'password', 'groqApiKey', 'apiKey', 'canvasToken', 'accessToken'];
+
+export function parseStartRequest(body, { env = process.env } = {}) {
+    const config = parse(START_QUIZ_SCHEMA, body, { rules: START_QUIZ_RULES });
+    config.tokensPerMinute ??= Number(env.MODEL_TOKENS_PER_MINUTE) || null;
+    return config;
+}
@@ -1,6 +1,5 @@
 import express from 'express';
 import puppeteer from 'puppeteer';
-import { Groq } from 'groq-sdk';
 import { WebSocketServer } from 'ws';
 import cors from 'cors';
 import helmet from 'helmet';
@@ -9,6 +8,33 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import crypto from 'crypto';
+import {
+    buildFormatInstructions, parseStructuredAnswer, formatChoice, optionLetter, resolveChoice, buildReaskPrompt,
+    AnswerFormatError, CHOICE_TYPES, MAX_FORMAT_RETRIES
+} from './lib/answer-format.js';
+import { NUMERIC_TYPES, NO_ANSWER_TYPES, NO_ANSWER_NOTES, describeQuestion, subFields } from './lib/question-types.js';
+import { detectPageAdapter, findFirst } from './lib/page-adapters/index.js';
+import { AUDIT_SYSTEM_PROMPT, buildAuditPrompt, parseAuditReport, AuditFormatError } from './lib/audit.js';
+import { createProvider, DEFAULT_TEMPERATURE, DEFAULT_MAX_TOKENS, ProviderError } from './lib/providers/index.js';
+import { CredentialVault, VaultError } from './lib/credential-vault.js';
+import { RunStore, sanitizeConfig } from './lib/run-store.js';
+import { CheckpointStore, checkpointConfig } from './lib/checkpoint-store.js';
+import { withRetry, DEFAULT_RETRY } from './lib/retry.js';
+import { ModelScheduler, sharedBudget, DEFAULT_CONCURRENCY } from './lib/scheduler.js';
+import { exportRun, EXPORT_FORMATS } from './lib/exporters.js';
+import { hasRichContent, RICH_CONTENT_NOTE } from './lib/rich-content.js';
+import { AnswerCache } from './lib/answer-cache.js';
+import { CourseNotesStore, courseIdFromUrl, buildContextBlock, citePassage, DEFAULT_CONTEXT_PASSAGES } from './lib/course-notes.js';
+import { aggregateVotes } from './lib/consensus.js';
+import { LOGIN_STRATEGIES, createLoginStrategy, detectLoginStrategy, strategyFromProfile, runLoginPages } from './lib/login-strategies/index.js';
+import { LoginProfileStore } from './lib/login-profile-store.js';
+import { ArtifactStore } from './lib/artifact-store.js';
+import { parseStartRequest, FORBIDDEN_SECRET_FIELDS } from './lib/start-request.js';
+import { parse, ValidationError } from './lib/schema.js';
+import { HostPolicy, HostPolicyError } from './lib/host-policy.js';
+import { CanvasApiClient, parseQuizUrl } from './lib/canvas-api.js';
+import { SessionLogger, consoleSink, redactText, levelAtLeast, isLogLevel, parseLogLines, LOG_LEVELS } from './lib/logger.js';
 
 dotenv.config();
 
@@ -23,10 +49,85 @@ app.use(helmet({
     contentSecurityPolicy: false,
     crossOriginEmbedderPolicy: false
 }));
-app.use(cors());
+// Only origins on the allow-list may call the API from a browser (same-origin requests carry no Origin)
+const allowedOrigins = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+function isOriginAllowed(origin) {
+    return !origin || allowedOrigins.includes(origin);
+}
+
+app.use(cors({
+    origin: (origin, callback) => callback(null, isOriginAllowed(origin))
+}));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Every API call needs the server's API token. Without API_TOKEN in .env a random one is printed at startup.
+const API_TOKEN = process.env.API_TOKEN || crypto.randomBytes(24).toString('hex');
+const apiTokenGenerated = !process.env.API_TOKEN;
+
+function requireApiToken(req, res, next) {
+    const header = req.get('authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-api-token');
+    if (!tokensMatch(API_TOKEN, provided)) {
+        return res.status(401).json({ error: 'A valid API token is required' });
+    }
+    next();
+}
+
+app.use('/api', (req, res, next) => {
+    if (req.path === '/health') return next();
+    requireApiToken(req, res, next);
+});
+
+// Finished runs, persisted for the history view
+const runStore = RunStore.fromEnv();
+
+// Per-session progress, so a crashed run can resume from its last finished question
+const checkpointStore = CheckpointStore.fromEnv();
+
+// Suggestions keyed by question content, reused when the same question comes up again
+const answerCache = AnswerCache.fromEnv();
+
+// Uploaded notes per course, searched for passages to ground suggestions in
+const courseNotes = CourseNotesStore.fromEnv();
+
+// Per-deployment login profiles pinning a school's sign-in strategy, pages and selectors
+const loginProfiles = LoginProfileStore.fromEnv();
+
+// Screenshots, HTML snapshots and logs, one folder per session
+const artifactStore = ArtifactStore.fromEnv();
+
+// Canvas and login hosts the browser may visit (CANVAS_HOSTS, LOGIN_HOSTS); internal addresses are always refused
+const hostPolicy = HostPolicy.fromEnv();
+
+function persistRun(bot, result) {
+    try {
+        runStore.append(bot.toRunRecord(result));
+    } catch (error) {
+        console.error(`Could not persist run ${bot.sessionId}: ${error.message}`);
+    }
+}
+
+// Encrypted credential store; disabled until CREDENTIAL_MASTER_KEY is configured
+let vault = null;
+let vaultError = null;
+try {
+    vault = CredentialVault.fromEnv();
+} catch (error) {
+    vaultError = error.message;
+}
+
+function requireVault(res) {
+    if (!vault) {
+        res.status(503).json({ error: `Credential vault unavailable: ${vaultError}` });
+    }
+    return vault;
+}
+
 // Rate limiting
 const rateLimiter = new RateLimiterMemory({
     points: 10,
@@ -39,48 +140,402 @@ const wss = new WebSocketServer({ noServer: true });
 // Store active sessions
 const activeSessions = new Map();
 
-// Broadcast to all connected clients
-function broadcast(data) {
-    wss.clients.forEach(client => {
+// How long finished sessions stay inspectable through /api/sessions
+const SESSION_RETENTION_MS = 30 * 60 * 1000;
+
+// How long a manual sign-in step watches for the browser to land back on Canvas
+const MANUAL_LOGIN_TIMEOUT_MS = 10 * 60 * 1000;
+
+// How often artifact folders past ARTIFACT_RETENTION_DAYS are swept
+const ARTIFACT_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// How often answer cache hit counts are written out between runs
+const ANSWER_CACHE_FLUSH_INTERVAL_MS = 60 * 1000;
+
+// Lowest level printed to the console; session log files always keep every level
+const LOG_LEVEL = isLogLevel(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Thrown inside run() when a session is cancelled through the API, and by model calls a finished
+// run dropped from the queue; neither is a failure worth reporting
+class SessionCancelledError extends Error {
+    constructor(message = 'Session cancelled') {
+        super(message);
+        this.name = 'SessionCancelledError';
+    }
+}
+
+// Replies that failed validation, as opposed to provider or page errors
+function isFormatError(error) {
+    return error instanceof AnswerFormatError || error instanceof AuditFormatError;
+}
+
+// Per-session WebSocket channels. A client only receives a session's traffic after
+// subscribing with the sessionId and channelToken returned by /api/start-quiz.
+const sessionChannels = new Map();
+const CHANNEL_BACKLOG_LIMIT = 500;
+const CHANNEL_RETENTION_MS = 5 * 60 * 1000;
+
+function openChannel(sessionId, token) {
+    sessionChannels.set(sessionId, {
+        token,
+        subscribers: new Set(),
+        backlog: []
+    });
+}
+
+// Browsers always send Origin on WebSocket upgrades, including from our own page
+function isSameOrigin(request) {
+    const { origin, host } = request.headers;
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === host;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Keep a finished channel around briefly so a reconnecting client can still read the result.
+// A resumed session opens a new channel under the same ID, which this must not remove.
+function closeChannel(sessionId) {
+    const channel = sessionChannels.get(sessionId);
+    setTimeout(() => {
+        if (sessionChannels.get(sessionId) === channel) sessionChannels.delete(sessionId);
+    }, CHANNEL_RETENTION_MS).unref();
+}
+
+function publish(sessionId, data) {
+    const channel = sessionChannels.get(sessionId);
+    if (!channel) return;
+
+    const message = JSON.stringify({ ...data, sessionId });
+    channel.backlog.push(message);
+    if (channel.backlog.length > CHANNEL_BACKLOG_LIMIT) {
+        channel.backlog.shift();
+    }
+
+    channel.subscribers.forEach(client => {
         if (client.readyState === 1) { // OPEN
-            client.send(JSON.stringify(data));
+            client.send(message);
         }
     });
 }
 
+function tokensMatch(expected, provided) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(provided || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Subscribe a socket to one session, replaying what it missed. Returns false if the handshake is rejected.
+function subscribe(ws, sessionId, token) {
+    const channel = sessionChannels.get(sessionId);
+    if (!channel || !tokensMatch(channel.token, token)) {
+        return false;
+    }
+
+    if (ws.sessionId && ws.sessionId !== sessionId) {
+        sessionChannels.get(ws.sessionId)?.subscribers.delete(ws);
+    }
+
+    ws.sessionId = sessionId;
+    channel.subscribers.add(ws);
+    ws.send(JSON.stringify({ type: 'subscribed', sessionId }));
+    channel.backlog.forEach(message => ws.send(message));
+    return true;
+}
+
+// Optional parts of a suggestion kept on its record: cited course passages, the consensus vote and whether it came from the cache
+function suggestionExtras(suggestion) {
+    return {
+        ...(suggestion.sources ? { sources: suggestion.sources } : {}),
+        ...(suggestion.consensus ? { consensus: suggestion.consensus } : {}),
+        ...(suggestion.cached ? { cached: true } : {})
+    };
+}
+
 // Canvas Quiz Bot Class
 class CanvasQuizBot {
-    constructor(config) {
+    // `config` never holds secrets; credentials resolved from the vault are passed separately.
+    // Pass a `checkpoint` to resume a session, a `checkpoints` store to save progress as it goes
+    // an answer `cache` to reuse suggestions for questions seen before, course `notes` to ground them in
+    // and login `profiles` for schools whose sign-in needs pinned steps. Screenshots and logs go to the
+    // `artifacts` store; without one no screenshots are taken. A `hosts` policy limits where the browser may navigate.
+    constructor(config, secrets = {}, { checkpoint = null, checkpoints = null, cache = null, notes = null, profiles = null, artifacts = null, hosts = null } = {}) {
         this.config = config;
+        this.secrets = secrets;
+        this.logger = this.createLogger();
         this.browser = null;
         this.page = null;
-        this.groq = new Groq({ apiKey: config.groqApiKey });
+        // Set once the quiz page is open: the engine adapter and the frame its questions live in
+        this.adapter = null;
+        this.quizFrame = null;
+        this.profiles = profiles;
+        this.hosts = hosts;
+        const provider = config.provider || 'groq';
+        this.provider = createProvider({
+            provider,
+            apiKey: secrets.apiKey,
+            baseUrl: config.baseUrl,
+            model: config.model
+        });
         this.questions = [];
         this.answers = [];
-        this.sessionId = Date.now().toString();
+        this.auditReport = [];
+        this.sessionId = crypto.randomUUID();
+        this.channelToken = crypto.randomBytes(24).toString('hex');
+
+        // Lifecycle, exposed through /api/sessions
+        this.state = 'starting'; // starting | running | paused | cancelling | cancelled | completed | failed
+        this.currentStep = 'queued';
+        this.questionIndex = 0;
+        this.totalQuestions = 0;
+        this.startedAt = new Date();
+        this.finishedAt = null;
+        this.error = null;
+        this.resumeWaiters = [];
+
+        // Kept for the persisted run record
+        this.screenshots = [];
+        this.errors = [];
+        this.timings = { steps: [], questions: [] };
+
+        // Model calls run a few at a time within the provider key's token budget; usage adds up every completion
+        this.scheduler = new ModelScheduler({
+            concurrency: config.concurrency || DEFAULT_CONCURRENCY,
+            budget: sharedBudget(`${provider}:${config.apiKeyCredentialId || config.baseUrl || 'default'}`, config.tokensPerMinute)
+        });
+        this.usage = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+        // Other models that vote on every answer when consensus is on, each with its own queue and budget
+        this.ensembleMembers = (config.ensemble?.members || []).map((member, idx) => ({
+            label: member.model ? `${member.provider}:${member.model}` : member.provider,
+            model: member.model,
+            provider: createProvider({
+                provider: member.provider,
+                apiKey: secrets[`ensembleApiKey${idx}`],
+                baseUrl: member.baseUrl,
+                model: member.model
+            }),
+            scheduler: new ModelScheduler({
+                concurrency: config.concurrency || DEFAULT_CONCURRENCY,
+                budget: sharedBudget(`${member.provider}:${member.apiKeyCredentialId || member.baseUrl || 'default'}`, config.tokensPerMinute)
+            })
+        }));
+        this.cache = config.useCache === false ? null : cache;
+        this.cacheStats = { hits: 0, misses: 0 };
+        this.courseNotes = config.useCourseNotes === false ? null : notes;
+        this.courseId = config.courseId || courseIdFromUrl(config.canvasUrl);
+
+        // Backoff for transient model errors, and the questions finished so far
+        this.retry = { ...DEFAULT_RETRY };
+        this.checkpoints = checkpoints;
+        this.completed = new Set();
+        this.resumeCount = 0;
+
+        if (checkpoint) {
+            this.restoreCheckpoint(checkpoint);
+        }
+
+        // A resumed session keeps adding to the folder it started
+        this.artifacts = artifacts ? artifacts.session(this.sessionId) : null;
     }
 
-    log(message, type = 'info') {
-        const logData = {
-            type,
-            message,
-            timestamp: new Date().toISOString(),
-            sessionId: this.sessionId
+    // Everything needed to carry on without re-extracting or re-asking about finished questions
+    toCheckpoint() {
+        return {
+            sessionId: this.sessionId,
+            savedAt: new Date().toISOString(),
+            startedAt: this.startedAt.toISOString(),
+            resumeCount: this.resumeCount,
+            config: checkpointConfig(this.config),
+            questions: this.questions,
+            completed: Array.from(this.completed),
+            answers: this.answers,
+            auditReport: this.auditReport,
+            timings: this.timings,
+            usage: this.usage,
+            cacheStats: this.cacheStats,
+            errors: this.errors,
+            screenshots: this.screenshots
         };
-        console.log(`[${type.toUpperCase()}] ${message}`);
-        broadcast(logData);
     }
 
-    async initialize() {
-        this.log('ðŸš€ Initializing browser...');
-        
-        // Create screenshots directory in /tmp
-        const screenshotsDir = '/tmp/canvas-bot-screenshots';
-        if (!fs.existsSync(screenshotsDir)) {
-            fs.mkdirSync(screenshotsDir, { recursive: true });
-            this.log('ðŸ“ Created screenshots directory');
+    // Same session ID and finished questions; questions that failed or were unparseable get another go
+    restoreCheckpoint(checkpoint) {
+        this.sessionId = checkpoint.sessionId;
+        this.startedAt = new Date(checkpoint.startedAt);
+        this.resumeCount = (checkpoint.resumeCount || 0) + 1;
+        this.questions = checkpoint.questions || [];
+        this.completed = new Set(checkpoint.completed || []);
+        this.answers = (checkpoint.answers || []).filter(item => this.completed.has(item.questionId));
+        this.auditReport = (checkpoint.auditReport || []).filter(item => this.completed.has(item.questionId));
+        this.timings = checkpoint.timings || this.timings;
+        this.usage = checkpoint.usage || this.usage;
+        this.cacheStats = checkpoint.cacheStats || this.cacheStats;
+        this.errors = checkpoint.errors || [];
+        this.screenshots = checkpoint.screenshots || [];
+    }
+
+    saveCheckpoint() {
+        if (!this.checkpoints) return;
+        try {
+            this.checkpoints.save(this.toCheckpoint());
+        } catch (error) {
+            this.log(`âš ï¸ Could not save checkpoint: ${error.message}`, 'warning', 'checkpoint.save_failed');
         }
-        
+    }
+
+    discardCheckpoint() {
+        if (!this.checkpoints) return;
+        try {
+            this.checkpoints.delete(this.sessionId);
+        } catch (error) {
+            this.log(`âš ï¸ Could not remove checkpoint: ${error.message}`, 'warning', 'checkpoint.delete_failed');
+        }
+    }
+
+    // Every entry is redacted, then printed, sent to subscribers (debug entries are not) and
+    // appended to the session's JSON-lines log. The session ID is read per entry since a resume restores it.
+    createLogger() {
+        return new SessionLogger({
+            context: () => ({
+                sessionId: this.sessionId,
+                step: this.currentStep,
+                ...(this.questionIndex ? { question: this.questionIndex } : {})
+            }),
+            secrets: () => Object.values(this.secrets),
+            sinks: [
+                consoleSink({ minLevel: LOG_LEVEL }),
+                entry => {
+                    if (levelAtLeast(entry.level, 'info')) publish(this.sessionId, { ...entry, type: entry.level });
+                },
+                entry => this.artifacts?.appendLog(entry)
+            ]
+        });
+    }
+
+    // Replace secret values, token-carrying URL parameters and cookies in text that leaves the bot
+    redact(message) {
+        return redactText(message, Object.values(this.secrets));
+    }
+
+    // `event` is a stable dotted code (e.g. `login.failed`); `fields` are extra structured data for the log file
+    log(message, level = 'info', event = 'session.message', fields = {}) {
+        const entry = this.logger.log(level, event, message, fields);
+        if (level === 'error') {
+            this.errors.push({ message: entry.message, event, step: entry.step, timestamp: entry.timestamp });
+        }
+        return entry;
+    }
+
+    setState(state) {
+        this.state = state;
+        publish(this.sessionId, { type: 'state', session: this.getSummary() });
+    }
+
+    setStep(step) {
+        const now = Date.now();
+        const previous = this.timings.steps[this.timings.steps.length - 1];
+        if (previous && previous.durationMs === undefined) {
+            previous.durationMs = now - previous.startedAt;
+        }
+        this.timings.steps.push({ step, startedAt: now });
+
+        this.currentStep = step;
+        publish(this.sessionId, { type: 'state', session: this.getSummary() });
+    }
+
+    getSummary() {
+        return {
+            sessionId: this.sessionId,
+            mode: this.config.mode || 'quiz',
+            state: this.state,
+            currentStep: this.currentStep,
+            questionIndex: this.questionIndex,
+            totalQuestions: this.totalQuestions,
+            startedAt: this.startedAt.toISOString(),
+            finishedAt: this.finishedAt ? this.finishedAt.toISOString() : null,
+            elapsedMs: (this.finishedAt || new Date()) - this.startedAt,
+            usage: this.usage,
+            cache: this.cacheStats,
+            error: this.error
+        };
+    }
+
+    pause() {
+        if (this.state !== 'running') return false;
+        this.setState('paused');
+        this.log('â¸ï¸ Pause requested, holding before the next question', 'info', 'session.pause_requested');
+        return true;
+    }
+
+    resume() {
+        if (this.state !== 'paused') return false;
+        this.setState('running');
+        this.log('â–¶ï¸ Resuming', 'info', 'session.resumed');
+        this.resumeWaiters.splice(0).forEach(resolve => resolve());
+        return true;
+    }
+
+    async cancel() {
+        if (!['starting', 'running', 'paused'].includes(this.state)) return false;
+        this.setState('cancelling');
+        this.log('ðŸ›‘ Cancel requested', 'warning', 'session.cancel_requested');
+        this.resumeWaiters.splice(0).forEach(resolve => resolve());
+        // Closing the browser also aborts whatever page operation is in flight
+        await this.closeBrowser();
+        return true;
+    }
+
+    // Called between questions: holds while paused and aborts once cancelled
+    async checkSignals() {
+        while (this.state === 'paused') {
+            await new Promise(resolve => this.resumeWaiters.push(resolve));
+        }
+        if (this.state === 'cancelling') {
+            throw new SessionCancelledError();
+        }
+    }
+
+    async closeBrowser() {
+        const browser = this.browser;
+        if (!browser) return;
+        this.browser = null;
+        try {
+            await browser.close();
+            this.log('ðŸ”’ Browser closed', 'info', 'browser.closed');
+        } catch (e) {
+            this.log(`âš ï¸ Could not close browser cleanly: ${e.message}`, 'warning', 'browser.close_failed');
+        }
+    }
+
+    // Save a screenshot to the session's artifacts and remember it for the run record
+    // Whole page by default, or a single element handle; null when there is no artifact store
+    async takeScreenshot(name, target = this.page) {
+        if (!this.artifacts) return null;
+        const screenshotPath = this.artifacts.pathFor(name, 'png');
+        await target.screenshot({ path: screenshotPath });
+        this.artifacts.add(screenshotPath, { kind: 'screenshot', name, step: this.currentStep });
+        this.screenshots.push(screenshotPath);
+        return screenshotPath;
+    }
+
+    // Screenshot and HTML of the page the session failed on, so the failure can be looked at afterwards
+    async captureFailure(error) {
+        if (!this.artifacts || !this.page || this.page.isClosed()) return;
+        try {
+            const screenshot = await this.takeScreenshot('failure');
+            const html = this.artifacts.writeHtml('failure', await this.page.content(), { step: this.currentStep });
+            this.artifacts.markFailure({ screenshot, html, step: this.currentStep, error: error.message });
+            this.log(`ðŸ“¸ Failure screenshot and page HTML saved to ${this.artifacts.dir}`, 'info', 'artifacts.failure_captured');
+        } catch (e) {
+            this.log(`âš ï¸ Could not capture the failing page: ${e.message}`, 'warning', 'artifacts.capture_failed');
+        }
+    }
+
+    async initialize() {
+        this.log('ðŸš€ Initializing browser...', 'info', 'browser.launching');
+
         this.browser = await puppeteer.launch({
             headless: this.config.headless !== false,
             args: [
@@ -100,469 +555,140 @@ class CanvasQuizBot {
             'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
         );
 
-        this.log('âœ… Browser initialized');
-    }
-
-    async login(username, password) {
-        this.log('ðŸ” Logging into Canvas...');
-
-        try {
-            // Determine login URL and navigation strategy
-            let loginUrl;
-            let baseUrl;
-            let navigateToLoginFirst = false;
-            
-            if (this.config.loginUrl) {
-                // User provided custom login URL - go there first!
-                loginUrl = this.config.loginUrl;
-                const url = new URL(loginUrl);
-                baseUrl = `${url.protocol}//${url.hostname}`;
-                navigateToLoginFirst = true; // Custom login URL means different domain, go there first
-                this.log(`ðŸ“ Using custom login URL: ${loginUrl}`);
-                this.log(`ðŸ“ Quiz URL: ${this.config.canvasUrl}`);
-                this.log(`ðŸ“ Strategy: Login at custom URL first, then navigate to quiz`);
-            } else {
-                // Auto-detect login URL from quiz URL
-                const url = new URL(this.config.canvasUrl);
-                baseUrl = `${url.protocol}//${url.hostname}`;
-                loginUrl = baseUrl + '/login/canvas';
-                this.log(`ðŸ“ Auto-detected base URL: ${baseUrl}`);
-                this.log(`ðŸ“ Auto-detected login URL: ${loginUrl}`);
-                this.log(`ðŸ“ Quiz URL: ${this.config.canvasUrl}`);
-                this.log(`ðŸ“ Strategy: Navigate to quiz URL (may redirect to login)`);
-            }
-
-            // Navigate to the appropriate URL
-            const initialUrl = navigateToLoginFirst ? loginUrl : this.config.canvasUrl;
-            this.log(`ðŸ“ Navigating to: ${initialUrl}`);
-            
-            await this.page.goto(initialUrl, {
-                waitUntil: 'networkidle2',
-                timeout: 60000
-            });
-
-            await this.page.waitForTimeout(2000);
+        if (this.hosts) {
+            await this.guardNavigation();
+        }
 
-            // Log current URL after navigation
-            const currentUrl = this.page.url();
-            this.log(`ðŸ“ Current URL after navigation: ${currentUrl}`);
+        this.log('âœ… Browser initialized', 'info', 'browser.ready');
+    }
 
-            // Check if already logged in
-            if (currentUrl.includes('/courses/') && currentUrl.includes('/quizzes/')) {
-                this.log('âœ… Already logged in (on quiz page)!');
-                return true;
+    // Redirects count too: a login page or quiz cannot send any frame to a host the policy refuses
+    async guardNavigation() {
+        await this.page.setRequestInterception(true);
+        this.page.on('request', request => {
+            if (request.isInterceptResolutionHandled()) return;
+            const subframe = Boolean(request.frame()?.parentFrame());
+            if (request.isNavigationRequest() && !this.hosts.allowsNavigation(request.url(), { subframe })) {
+                this.log(`ðŸš« Blocked navigation to ${request.url().split(/[?#]/)[0]}`, 'warning', 'navigation.blocked');
+                request.abort('blockedbyclient');
+                return;
             }
+            request.continue();
+        });
+    }
 
-            // Check if on dashboard (also means logged in)
-            if (currentUrl.includes('/dashboard') || currentUrl.includes('?login_success=1')) {
-                this.log('âœ… Already logged in (on dashboard)!');
-                // Navigate to quiz URL if we're on dashboard
-                if (this.config.canvasUrl !== currentUrl) {
-                    await this.page.goto(this.config.canvasUrl, {
-                        waitUntil: 'networkidle2',
-                        timeout: 60000
-                    });
-                }
-                return true;
-            }
+    // Signed in once the browser is on the Canvas host and off its login pages
+    onCanvas() {
+        const url = new URL(this.page.url());
+        return url.host === new URL(this.config.canvasUrl).host && !url.pathname.startsWith('/login');
+    }
 
-            // DEBUG: Take a screenshot and log page structure
-            const screenshotPath = `/tmp/canvas-bot-screenshots/login-page-${Date.now()}.png`;
-            await this.page.screenshot({ path: screenshotPath });
-            this.log(`ðŸ“¸ Screenshot saved to ${screenshotPath}`);
-
-            // DEBUG: Log all forms on the page
-            const forms = await this.page.evaluate(() => {
-                return Array.from(document.querySelectorAll('form')).map(form => ({
-                    id: form.id,
-                    name: form.name,
-                    action: form.action,
-                    inputs: Array.from(form.querySelectorAll('input')).map(input => ({
-                        type: input.type,
-                        name: input.name,
-                        id: input.id,
-                        placeholder: input.placeholder,
-                        className: input.className
-                    }))
-                }));
-            });
-            this.log(`ðŸ“‹ Found ${forms.length} forms on page`);
-            forms.forEach((form, idx) => {
-                this.log(`Form ${idx + 1}: id="${form.id}", name="${form.name}", action="${form.action}"`);
-                form.inputs.forEach(input => {
-                    this.log(`  Input: type="${input.type}", name="${input.name}", id="${input.id}", placeholder="${input.placeholder}"`);
-                });
-            });
+    // The deployment profile for this session: picked by name, or matched to the Canvas host
+    resolveLoginProfile() {
+        if (!this.profiles) return null;
+        if (this.config.loginProfile) {
+            const profile = this.profiles.get(this.config.loginProfile);
+            if (!profile) throw new Error(`Unknown login profile "${this.config.loginProfile}"`);
+            return profile;
+        }
+        return this.profiles.forHost(new URL(this.config.canvasUrl).hostname);
+    }
 
-            // Wait for login form to appear
-            this.log('â³ Waiting for login form...');
-            
-            // Try GENERIC selectors first, then fallback to Canvas-specific ones
-            const emailSelectors = [
-                // MOST GENERIC FIRST - any visible text/email input
-                'input[type="text"]',
-                'input[type="email"]',
-                'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="password"])',
-                
-                // Then try placeholder-based
-                'input[placeholder*="user" i]',
-                'input[placeholder*="email" i]',
-                'input[placeholder*="name" i]',
-                
-                // Then try name-based
-                'input[name*="user" i]',
-                'input[name*="username" i]',
-                'input[name*="email" i]',
-                
-                // Then form-based
-                'form input[type="text"]:first-of-type',
-                'form input[type="email"]:first-of-type',
-                '#login_form input[type="text"]',
-                '#login_form input[type="email"]',
-                
-                // Canvas-specific LAST
-                'input[name="pseudonym_session[unique_id]"]',
-                '#pseudonym_session_unique_id'
-            ];
+    // Hand the visible browser to the user, e.g. for MFA, and hold paused until they press Resume
+    // or the browser lands back on Canvas, whichever comes first
+    async waitForManualLogin(prompt = 'Finish signing in (MFA) in the browser window') {
+        if (this.config.headless !== false) {
+            throw new Error('Manual sign-in needs a visible browser; turn off headless mode');
+        }
 
-            let emailInput = null;
-            let usedSelector = null;
-            
-            for (const selector of emailSelectors) {
-                try {
-                    this.log(`ðŸ” Trying selector: ${selector}`);
-                    emailInput = await this.page.waitForSelector(selector, { timeout: 3000 });
-                    if (emailInput) {
-                        // Get element details for logging
-                        const elementInfo = await this.page.evaluate((sel) => {
-                            const elem = document.querySelector(sel);
-                            if (!elem) return null;
-                            const style = window.getComputedStyle(elem);
-                            return {
-                                tagName: elem.tagName,
-                                type: elem.type,
-                                name: elem.name,
-                                id: elem.id,
-                                placeholder: elem.placeholder,
-                                className: elem.className,
-                                isVisible: style.display !== 'none' && 
-                                          style.visibility !== 'hidden' && 
-                                          style.opacity !== '0'
-                            };
-                        }, selector);
-                        
-                        if (elementInfo) {
-                            this.log(`   Found: <${elementInfo.tagName} type="${elementInfo.type}" id="${elementInfo.id}" placeholder="${elementInfo.placeholder}">`);
-                            this.log(`   Visible: ${elementInfo.isVisible}`);
-                        }
-                        
-                        if (elementInfo && elementInfo.isVisible) {
-                            usedSelector = selector;
-                            this.log(`âœ… Using this field for username!`);
-                            break;
-                        } else {
-                            this.log(`âš ï¸  Element found but not visible, trying next selector...`);
-                            emailInput = null;
-                        }
-                    }
-                } catch (e) {
-                    this.log(`âŒ Selector "${selector}" not found on page`);
-                    continue;
-                }
-            }
+        this.setState('paused');
+        this.log(`ðŸ™‹ ${prompt}, then press Resume`, 'warning', 'login.manual_step');
+        publish(this.sessionId, { type: 'manual_login', prompt });
 
-            if (!emailInput) {
-                // Take another screenshot for debugging
-                const errorScreenshotPath = `/tmp/canvas-bot-screenshots/login-error-${Date.now()}.png`;
-                await this.page.screenshot({ path: errorScreenshotPath });
-                
-                // Get page HTML for debugging
-                const html = await this.page.content();
-                this.log(`ðŸ“„ Page HTML length: ${html.length} characters`);
-                this.log(`ðŸ“¸ Error screenshot saved to ${errorScreenshotPath}`);
-                
-                throw new Error('Could not find email/username field. Check screenshots in outputs/screenshots/ for debugging.');
-            }
+        const canvasHost = new URL(this.config.canvasUrl).host;
+        this.page.waitForFunction(
+            host => location.host === host && !location.pathname.startsWith('/login'),
+            { polling: 1000, timeout: MANUAL_LOGIN_TIMEOUT_MS },
+            canvasHost
+        ).then(() => this.resume(), () => {});
 
-            // Clear the field first
-            await emailInput.click({ clickCount: 3 });
-            await this.page.keyboard.press('Backspace');
-            
-            // Enter credentials with realistic typing
-            await emailInput.type(username, { delay: 100 });
-            this.log(`âœ“ Entered username using selector: ${usedSelector}`);
-
-            // Find password field - Canvas standard selectors
-            const passwordSelectors = [
-                // MOST GENERIC FIRST - any password input
-                'input[type="password"]',
-                
-                // Then placeholder-based
-                'input[placeholder*="password" i]',
-                'input[placeholder*="pass" i]',
-                
-                // Then name-based
-                'input[name*="password" i]',
-                'input[name*="pass" i]',
-                
-                // Then form-based
-                'form input[type="password"]',
-                '#login_form input[type="password"]',
-                
-                // Canvas-specific LAST
-                'input[name="pseudonym_session[password]"]',
-                '#pseudonym_session_password'
-            ];
+        await this.checkSignals();
+    }
 
-            let passwordInput = null;
-            let passwordSelector = null;
-            
-            for (const selector of passwordSelectors) {
-                try {
-                    this.log(`ðŸ” Trying password selector: ${selector}`);
-                    passwordInput = await this.page.waitForSelector(selector, { timeout: 3000 });
-                    if (passwordInput) {
-                        const isVisible = await this.page.evaluate((sel) => {
-                            const elem = document.querySelector(sel);
-                            if (!elem) return false;
-                            const style = window.getComputedStyle(elem);
-                            return style.display !== 'none' && 
-                                   style.visibility !== 'hidden' && 
-                                   style.opacity !== '0';
-                        }, selector);
-                        
-                        if (isVisible) {
-                            passwordSelector = selector;
-                            this.log(`âœ… Found password field with selector: ${selector}`);
-                            break;
-                        } else {
-                            passwordInput = null;
-                        }
-                    }
-                } catch (e) {
-                    this.log(`âŒ Password selector failed: ${selector} - ${e.message}`);
-                    continue;
-                }
-            }
+    async login(username, password) {
+        this.log('ðŸ” Logging into Canvas...', 'info', 'login.started');
 
-            if (!passwordInput) {
-                throw new Error('Could not find password field');
-            }
+        try {
+            const profile = this.resolveLoginProfile();
+            const loginUrl = profile?.loginUrl || this.config.loginUrl;
+            const manualMfa = this.config.manualMfa || profile?.manualMfa;
+
+            // A custom login URL is usually another host, so sign in there first; otherwise let the quiz redirect to login
+            const startUrl = loginUrl || this.config.canvasUrl;
+            this.log(`ðŸ“ Navigating to: ${startUrl}`, 'info', 'login.navigating');
+            await this.page.goto(startUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+
+            if (this.onCanvas()) {
+                this.log('âœ… Already logged in!', 'info', 'login.already_signed_in');
+            } else if (!username || !password) {
+                await this.waitForManualLogin('Sign in to Canvas in the browser window');
+            } else {
+                const strategy = profile
+                    ? strategyFromProfile(profile)
+                    : (this.config.loginStrategy && this.config.loginStrategy !== 'auto'
+                        ? createLoginStrategy(this.config.loginStrategy)
+                        : await detectLoginStrategy(this.page));
+                this.log(`ðŸ”‘ Login strategy: ${strategy.label}${profile ? ` (profile ${profile.name})` : ''}`, 'info', 'login.strategy');
+
+                const screenshotPath = await this.takeScreenshot('login-page');
+                if (screenshotPath) this.log(`ðŸ“¸ Screenshot saved to ${screenshotPath}`, 'debug', 'artifacts.screenshot');
+
+                await runLoginPages(this.page, strategy.pages, {
+                    credentials: { username, password },
+                    log: message => this.log(message, 'info', 'login.step'),
+                    manualStep: page => this.waitForManualLogin(page.prompt)
+                });
 
-            await passwordInput.click({ clickCount: 3 });
-            await this.page.keyboard.press('Backspace');
-            await passwordInput.type(password, { delay: 100 });
-            this.log(`âœ“ Entered password using selector: ${passwordSelector}`);
-
-            // Submit form - Canvas standard submit button
-            const submitSelectors = [
-                // Generic selectors FIRST
-                'button[type="submit"]',
-                'input[type="submit"]',
-                'button:has-text("Go")',
-                'button:has-text("Log In")',
-                'button:has-text("Login")',
-                'button:has-text("Sign In")',
-                'button:has-text("Submit")',
-                // Canvas-specific
-                'button.Button.Button--login',
-                'button[type="submit"].Button--login',
-                '#login_form button[type="submit"]',
-                'button.login_button',
-                '.btn-primary[type="submit"]'
-            ];
-
-            let submitted = false;
-            for (const selector of submitSelectors) {
-                try {
-                    this.log(`ðŸ” Trying submit button selector: ${selector}`);
-                    const button = await this.page.$(selector);
-                    if (button) {
-                        const buttonInfo = await this.page.evaluate((sel) => {
-                            const elem = document.querySelector(sel);
-                            if (!elem) return null;
-                            const style = window.getComputedStyle(elem);
-                            return {
-                                text: elem.textContent?.trim() || elem.value,
-                                type: elem.type,
-                                tagName: elem.tagName,
-                                isVisible: style.display !== 'none' && 
-                                          style.visibility !== 'hidden' && 
-                                          style.opacity !== '0'
-                            };
-                        }, selector);
-                        
-                        if (buttonInfo) {
-                            this.log(`   Found: <${buttonInfo.tagName}> with text "${buttonInfo.text}" (visible: ${buttonInfo.isVisible})`);
-                        }
-                        
-                        if (buttonInfo && buttonInfo.isVisible) {
-                            this.log(`âœ… Clicking button: "${buttonInfo.text}"`);
-                            await button.click();
-                            submitted = true;
-                            break;
-                        }
-                    }
-                } catch (e) {
-                    this.log(`âŒ Submit selector "${selector}" not found`);
-                    continue;
+                // Still at the identity provider after every page ran: an MFA prompt the strategy cannot answer
+                if (!this.onCanvas() && manualMfa) {
+                    await this.waitForManualLogin();
                 }
             }
 
-            if (!submitted) {
-                this.log('âš ï¸  No submit button found, pressing Enter as fallback');
-                await passwordInput.press('Enter');
-            }
+            this.log(`ðŸ“ URL after login: ${this.page.url()}`, 'debug', 'login.landed');
 
-            this.log('â³ Waiting for login to complete...');
-            
-            try {
-                await this.page.waitForNavigation({ 
-                    waitUntil: 'networkidle2',
-                    timeout: 30000 
-                });
-            } catch (e) {
-                this.log('âš ï¸  Navigation timeout, checking if login succeeded anyway');
+            if (!this.page.url().startsWith(this.config.canvasUrl)) {
+                this.log(`ðŸŽ¯ Now navigating to quiz URL: ${this.config.canvasUrl}`, 'info', 'navigation.quiz');
+                await this.page.goto(this.config.canvasUrl, { waitUntil: 'networkidle2', timeout: 60000 });
             }
 
-            // Verify login success
-            await this.page.waitForTimeout(2000);
-            const finalUrl = this.page.url();
-            this.log(`ðŸ“ Final URL after login: ${finalUrl}`);
-            
-            // Take screenshot after login attempt
-            const afterLoginPath = `/tmp/canvas-bot-screenshots/after-login-${Date.now()}.png`;
-            await this.page.screenshot({ path: afterLoginPath });
-            this.log(`ðŸ“¸ After-login screenshot: ${afterLoginPath}`);
-            
-            // Check if we're on a password page (multi-step login)
-            if (finalUrl.includes('password') || finalUrl.includes('login')) {
-                this.log('ðŸ” Detected multi-step login, looking for password field...');
-                
-                const passwordSelectors = [
-                    // MOST GENERIC FIRST
-                    'input[type="password"]',
-                    'input[placeholder*="password" i]',
-                    'input[name*="password" i]',
-                    'form input[type="password"]'
-                ];
-                
-                let passwordInput = null;
-                for (const selector of passwordSelectors) {
-                    try {
-                        passwordInput = await this.page.waitForSelector(selector, { timeout: 3000 });
-                        if (passwordInput) {
-                            this.log(`âœ… Found password field: ${selector}`);
-                            
-                            // Clear and enter password
-                            await passwordInput.click({ clickCount: 3 });
-                            await this.page.keyboard.press('Backspace');
-                            await passwordInput.type(password, { delay: 100 });
-                            this.log('âœ“ Entered password');
-                            
-                            // Find and click submit button
-                            const submitSelectors = [
-                                'button[type="submit"]',
-                                'input[type="submit"]',
-                                'button:has-text("Go")',
-                                'button:has-text("Login")',
-                                'button:has-text("Sign In")',
-                                'button:has-text("Submit")'
-                            ];
-                            
-                            let submitted = false;
-                            for (const selector of submitSelectors) {
-                                try {
-                                    const button = await this.page.$(selector);
-                                    if (button) {
-                                        await button.click();
-                                        submitted = true;
-                                        this.log('âœ“ Clicked submit button on password page');
-                                        break;
-                                    }
-                                } catch (e) {
-                                    continue;
-                                }
-                            }
-                            
-                            if (!submitted) {
-                                await passwordInput.press('Enter');
-                                this.log('âœ“ Pressed Enter on password field');
-                            }
-                            
-                            // Wait for navigation after password
-                            await this.page.waitForNavigation({ 
-                                waitUntil: 'networkidle2',
-                                timeout: 30000 
-                            }).catch(() => {
-                                this.log('âš ï¸ Navigation timeout after password, checking if login succeeded');
-                            });
-                            
-                            break;
-                        }
-                    } catch (e) {
-                        continue;
-                    }
-                }
-            }
-            
-            // Final check
-            await this.page.waitForTimeout(2000);
-            const veryFinalUrl = this.page.url();
-            this.log(`ðŸ“ Very final URL: ${veryFinalUrl}`);
-            
-            if (veryFinalUrl.includes('login') && !veryFinalUrl.includes('login_success')) {
-                const finalErrorPath = `/tmp/canvas-bot-screenshots/login-final-error-${Date.now()}.png`;
-                await this.page.screenshot({ path: finalErrorPath });
-                this.log(`ðŸ“¸ Final error screenshot: ${finalErrorPath}`);
+            // Canvas sends anyone without a session back to its login page
+            if (!this.onCanvas()) {
                 throw new Error('Login failed - still on login page');
             }
-            
-            this.log('âœ… Successfully logged in!');
-            
-            // If we used a custom login URL, now navigate to the quiz URL
-            if (navigateToLoginFirst && this.config.canvasUrl !== veryFinalUrl) {
-                this.log(`ðŸŽ¯ Now navigating to quiz URL: ${this.config.canvasUrl}`);
-                try {
-                    await this.page.goto(this.config.canvasUrl, {
-                        waitUntil: 'networkidle2',
-                        timeout: 60000
-                    });
-                    await this.page.waitForTimeout(2000);
-                    const quizUrl = this.page.url();
-                    this.log(`ðŸ“ Arrived at quiz page: ${quizUrl}`);
-                } catch (e) {
-                    this.log(`âš ï¸ Could not navigate to quiz URL: ${e.message}`, 'warning');
-                    throw new Error(`Failed to navigate to quiz after login: ${e.message}`);
-                }
-            }
-            
+
+            this.log('âœ… Successfully logged in!', 'info', 'login.succeeded');
             return true;
 
         } catch (error) {
-            this.log(`âŒ Login failed: ${error.message}`, 'error');
-            // Take error screenshot
-            try {
-                const errorPath = `/tmp/canvas-bot-screenshots/login-exception-${Date.now()}.png`;
-                await this.page.screenshot({ path: errorPath });
-                this.log(`ðŸ“¸ Exception screenshot: ${errorPath}`);
-            } catch (e) {}
+            // run() saves the screenshot and HTML of the page it failed on
+            this.log(`âŒ Login failed: ${error.message}`, 'error', 'login.failed');
             throw error;
         }
     }
 
     async navigateToQuiz() {
-        this.log('ðŸ“ Navigating to quiz...');
+        this.log('ðŸ“ Navigating to quiz...', 'info', 'navigation.started');
 
         try {
             const currentUrl = this.page.url();
             
             // Check if we're already on the quiz page
             if (currentUrl.includes('/quizzes/')) {
-                this.log('âœ… Already on quiz page!');
+                this.log('âœ… Already on quiz page!', 'info', 'navigation.already_on_quiz');
             } else {
-                this.log(`ðŸ“ Current URL: ${currentUrl}`);
-                this.log(`ðŸ“ Going to: ${this.config.canvasUrl}`);
+                this.log(`ðŸ“ Current URL: ${currentUrl}`, 'debug', 'navigation.current_url');
+                this.log(`ðŸ“ Going to: ${this.config.canvasUrl}`, 'info', 'navigation.goto');
                 
                 await this.page.goto(this.config.canvasUrl, {
                     waitUntil: 'networkidle2',
@@ -572,448 +698,974 @@ class CanvasQuizBot {
 
             await this.page.waitForTimeout(2000);
 
-            // Look for "Take the Quiz" or "Resume Quiz" button
-            const startButtonSelectors = [
-                'a.btn:has-text("Take the Quiz")',
-                'button:has-text("Take the Quiz")',
-                'a:has-text("Resume Quiz")',
-                'button:has-text("Resume")',
-                '.take_quiz_button',
-                '#take_quiz_link'
-            ];
-
-            let quizStarted = false;
-            for (const selector of startButtonSelectors) {
-                try {
-                    const button = await this.page.waitForSelector(selector, { timeout: 5000 });
-                    if (button) {
-                        this.log(`Found start button: ${selector}`);
-                        await button.click();
-                        quizStarted = true;
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
+            this.adapter = await detectPageAdapter(this.page, { engine: this.config.quizEngine });
+            this.log(`ðŸ§­ Quiz engine: ${this.adapter.label}`, 'info', 'navigation.engine');
 
-            if (quizStarted) {
-                await this.page.waitForNavigation({
-                    waitUntil: 'networkidle2',
-                    timeout: 30000
-                });
-                this.log('âœ… Quiz started successfully');
+            // Look for "Take the Quiz", "Begin" or "Resume" on the engine's landing view
+            const { started, selector } = await this.adapter.start(this.page, { mode: this.config.mode });
+
+            if (started) {
+                this.log(`Found start button: ${selector}`, 'debug', 'navigation.start_button');
+                this.log('âœ… Quiz started successfully', 'info', 'navigation.quiz_started');
             } else {
-                this.log('âš ï¸  Could not find quiz start button, assuming already in quiz');
+                this.log('âš ï¸  Could not find quiz start button, assuming already in quiz', 'warning', 'navigation.no_start_button');
             }
 
+            this.quizFrame = await this.adapter.quizFrame(this.page);
+
         } catch (error) {
-            this.log(`âŒ Navigation error: ${error.message}`, 'error');
+            this.log(`âŒ Navigation error: ${error.message}`, 'error', 'navigation.failed');
             throw error;
         }
     }
 
     async extractQuestions() {
-        this.log('ðŸ“Š Extracting questions from quiz...');
+        this.log('ðŸ“Š Extracting questions from quiz...', 'info', 'extraction.started');
 
         try {
             await this.page.waitForTimeout(2000);
 
-            const questions = await this.page.evaluate(() => {
-                const questionElements = document.querySelectorAll('.question');
-                const extractedQuestions = [];
-
-                questionElements.forEach((element, index) => {
-                    const questionText = element.querySelector('.question_text')?.innerText ||
-                                       element.querySelector('.text')?.innerText || '';
-
-                    const type = element.className.includes('multiple_choice') ? 'multiple_choice' :
-                               element.className.includes('true_false') ? 'true_false' :
-                               element.className.includes('multiple_answers') ? 'multiple_answers' :
-                               element.className.includes('short_answer') ? 'short_answer' :
-                               element.className.includes('essay') ? 'essay' : 'unknown';
-
-                    const options = [];
-                    element.querySelectorAll('.answer').forEach(answer => {
-                        const label = answer.querySelector('label');
-                        const input = answer.querySelector('input');
-                        if (label && input) {
-                            options.push({
-                                text: label.innerText.trim(),
-                                id: input.id,
-                                value: input.value
-                            });
-                        }
-                    });
-
-                    extractedQuestions.push({
-                        id: element.id || `question_${index}`,
-                        text: questionText.trim(),
-                        type: type,
-                        options: options,
-                        element: element.id
-                    });
-                });
+            if (!this.adapter) {
+                this.adapter = await detectPageAdapter(this.page, { engine: this.config.quizEngine });
+                this.quizFrame = await this.adapter.quizFrame(this.page);
+            }
 
-                return extractedQuestions;
-            });
+            const questions = await this.adapter.extractQuestions(this.quizFrame);
 
             this.questions = questions;
-            this.log(`âœ… Extracted ${questions.length} questions`);
+
+            if (this.config.questionScreenshots) {
+                await this.captureQuestionScreenshots(questions);
+            }
+            this.log(`âœ… Extracted ${questions.length} questions`, 'info', 'extraction.done');
             
             questions.forEach((q, i) => {
-                this.log(`Q${i + 1}: ${q.type} - ${q.text.substring(0, 60)}...`);
+                this.log(`Q${i + 1}: ${q.type} - ${q.text.substring(0, 60)}...`, 'debug', 'extraction.question');
             });
 
             return questions;
 
         } catch (error) {
-            this.log(`âŒ Error extracting questions: ${error.message}`, 'error');
+            this.log(`âŒ Error extracting questions: ${error.message}`, 'error', 'extraction.failed');
             throw error;
         }
     }
 
-    async analyzeQuestionWithAI(question) {
-        this.log(`ðŸ¤– Analyzing question with AI: ${question.text.substring(0, 50)}...`);
+    // Instructors' own quizzes straight from the Canvas REST API with their access token, no browser involved
+    async fetchQuestionsFromApi() {
+        const { origin, courseId, quizId } = parseQuizUrl(this.config.canvasUrl);
+        this.log('ðŸ“¡ Fetching questions from the Canvas API...', 'info', 'extraction.started', { source: 'api' });
 
         try {
-            let prompt = `You are taking a quiz. Answer the following question:\n\n${question.text}\n\n`;
-
-            if (question.type === 'multiple_choice' || question.type === 'true_false' || question.type === 'multiple_answers') {
-                prompt += 'Options:\n';
-                question.options.forEach((opt, idx) => {
-                    prompt += `${String.fromCharCode(65 + idx)}. ${opt.text}\n`;
-                });
-                
-                if (question.type === 'multiple_choice' || question.type === 'true_false') {
-                    prompt += '\nProvide ONLY the letter of the correct answer (A, B, C, D, etc.). No explanation.';
-                } else {
-                    prompt += '\nProvide ONLY the letters of ALL correct answers separated by commas (e.g., A,C,D). No explanation.';
-                }
-            } else {
-                prompt += '\nProvide a concise answer to this question.';
-            }
-
-            const completion = await this.groq.chat.completions.create({
-                messages: [
-                    {
-                        role: "system",
-                        content: "You are a helpful assistant taking a quiz. Provide concise, accurate answers."
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                model: "llama-3.3-70b-versatile",
-                temperature: 0.3,
-                max_tokens: 500
+            const client = new CanvasApiClient({
+                baseUrl: origin,
+                token: this.secrets.token,
+                retry: { ...this.retry, shouldRetry: error => error.retryable === true && this.state !== 'cancelling' },
+                onRetry: (error, attempt, delayMs) => this.log(
+                    `â³ ${error.message}, retrying in ${(delayMs / 1000).toFixed(1)}s (${attempt}/${this.retry.retries})`,
+                    'warning', 'canvas_api.retry'
+                )
             });
+            const { quiz, questions } = await client.fetchQuiz(courseId, quizId);
 
-            const answer = completion.choices[0]?.message?.content?.trim() || '';
-            this.log(`âœ… AI Answer: ${answer}`);
-
-            return answer;
+            this.questions = questions;
+            this.log(`âœ… Fetched ${questions.length} questions from "${quiz.title}"`, 'info', 'extraction.done', { source: 'api' });
+            return questions;
 
         } catch (error) {
-            this.log(`âŒ AI Error: ${error.message}`, 'error');
+            this.log(`âŒ Error fetching questions from the Canvas API: ${error.message}`, 'error', 'extraction.failed', { source: 'api' });
             throw error;
         }
     }
 
-    async answerQuestion(question, aiAnswer) {
-        this.log(`ðŸ“ Answering question: ${question.text.substring(0, 50)}...`);
-
-        try {
-            // Scroll to question
-            await this.page.evaluate((elementId) => {
-                const element = document.getElementById(elementId);
-                if (element) {
-                    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    // One image per question for vision-capable models; a failed capture only costs that image
+    async captureQuestionScreenshots(questions) {
+        for (const [index, question] of questions.entries()) {
+            try {
+                const handle = await this.quizFrame.$(`[id=${JSON.stringify(question.element)}]`);
+                if (handle) {
+                    question.screenshot = await this.takeScreenshot(`question-${index + 1}`, handle);
                 }
-            }, question.element);
+            } catch (error) {
+                this.log(`âš ï¸  Could not capture question ${index + 1}: ${error.message}`, 'warning', 'artifacts.question_capture_failed');
+            }
+        }
+    }
 
-            await this.page.waitForTimeout(1000);
+    // Screenshot of the question as a data URL, when screenshots are enabled and one was captured
+    questionImages(question) {
+        if (!this.config.questionScreenshots || !question.screenshot || !fs.existsSync(question.screenshot)) {
+            return [];
+        }
+        return [`data:image/png;base64,${fs.readFileSync(question.screenshot).toString('base64')}`];
+    }
 
-            // Answer based on question type
-            if (question.type === 'multiple_choice' || question.type === 'true_false') {
-                // Extract letter from AI response
-                const letterMatch = aiAnswer.match(/[A-Z]/);
-                if (!letterMatch) {
-                    throw new Error(`Could not extract answer letter from: ${aiAnswer}`);
+    // Single JSON-mode chat completion through the configured provider, or an ensemble `member`, returns the reply text.
+    // Images are sent as OpenAI-style image_url parts alongside the prompt.
+    async chat(systemPrompt, userPrompt, images = [], member = null) {
+        const userContent = images.length
+            ? [{ type: 'text', text: userPrompt }, ...images.map(url => ({ type: 'image_url', image_url: { url } }))]
+            : userPrompt;
+
+        // Budget estimate: about four characters per prompt token plus the whole completion allowance
+        const maxTokens = this.config.maxTokens ?? DEFAULT_MAX_TOKENS;
+        const estimatedTokens = Math.ceil((systemPrompt.length + userPrompt.length) / 4) + maxTokens;
+
+        // Rate limits and overloaded or unreachable servers are retried with backoff; a cancel stops the retries.
+        // Signals are checked as the call leaves the queue, so prefetched calls hold while the session is
+        // paused and are dropped once it is cancelled.
+        const scheduler = member ? member.scheduler : this.scheduler;
+        const provider = member ? member.provider : this.provider;
+        const { content, usage } = await withRetry(() => scheduler.schedule(() => provider.complete({
+            messages: [
+                {
+                    role: "system",
+                    content: systemPrompt
+                },
+                {
+                    role: "user",
+                    content: userContent
                 }
+            ],
+            model: member ? member.model : this.config.model,
+            temperature: this.config.temperature ?? DEFAULT_TEMPERATURE,
+            maxTokens,
+            json: true
+        }), { tokens: estimatedTokens, ready: () => this.checkSignals() }), {
+            ...this.retry,
+            shouldRetry: error => error.retryable === true && this.state !== 'cancelling',
+            onRetry: (error, attempt, delayMs) => this.log(
+                `â³ ${error.message}, retrying in ${(delayMs / 1000).toFixed(1)}s (${attempt}/${this.retry.retries})`,
+                'warning', 'model.retry'
+            )
+        });
 
-                const answerLetter = letterMatch[0];
-                const answerIndex = answerLetter.charCodeAt(0) - 65; // A=0, B=1, etc.
+        this.recordUsage(usage);
+        return content;
+    }
 
-                if (answerIndex >= 0 && answerIndex < question.options.length) {
-                    const option = question.options[answerIndex];
-                    
-                    await this.page.evaluate((inputId) => {
-                        const input = document.getElementById(inputId) || 
-                                     document.querySelector(`input[value="${inputId}"]`);
-                        if (input) {
+    // Add one completion's token counts to the session totals
+    recordUsage(usage) {
+        const promptTokens = usage?.prompt_tokens || 0;
+        const completionTokens = usage?.completion_tokens || 0;
+
+        this.usage.calls++;
+        this.usage.promptTokens += promptTokens;
+        this.usage.completionTokens += completionTokens;
+        this.usage.totalTokens += usage?.total_tokens || promptTokens + completionTokens;
+        this.publishUsage();
+    }
+
+    publishUsage() {
+        publish(this.sessionId, { type: 'usage', usage: this.usage, cache: this.cacheStats });
+    }
+
+    // What besides the question decides a cached answer: who answered it and the passages they saw
+    cacheScope(passages) {
+        return {
+            provider: this.provider.name,
+            model: this.config.model || null,
+            passageIds: passages.map(passage => passage.passageId)
+        };
+    }
+
+    // A stored suggestion for the same question content, model and course passages, in this copy's option order
+    lookupCachedAnswer(question, passages = []) {
+        // A cached single answer carries no vote, so consensus sessions always ask
+        if (!this.cache || this.ensembleVoters().length > 1) return null;
+
+        let suggestion = null;
+        try {
+            suggestion = this.cache.get(question, this.cacheScope(passages));
+        } catch (error) {
+            this.log(`âš ï¸ Answer cache unavailable: ${error.message}`, 'warning', 'cache.unavailable');
+        }
+
+        if (suggestion) {
+            this.cacheStats.hits++;
+            this.log(`ðŸ’¾ Cached answer: ${formatChoice(suggestion.choice)} (confidence ${Math.round(suggestion.confidence * 100)}%)`, 'info', 'cache.hit');
+        } else {
+            this.cacheStats.misses++;
+        }
+        this.publishUsage();
+        return suggestion;
+    }
+
+    // Hit counts from this run's lookups, written once instead of per question
+    flushCache() {
+        try {
+            this.cache?.flush();
+        } catch (error) {
+            this.log(`âš ï¸ Could not save answer cache hits: ${error.message}`, 'warning', 'cache.write_failed');
+        }
+    }
+
+    storeCachedAnswer(question, suggestion, passages = []) {
+        if (!this.cache) return;
+        try {
+            this.cache.set(question, suggestion, this.cacheScope(passages));
+        } catch (error) {
+            this.log(`âš ï¸ Could not cache answer: ${error.message}`, 'warning', 'cache.write_failed');
+        }
+    }
+
+    // Chat and validate the reply with parse(raw); a malformed reply is sent back with the
+    // validation error up to MAX_FORMAT_RETRIES times before the format error is thrown
+    async chatStructured(systemPrompt, prompt, images, parse, member = null) {
+        let userPrompt = prompt;
+
+        for (let attempt = 0; ; attempt++) {
+            const raw = await this.chat(systemPrompt, userPrompt, images, member);
+            try {
+                return parse(raw);
+            } catch (error) {
+                if (!isFormatError(error) || attempt >= MAX_FORMAT_RETRIES) throw error;
+                this.log(`âš ï¸  Malformed reply (${error.message}), asking again (${attempt + 1}/${MAX_FORMAT_RETRIES})`, 'warning', 'model.malformed_reply');
+                userPrompt = buildReaskPrompt(prompt, error);
+            }
+        }
+    }
+
+    // Everyone asked for a vote: `samples` replies from the main model, then one from each ensemble member
+    ensembleVoters() {
+        const main = this.config.model ? `${this.provider.name}:${this.config.model}` : this.provider.name;
+        const samples = this.config.ensemble?.samples || 1;
+        return [
+            ...Array.from({ length: samples }, (_, idx) => ({ label: samples > 1 ? `${main} #${idx + 1}` : main, member: null })),
+            ...this.ensembleMembers.map(member => ({ label: member.label, member }))
+        ];
+    }
+
+    // Ask every voter the same prompt and combine the replies; voters that fail are left out of the count
+    // of agreeing votes but still count as asked, so a lone reply from a split ensemble is not fully trusted
+    async askEnsemble(question, systemPrompt, prompt, images, parse) {
+        const voters = this.ensembleVoters();
+        const outcomes = await Promise.allSettled(voters.map(voter =>
+            this.chatStructured(systemPrompt, prompt, images, parse, voter.member)));
+
+        const cancelled = outcomes.find(outcome => outcome.reason instanceof SessionCancelledError);
+        if (cancelled) throw cancelled.reason;
+
+        const votes = [];
+        outcomes.forEach((outcome, idx) => {
+            if (outcome.status === 'fulfilled') {
+                votes.push({ voter: voters[idx].label, suggestion: outcome.value });
+            } else {
+                this.log(`âš ï¸ ${voters[idx].label} did not vote: ${outcome.reason.message}`, 'warning', 'consensus.voter_failed');
+            }
+        });
+        if (!votes.length) throw outcomes[0].reason;
+
+        const suggestion = aggregateVotes(question, votes, { voters: voters.length });
+        const { consensus } = suggestion;
+        if (consensus.votes.length > 1) {
+            const tally = consensus.votes.map(vote => `${vote.answer} ×${vote.count}`).join(', ');
+            this.log(`ðŸ—³ï¸ Models disagree (${tally}), flagged for review`, 'warning', 'consensus.disagreement');
+        } else if (consensus.flagged) {
+            this.log(`ðŸ—³ï¸ Only ${consensus.responded} of ${consensus.voters} voters replied, flagged for review`, 'warning', 'consensus.incomplete');
+        }
+        return suggestion;
+    }
+
+    // Best-matching passages from the course's uploaded notes, searched by the question and its options
+    courseContext(question) {
+        if (!this.courseNotes || !this.courseId) return [];
+        try {
+            const query = [question.text, ...describeQuestion(question)].join('\n');
+            return this.courseNotes.search(this.courseId, query, this.config.contextPassages || DEFAULT_CONTEXT_PASSAGES);
+        } catch (error) {
+            this.log(`âš ï¸ Course notes unavailable: ${error.message}`, 'warning', 'notes.unavailable');
+            return [];
+        }
+    }
+
+    async analyzeQuestionWithAI(question) {
+        this.log(`ðŸ¤– Analyzing question with AI: ${question.text.substring(0, 50)}...`, 'info', 'question.analyzing');
+
+        // Grounded answers are cached per set of passages, so look them up before the cache
+        const passages = this.courseContext(question);
+        const cached = this.lookupCachedAnswer(question, passages);
+        if (cached) return cached;
+
+        try {
+            let prompt = `You are taking a quiz. Answer the following question:\n\n${question.text}\n\n`;
+
+            const details = describeQuestion(question);
+            if (details.length) {
+                prompt += `${details.join('\n')}\n`;
+            }
+
+            if (passages.length) {
+                prompt += `\n${buildContextBlock(passages)}\n`;
+                this.log(`ðŸ“š Grounding in ${passages.length} course passage(s) from ${[...new Set(passages.map(passage => passage.name))].join(', ')}`, 'info', 'notes.grounded');
+            }
+
+            const images = this.questionImages(question);
+            if (hasRichContent(prompt)) {
+                prompt += `\n${RICH_CONTENT_NOTE}\n`;
+            }
+            if (images.length) {
+                prompt += '\nA screenshot of the question as it appears on the page is attached.\n';
+            }
+
+            prompt += `\n${buildFormatInstructions(question, { sourceCount: passages.length })}`;
+
+            const systemPrompt = "You are a helpful tutor answering quiz questions. Provide accurate answers with clear, teachable reasoning. Always reply with a single JSON object.";
+            const parse = raw => parseStructuredAnswer(raw, question, { sourceCount: passages.length });
+            const suggestion = this.ensembleVoters().length > 1
+                ? await this.askEnsemble(question, systemPrompt, prompt, images, parse)
+                : await this.chatStructured(systemPrompt, prompt, images, parse);
+            if (suggestion.sources) {
+                suggestion.sources = suggestion.sources.map(number => citePassage(passages[number - 1]));
+            }
+            this.log(`âœ… AI Answer: ${formatChoice(suggestion.choice)} (confidence ${Math.round(suggestion.confidence * 100)}%)`, 'info', 'question.suggested');
+            this.storeCachedAnswer(question, suggestion, passages);
+
+            return suggestion;
+
+        } catch (error) {
+            if (!(error instanceof SessionCancelledError)) {
+                this.log(`âŒ AI Error: ${error.message}`, 'error', 'model.failed');
+            }
+            throw error;
+        }
+    }
+
+    // Study mode: record the suggestion without touching the quiz page.
+    // `pending` is a suggestion already requested through prefetchModelCalls().
+    async studyQuestion(question, index, total, pending = null) {
+        const suggestion = NO_ANSWER_TYPES.includes(question.type)
+            ? { choice: '', explanation: NO_ANSWER_NOTES[question.type], confidence: null, keyConcepts: [] }
+            : await (pending ?? this.analyzeQuestionWithAI(question));
+
+        const item = {
+            questionId: question.id,
+            question: question.text,
+            type: question.type,
+            options: question.options.map((opt, idx) => ({
+                letter: optionLetter(idx),
+                text: opt.text
+            })),
+            ...subFields(question),
+            status: 'suggested',
+            suggestedAnswer: formatChoice(suggestion.choice),
+            choice: suggestion.choice,
+            explanation: suggestion.explanation,
+            confidence: suggestion.confidence,
+            keyConcepts: suggestion.keyConcepts,
+            ...suggestionExtras(suggestion),
+            timestamp: new Date().toISOString()
+        };
+
+        this.answers.push(item);
+
+        publish(this.sessionId, {
+            type: 'study',
+            current: index + 1,
+            total,
+            item
+        });
+
+        return item;
+    }
+
+    // Audit mode: grade the item against the quality rubric instead of answering it
+    async requestAudit(question) {
+        this.log(`ðŸ”Ž Auditing question: ${question.text.substring(0, 50)}...`, 'info', 'audit.started');
+
+        try {
+            return await this.chatStructured(
+                AUDIT_SYSTEM_PROMPT,
+                buildAuditPrompt(question),
+                this.questionImages(question),
+                raw => parseAuditReport(raw, question)
+            );
+        } catch (error) {
+            if (!(error instanceof SessionCancelledError)) {
+                this.log(`âŒ Audit error: ${error.message}`, 'error', 'audit.failed');
+            }
+            throw error;
+        }
+    }
+
+    // Record an audit report; `pending` is one already requested through prefetchModelCalls()
+    async auditQuestion(question, index, total, pending = null) {
+        const report = await (pending ?? this.requestAudit(question));
+
+        const item = {
+            questionId: question.id,
+            question: question.text,
+            type: question.type,
+            options: question.options.map((opt, idx) => ({
+                letter: optionLetter(idx),
+                text: opt.text
+            })),
+            ...subFields(question),
+            status: 'audited',
+            ...report,
+            timestamp: new Date().toISOString()
+        };
+
+        this.auditReport.push(item);
+        this.log(`âœ… Audit: ${report.issues.length} issue(s), verdict "${report.verdict}"`, 'info', 'audit.done');
+
+        publish(this.sessionId, {
+            type: 'audit',
+            current: index + 1,
+            total,
+            item
+        });
+
+        return item;
+    }
+
+    // Start the model call for every question still to do. The scheduler bounds how many run at
+    // once; run() then records and answers them one at a time, in quiz order.
+    prefetchModelCalls(questions, mode) {
+        const pending = new Map();
+
+        for (const question of questions) {
+            if (this.completed.has(question.id)) continue;
+            if (mode !== 'audit' && NO_ANSWER_TYPES.includes(question.type)) continue;
+
+            const call = mode === 'audit' ? this.requestAudit(question) : this.analyzeQuestionWithAI(question);
+            // Awaited in order later; until then a failure must not surface as an unhandled rejection
+            call.catch(() => {});
+            pending.set(question.id, call);
+        }
+
+        return pending;
+    }
+
+    async answerQuestion(question, suggestion) {
+        this.log(`ðŸ“ Answering question: ${question.text.substring(0, 50)}...`, 'info', 'question.answering');
+
+        try {
+            const aiAnswer = formatChoice(suggestion.choice);
+
+            // Map the validated choice to option IDs and field values before touching the page
+            const targets = resolveChoice(question, suggestion.choice);
+
+            // Scroll to question
+            await this.quizFrame.evaluate((elementId) => {
+                const element = document.getElementById(elementId);
+                if (element) {
+                    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                }
+            }, question.element);
+
+            await this.page.waitForTimeout(1000);
+
+            if (CHOICE_TYPES.includes(question.type)) {
+                for (const target of targets) {
+                    await this.quizFrame.evaluate((inputId) => {
+                        const input = document.getElementById(inputId) ||
+                                     document.querySelector(`input[value="${inputId}"]`);
+                        if (input) {
                             input.click();
                             input.checked = true;
                         }
-                    }, option.id || option.value);
+                    }, target.id || target.value);
 
-                    this.log(`âœ… Selected option ${answerLetter}: ${option.text}`);
-                } else {
-                    throw new Error(`Invalid answer index: ${answerIndex}`);
+                    this.log(`âœ… Selected option ${target.letter}: ${target.text}`, 'info', 'question.answer_entered');
                 }
 
-            } else if (question.type === 'multiple_answers') {
-                // Parse multiple letters
-                const letters = aiAnswer.match(/[A-Z]/g) || [];
-                
-                for (const letter of letters) {
-                    const answerIndex = letter.charCodeAt(0) - 65;
-                    if (answerIndex >= 0 && answerIndex < question.options.length) {
-                        const option = question.options[answerIndex];
-                        
-                        await this.page.evaluate((inputId) => {
-                            const input = document.getElementById(inputId) || 
-                                         document.querySelector(`input[value="${inputId}"]`);
-                            if (input) {
-                                input.click();
-                                input.checked = true;
-                            }
-                        }, option.id || option.value);
-
-                        this.log(`âœ… Selected option ${letter}: ${option.text}`);
-                    }
+            } else if (question.type === 'matching' || question.type === 'multiple_dropdowns') {
+                // Each numbered item or dropdown gets the option value behind its letter
+                for (const target of targets) {
+                    await this.fillField(question, target.field, target.value);
+                    this.log(`âœ… Set [${target.key}] to ${target.letter}: ${target.text}`, 'info', 'question.answer_entered');
                 }
 
-            } else if (question.type === 'short_answer' || question.type === 'essay') {
-                // Find text input or textarea
-                await this.page.evaluate((answer) => {
-                    const inputs = document.querySelectorAll('input[type="text"], textarea');
-                    if (inputs.length > 0) {
-                        const input = inputs[inputs.length - 1];
-                        input.value = answer;
-                        input.dispatchEvent(new Event('input', { bubbles: true }));
-                        input.dispatchEvent(new Event('change', { bubbles: true }));
-                    }
-                }, aiAnswer);
+            } else if (question.type === 'fill_in_multiple_blanks') {
+                for (const target of targets) {
+                    await this.fillField(question, target.field, target.value);
+                    this.log(`âœ… Filled blank [${target.key}]: ${target.text}`, 'info', 'question.answer_entered');
+                }
 
-                this.log(`âœ… Entered answer: ${aiAnswer.substring(0, 50)}...`);
+            } else if (question.type === 'short_answer' || question.type === 'essay' || NUMERIC_TYPES.includes(question.type)) {
+                await this.fillField(question, null, aiAnswer);
+                this.log(`âœ… Entered answer: ${aiAnswer.substring(0, 50)}...`, 'info', 'question.answer_entered');
             }
 
-            this.answers.push({
+            const record = {
                 questionId: question.id,
                 question: question.text,
+                type: question.type,
+                ...subFields(question),
+                status: 'answered',
                 answer: aiAnswer,
+                choice: suggestion.choice,
+                explanation: suggestion.explanation,
+                confidence: suggestion.confidence,
+                keyConcepts: suggestion.keyConcepts,
+                ...suggestionExtras(suggestion),
                 timestamp: new Date().toISOString()
+            };
+
+            this.answers.push(record);
+
+            publish(this.sessionId, {
+                type: 'answer',
+                current: this.answers.length,
+                record
             });
 
         } catch (error) {
-            this.log(`âŒ Error answering question: ${error.message}`, 'error');
+            this.log(`âŒ Error answering question: ${error.message}`, 'error', 'question.answer_failed');
             throw error;
         }
     }
 
+    // Set a named field inside the question (or its first text field) and fire the events Canvas listens for
+    async fillField(question, name, value) {
+        const filled = await this.quizFrame.evaluate((elementId, fieldName, fieldValue) => {
+            const scope = document.getElementById(elementId) || document;
+            const field = fieldName
+                ? scope.querySelector(`[name="${CSS.escape(fieldName)}"]`) || document.getElementById(fieldName)
+                : scope.querySelector('input.question_input, input[type="text"], textarea');
+            if (!field) return false;
+
+            field.value = fieldValue;
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+            return true;
+        }, question.element, name, value);
+
+        if (!filled) {
+            throw new Error(`Could not find ${name ? `field ${name}` : 'an answer field'} for ${question.id}`);
+        }
+    }
+
     async submitQuiz() {
-        this.log('ðŸ“¤ Submitting quiz...');
+        this.log('ðŸ“¤ Submitting quiz...', 'info', 'submit.started');
 
         try {
             // Look for submit button
-            const submitSelectors = [
-                'button.submit_quiz_button',
-                'button:has-text("Submit Quiz")',
-                'input[value="Submit Quiz"]',
-                '.quiz_submit'
-            ];
-
-            let submitted = false;
-            for (const selector of submitSelectors) {
-                try {
-                    const button = await this.page.waitForSelector(selector, { timeout: 5000 });
-                    if (button) {
-                        await button.click();
-                        submitted = true;
-                        this.log('âœ… Clicked submit button');
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-
-            if (!submitted && this.config.autoSubmit) {
-                this.log('âš ï¸  Could not find submit button');
+            const submitButton = await findFirst(this.quizFrame, this.adapter.submitSelectors);
+            if (submitButton) {
+                await submitButton.handle.click();
+                this.log('âœ… Clicked submit button', 'info', 'submit.clicked');
+            } else if (this.config.autoSubmit) {
+                this.log('âš ï¸  Could not find submit button', 'warning', 'submit.no_button');
             }
 
             await this.page.waitForTimeout(3000);
 
             // Handle confirmation dialog if present
-            try {
-                const confirmButton = await this.page.waitForSelector(
-                    'button:has-text("Submit"), button:has-text("OK"), button:has-text("Yes")',
-                    { timeout: 3000 }
-                );
-                if (confirmButton) {
-                    await confirmButton.click();
-                    this.log('âœ… Confirmed submission');
-                }
-            } catch (e) {
-                // No confirmation needed
+            const confirmButton = await findFirst(this.quizFrame, this.adapter.confirmSelectors, { timeout: 3000 });
+            if (confirmButton) {
+                await confirmButton.handle.click();
+                this.log('âœ… Confirmed submission', 'info', 'submit.confirmed');
+                await this.page.waitForTimeout(3000);
             }
 
         } catch (error) {
-            this.log(`âš ï¸  Submit error: ${error.message}`, 'warning');
+            this.log(`âš ï¸  Submit error: ${error.message}`, 'warning', 'submit.failed');
+        }
+    }
+
+    // Whether the run can move on after a question failed. Cancels, rejected credentials and a lost
+    // browser in quiz mode end the run instead; its checkpoint lets it resume later.
+    canSkipFailedQuestion(error) {
+        if (this.state === 'cancelling' || error instanceof SessionCancelledError) return false;
+        if (isFormatError(error)) return true;
+        if (error instanceof ProviderError && [401, 403].includes(error.status)) return false;
+        if ((this.config.mode || 'quiz') !== 'quiz') return true;
+        return Boolean(this.browser?.isConnected() && this.page && !this.page.isClosed());
+    }
+
+    // Per-question "unparseable" or "failed" status, kept in the results with the reason for review.
+    // The question is not marked done, so a resumed run tries it again.
+    recordFailedQuestion(question, index, total, error) {
+        const status = isFormatError(error) ? 'unparseable' : 'failed';
+        this.log(status === 'unparseable'
+            ? `â“ Question ${index + 1} left unanswered, reply could not be parsed: ${error.message}`
+            : `âŒ Question ${index + 1} failed, moving on: ${error.message}`, status === 'failed' ? 'error' : 'warning', `question.${status}`);
+
+        const item = {
+            questionId: question.id,
+            question: question.text,
+            type: question.type,
+            options: question.options.map((opt, idx) => ({
+                letter: optionLetter(idx),
+                text: opt.text
+            })),
+            ...subFields(question),
+            status,
+            error: this.redact(error.message),
+            ...(error.raw !== undefined ? { raw: String(error.raw).slice(0, 2000) } : {}),
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.config.mode === 'audit') {
+            this.auditReport.push({ ...item, issues: [], verdict: null });
+        } else {
+            this.answers.push(item);
+        }
+
+        publish(this.sessionId, {
+            type: status,
+            current: index + 1,
+            total,
+            item
+        });
+
+        return item;
+    }
+
+    // A question finished before the resume: show it again without redoing it
+    replayQuestion(question, index, total) {
+        publish(this.sessionId, { type: 'progress', current: index + 1, total, question });
+
+        const mode = this.config.mode || 'quiz';
+        const item = (mode === 'audit' ? this.auditReport : this.answers).find(entry => entry.questionId === question.id);
+        if (!item) return;
+
+        if (mode === 'quiz') {
+            publish(this.sessionId, { type: 'answer', current: index + 1, record: item });
+        } else {
+            publish(this.sessionId, { type: mode, current: index + 1, total, item });
+        }
+    }
+
+    buildResult(mode) {
+        // Quiz order, even when a resumed run finished some questions after later ones
+        const order = new Map(this.questions.map((question, index) => [question.id, index]));
+        const inQuizOrder = items => [...items].sort((a, b) => (order.get(a.questionId) ?? 0) - (order.get(b.questionId) ?? 0));
+        const countStatus = (items, status) => items.filter(item => item.status === status).length;
+        const done = items => items.filter(item => !['unparseable', 'failed'].includes(item.status)).length;
+        const needsReview = items => items.filter(item => item.consensus?.flagged).length;
+
+        if (mode === 'audit') {
+            return {
+                success: true,
+                mode: 'audit',
+                questionsAudited: done(this.auditReport),
+                flaggedCount: this.auditReport.filter(item => item.verdict === 'revise').length,
+                unparseableCount: countStatus(this.auditReport, 'unparseable'),
+                failedCount: countStatus(this.auditReport, 'failed'),
+                report: inQuizOrder(this.auditReport)
+            };
         }
+
+        if (mode === 'study') {
+            return {
+                success: true,
+                mode: 'study',
+                questionsReviewed: done(this.answers),
+                unparseableCount: countStatus(this.answers, 'unparseable'),
+                failedCount: countStatus(this.answers, 'failed'),
+                reviewCount: needsReview(this.answers),
+                studySheet: inQuizOrder(this.answers)
+            };
+        }
+
+        return {
+            success: true,
+            mode: 'quiz',
+            questionsAnswered: done(this.answers),
+            unparseableCount: countStatus(this.answers, 'unparseable'),
+            failedCount: countStatus(this.answers, 'failed'),
+            reviewCount: needsReview(this.answers),
+            answers: inQuizOrder(this.answers)
+        };
+    }
+
+    // Everything worth keeping about a finished run; config is reduced to non-secret fields
+    toRunRecord(result = null) {
+        const summary = this.getSummary();
+        return {
+            id: this.sessionId,
+            mode: summary.mode,
+            status: this.state,
+            startedAt: summary.startedAt,
+            finishedAt: summary.finishedAt,
+            durationMs: summary.elapsedMs,
+            config: sanitizeConfig(this.config),
+            questions: this.questions,
+            result,
+            timings: this.timings,
+            usage: this.usage,
+            cacheStats: this.cacheStats,
+            errors: this.errors,
+            screenshots: this.screenshots
+        };
     }
 
     async run() {
+        const mode = this.config.mode || 'quiz';
+        const resuming = this.questions.length > 0;
+        const fromApi = this.config.questionSource === 'api';
+
         try {
-            await this.initialize();
+            this.setState('running');
+
+            // Study and audit runs never touch the page again once their questions are checkpointed,
+            // and runs sourced from the Canvas API never open it at all
+            if (!fromApi && (!resuming || mode === 'quiz')) {
+                this.setStep('initializing');
+                await this.initialize();
+                await this.checkSignals();
+
+                // Without a saved login, manual MFA sessions let the user sign in themselves
+                if ((this.secrets.username && this.secrets.password) || this.config.manualMfa) {
+                    this.setStep('logging_in');
+                    await this.login(this.secrets.username, this.secrets.password);
+                    await this.checkSignals();
+                }
 
-            if (this.config.username && this.config.password) {
-                await this.login(this.config.username, this.config.password);
+                this.setStep('navigating');
+                await this.navigateToQuiz();
+                await this.checkSignals();
             }
 
-            await this.navigateToQuiz();
-            const questions = await this.extractQuestions();
+            this.setStep('extracting');
+            let questions;
+            if (resuming) {
+                questions = this.questions;
+                this.log(`â™»ï¸ Resuming from checkpoint: ${this.completed.size} of ${questions.length} questions already done`, 'info', 'checkpoint.resumed');
 
-            this.log(`ðŸ“Š Processing ${questions.length} questions...`);
+                // New Quizzes field IDs are assigned in the page during extraction, so label the reloaded
+                // page again; the checkpointed questions are kept as they are
+                if (mode === 'quiz' && this.adapter.name === 'new_quizzes') {
+                    await this.adapter.extractQuestions(this.quizFrame);
+                }
+            } else {
+                questions = fromApi ? await this.fetchQuestionsFromApi() : await this.extractQuestions();
+            }
+            this.totalQuestions = questions.length;
+            this.saveCheckpoint();
+
+            const modeNote = {
+                study: ' (study mode, answers will not be entered)',
+                audit: ' (audit mode, answers will not be entered)'
+            }[mode] || '';
+            this.log(`ðŸ“Š Processing ${questions.length} questions${modeNote}...`, 'info', 'session.processing');
+
+            this.setStep('processing');
+            const pending = this.prefetchModelCalls(questions, mode);
 
             for (let i = 0; i < questions.length; i++) {
+                await this.checkSignals();
+
                 const question = questions[i];
+                this.questionIndex = i + 1;
+
+                if (this.completed.has(question.id)) {
+                    this.replayQuestion(question, i, questions.length);
+                    continue;
+                }
                 
-                broadcast({
+                publish(this.sessionId, {
                     type: 'progress',
                     current: i + 1,
                     total: questions.length,
                     question: question
                 });
 
-                const aiAnswer = await this.analyzeQuestionWithAI(question);
-                await this.answerQuestion(question, aiAnswer);
+                const questionStartedAt = Date.now();
+
+                try {
+                    if (mode === 'study') {
+                        await this.studyQuestion(question, i, questions.length, pending.get(question.id));
+                    } else if (mode === 'audit') {
+                        await this.auditQuestion(question, i, questions.length, pending.get(question.id));
+                    } else if (NO_ANSWER_TYPES.includes(question.type)) {
+                        this.log(`â­ï¸ Skipping ${question.type.replace(/_/g, ' ')} item, nothing to answer`, 'info', 'question.skipped');
+                    } else {
+                        const suggestion = await pending.get(question.id);
+                        await this.answerQuestion(question, suggestion);
+                    }
+                    this.completed.add(question.id);
+                } catch (error) {
+                    // A failed question costs only itself, unless the run cannot go on without it
+                    if (!this.canSkipFailedQuestion(error)) throw error;
+                    this.recordFailedQuestion(question, i, questions.length, error);
+                }
+
+                this.timings.questions.push({
+                    questionId: question.id,
+                    durationMs: Date.now() - questionStartedAt
+                });
+                this.saveCheckpoint();
             }
 
-            if (this.config.autoSubmit) {
+            await this.checkSignals();
+
+            // Study and audit modes never submit, regardless of autoSubmit
+            if (this.config.autoSubmit && mode === 'quiz') {
+                this.setStep('submitting');
                 await this.submitQuiz();
             }
 
-            this.log('ðŸŽ‰ Quiz completed successfully!');
+            this.log({
+                study: 'ðŸŽ‰ Study sheet ready!',
+                audit: 'ðŸŽ‰ Audit report ready!'
+            }[mode] || 'ðŸŽ‰ Quiz completed successfully!', 'info', 'session.completed');
             
-            // Copy screenshots to outputs directory
-            try {
-                const screenshotsDir = '/tmp/canvas-bot-screenshots';
-                const outputDir = '/mnt/user-data/outputs/screenshots';
-                
-                if (fs.existsSync(screenshotsDir)) {
-                    if (!fs.existsSync(outputDir)) {
-                        fs.mkdirSync(outputDir, { recursive: true });
-                    }
-                    
-                    const files = fs.readdirSync(screenshotsDir);
-                    for (const file of files) {
-                        const src = path.join(screenshotsDir, file);
-                        const dest = path.join(outputDir, file);
-                        fs.copyFileSync(src, dest);
-                    }
-                    this.log(`ðŸ“¸ Copied ${files.length} screenshots to outputs directory`);
-                }
-            } catch (e) {
-                this.log(`âš ï¸ Could not copy screenshots: ${e.message}`, 'warning');
-            }
-            
-            return {
-                success: true,
-                questionsAnswered: this.answers.length,
-                answers: this.answers
-            };
+            this.finishedAt = new Date();
+            this.setStep('done');
+            this.setState('completed');
+            this.discardCheckpoint();
+
+            return this.buildResult(mode);
 
         } catch (error) {
-            this.log(`âŒ Fatal error: ${error.message}`, 'error');
-            
-            // Copy screenshots even on error
-            try {
-                const screenshotsDir = '/tmp/canvas-bot-screenshots';
-                const outputDir = '/mnt/user-data/outputs/screenshots';
-                
-                if (fs.existsSync(screenshotsDir)) {
-                    if (!fs.existsSync(outputDir)) {
-                        fs.mkdirSync(outputDir, { recursive: true });
-                    }
-                    
-                    const files = fs.readdirSync(screenshotsDir);
-                    for (const file of files) {
-                        const src = path.join(screenshotsDir, file);
-                        const dest = path.join(outputDir, file);
-                        fs.copyFileSync(src, dest);
-                    }
-                    this.log(`ðŸ“¸ Copied ${files.length} screenshots to outputs directory`);
-                }
-            } catch (e) {
-                this.log(`âš ï¸ Could not copy screenshots: ${e.message}`, 'warning');
+            this.finishedAt = new Date();
+
+            // A cancel closes the browser under us, so in-flight page errors are really the cancel
+            if (this.state === 'cancelling') {
+                this.setState('cancelled');
+                this.log('ðŸ›‘ Session cancelled', 'warning', 'session.cancelled');
+                this.discardCheckpoint();
+                throw error instanceof SessionCancelledError ? error : new SessionCancelledError();
+            }
+
+            this.error = error.message;
+            this.setState('failed');
+            this.log(`âŒ Fatal error: ${error.message}`, 'error', 'session.failed');
+
+            if (this.questions.length && this.checkpoints) {
+                this.saveCheckpoint();
+                this.log(`ðŸ’¾ Progress saved: ${this.completed.size} of ${this.questions.length} questions done. Resume with POST /api/sessions/${this.sessionId}/resume`, 'info', 'checkpoint.saved');
             }
             
+            await this.captureFailure(error);
+
             throw error;
         } finally {
-            if (this.browser) {
-                await this.browser.close();
-                this.log('ðŸ”’ Browser closed');
-            }
+            // Model calls still queued for a run that ended early are dropped, without being reported as errors
+            const dropped = new SessionCancelledError('Session ended before this model call ran');
+            [this.scheduler, ...this.ensembleMembers.map(member => member.scheduler)].forEach(scheduler => scheduler.cancelPending(dropped));
+            this.flushCache();
+            await this.closeBrowser();
         }
     }
 }
 
+// Vault lookups for the credential IDs a config references; null once an error response is sent
+function resolveSecrets(config, res) {
+    const secrets = {};
+    if (config.apiKeyCredentialId || config.canvasCredentialId) {
+        if (!requireVault(res)) return null;
+        if (config.apiKeyCredentialId) {
+            Object.assign(secrets, vault.get(config.apiKeyCredentialId, 'api_key'));
+        }
+        if (config.canvasCredentialId) {
+            Object.assign(secrets, vault.get(config.canvasCredentialId, 'canvas'));
+        }
+    }
+    if (config.canvasTokenCredentialId) {
+        if (!requireVault(res)) return null;
+        Object.assign(secrets, vault.get(config.canvasTokenCredentialId, 'canvas_token'));
+    }
+
+    // Ensemble members' keys sit next to the main one, by member index
+    const members = config.ensemble?.members || [];
+    if (members.some(member => member.apiKeyCredentialId)) {
+        if (!requireVault(res)) return null;
+        members.forEach((member, idx) => {
+            if (member.apiKeyCredentialId) {
+                secrets[`ensembleApiKey${idx}`] = vault.get(member.apiKeyCredentialId, 'api_key').apiKey;
+            }
+        });
+    }
+    return secrets;
+}
+
+// Register the session, open its channel and run it in the background
+function launchSession(bot) {
+    activeSessions.set(bot.sessionId, bot);
+    openChannel(bot.sessionId, bot.channelToken);
+
+    bot.run()
+        .then(result => {
+            persistRun(bot, result);
+            publish(bot.sessionId, {
+                type: 'complete',
+                result
+            });
+            retireSession(bot);
+        })
+        .catch(error => {
+            // Keep whatever was finished before the failure or cancel
+            persistRun(bot, { ...bot.buildResult(bot.config.mode || 'quiz'), success: false });
+            publish(bot.sessionId, {
+                type: error instanceof SessionCancelledError ? 'cancelled' : 'error',
+                message: error.message,
+                resumable: Boolean(checkpointStore.load(bot.sessionId))
+            });
+            retireSession(bot);
+        });
+}
+
+// Field-level errors for request bodies and URLs the server refuses; false for any other error
+function sendRequestError(res, error) {
+    if (error instanceof ValidationError) {
+        res.status(400).json({ error: error.message, errors: error.errors });
+    } else if (error instanceof HostPolicyError) {
+        res.status(400).json({
+            error: `${error.field}: ${error.message}`,
+            errors: [{ field: error.field, code: error.code, message: error.message }]
+        });
+    } else {
+        return false;
+    }
+    return true;
+}
+
 // API Routes
 app.post('/api/start-quiz', async (req, res) => {
     try {
         await rateLimiter.consume(req.ip);
 
-        const config = {
-            groqApiKey: req.body.groqApiKey,
-            canvasUrl: req.body.canvasUrl,
-            loginUrl: req.body.loginUrl, // Optional custom login URL
-            username: req.body.username,
-            password: req.body.password,
-            delayMin: req.body.delayMin || 2,
-            delayMax: req.body.delayMax || 5,
-            headless: req.body.headless !== false,
-            autoSubmit: req.body.autoSubmit !== false
-        };
+        // Secrets are only accepted by /api/credentials; the start request references them by ID
+        const rawSecrets = FORBIDDEN_SECRET_FIELDS.filter(field => req.body[field] !== undefined);
+        if (rawSecrets.length) {
+            return res.status(400).json({
+                error: `Do not send ${rawSecrets.join(', ')} here. Store them with POST /api/credentials and pass canvasCredentialId / apiKeyCredentialId instead.`
+            });
+        }
+
+        const config = parseStartRequest(req.body);
+        config.courseId ??= courseIdFromUrl(config.canvasUrl) || undefined; // whose uploaded notes ground the answers
 
-        if (!config.groqApiKey) {
-            return res.status(400).json({ error: 'Groq API key is required' });
+        const profile = config.loginProfile
+            ? loginProfiles.get(config.loginProfile)
+            : loginProfiles.forHost(new URL(config.canvasUrl).hostname);
+        if (config.loginProfile && !profile) {
+            throw new ValidationError([{ field: 'loginProfile', code: 'not_found', message: `no login profile named "${config.loginProfile}"` }]);
         }
 
-        if (!config.canvasUrl) {
-            return res.status(400).json({ error: 'Canvas URL is required' });
+        // The browser only goes where the server allows; the provider baseUrl is not browsed and may be local
+        await hostPolicy.assertAllowed(config.canvasUrl, { kind: 'canvas', field: 'canvasUrl' });
+        if (config.loginUrl) {
+            await hostPolicy.assertAllowed(config.loginUrl, { kind: 'login', field: 'loginUrl' });
+        }
+        if (profile?.loginUrl) {
+            await hostPolicy.assertAllowed(profile.loginUrl, { kind: 'login', field: 'loginProfile' });
         }
 
-        const bot = new CanvasQuizBot(config);
-        activeSessions.set(bot.sessionId, bot);
+        const secrets = resolveSecrets(config, res);
+        if (!secrets) return;
 
-        // Run bot in background
-        bot.run()
-            .then(result => {
-                broadcast({
-                    type: 'complete',
-                    result
-                });
-                activeSessions.delete(bot.sessionId);
-            })
-            .catch(error => {
-                broadcast({
-                    type: 'error',
-                    message: error.message
-                });
-                activeSessions.delete(bot.sessionId);
-            });
+        const bot = new CanvasQuizBot(config, secrets, { checkpoints: checkpointStore, cache: answerCache, notes: courseNotes, profiles: loginProfiles, artifacts: artifactStore, hosts: hostPolicy });
+        launchSession(bot);
 
         res.json({
             success: true,
             sessionId: bot.sessionId,
+            channelToken: bot.channelToken,
             message: 'Quiz bot started'
         });
 
     } catch (error) {
-        if (error.message.includes('rate limit')) {
+        if (sendRequestError(res, error)) return;
+
+        if (error instanceof VaultError) {
+            res.status(error.status).json({ error: error.message });
+        } else if (error.message.includes('rate limit')) {
             res.status(429).json({ error: 'Too many requests. Please wait.' });
         } else {
             res.status(500).json({ error: error.message });
@@ -1021,10 +1673,342 @@ app.post('/api/start-quiz', async (req, res) => {
     }
 });
 
+// Credential vault: secrets go in once and only IDs and labels ever come back out
+app.get('/api/credentials', (req, res) => {
+    if (!requireVault(res)) return;
+    res.json({ credentials: vault.list() });
+});
+
+app.post('/api/credentials', (req, res) => {
+    if (!requireVault(res)) return;
+    try {
+        res.status(201).json(vault.create(req.body || {}));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/credentials/:id', (req, res) => {
+    if (!requireVault(res)) return;
+    try {
+        vault.delete(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/runs', (req, res) => {
+    res.json({ runs: runStore.list() });
+});
+
+app.get('/api/runs/:id', (req, res) => {
+    const run = runStore.get(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json(run);
+});
+
+app.get('/api/runs/:id/export', (req, res) => {
+    const format = String(req.query.format || '');
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const run = runStore.get(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: 'Run not found' });
+    }
+
+    // A stored run whose questions are missing the shape a format reads still gets a JSON error
+    try {
+        const { filename, contentType, body } = exportRun(run, format);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(body);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: `Could not export run: ${error.message}` });
+    }
+});
+
+// Canvas REST API routes name the Canvas by any of its URLs and the vault token to call it with
+const CANVAS_API_SCHEMA = {
+    canvasUrl: { type: 'url', required: true },
+    canvasTokenCredentialId: { type: 'string', maxLength: 128, required: true }
+};
+
+// A client for the Canvas a request names, once the host policy allows it
+async function canvasApiClient({ canvasUrl, canvasTokenCredentialId }) {
+    await hostPolicy.assertAllowed(canvasUrl, { kind: 'canvas', field: 'canvasUrl' });
+    if (!vault) {
+        throw new VaultError(`Credential vault unavailable: ${vaultError}`, 503);
+    }
+    const { token } = vault.get(canvasTokenCredentialId, 'canvas_token');
+    return new CanvasApiClient({ baseUrl: canvasUrl, token });
+}
+
+// Course browser: the token's courses, then one course's classic and New Quizzes with due dates
+app.get('/api/canvas/courses', async (req, res) => {
+    try {
+        const client = await canvasApiClient(parse(CANVAS_API_SCHEMA, req.query));
+        res.json({ courses: await client.listCourseEntries() });
+    } catch (error) {
+        if (sendRequestError(res, error)) return;
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/canvas/courses/:courseId/quizzes', async (req, res) => {
+    try {
+        if (!/^\d+$/.test(req.params.courseId)) {
+            throw new ValidationError([{ field: 'courseId', code: 'pattern', message: 'must be a Canvas course number' }]);
+        }
+        const client = await canvasApiClient(parse(CANVAS_API_SCHEMA, req.query));
+        res.json({ quizzes: await client.listQuizTargets(req.params.courseId) });
+    } catch (error) {
+        if (sendRequestError(res, error)) return;
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Instructors export a quiz straight from the Canvas API; the answer key stands in for suggestions
+const CANVAS_EXPORT_SCHEMA = {
+    ...CANVAS_API_SCHEMA,
+    format: { type: 'enum', values: EXPORT_FORMATS, required: true }
+};
+
+app.post('/api/canvas/export', async (req, res) => {
+    try {
+        const request = parse(CANVAS_EXPORT_SCHEMA, req.body);
+        const target = parseQuizUrl(request.canvasUrl);
+        if (!target) {
+            throw new ValidationError([{ field: 'canvasUrl', code: 'quiz_url', message: 'must be a classic quiz URL (/courses/:id/quizzes/:id)' }]);
+        }
+
+        const client = await canvasApiClient(request);
+        const { quiz, questions, answerKey } = await client.fetchQuiz(target.courseId, target.quizId);
+
+        // Shaped like a stored run so the run exporters apply unchanged
+        const run = { id: quiz.title || `quiz-${target.quizId}`, mode: 'canvas', questions, result: { answers: answerKey } };
+        const { filename, contentType, body } = exportRun(run, request.format);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(body);
+    } catch (error) {
+        if (sendRequestError(res, error)) return;
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Login profiles: per-deployment sign-in strategies with pinned pages and selectors
+app.get('/api/login-profiles', (req, res) => {
+    res.json({ strategies: LOGIN_STRATEGIES, profiles: loginProfiles.list() });
+});
+
+app.put('/api/login-profiles/:name', (req, res) => {
+    try {
+        const profile = loginProfiles.save({ ...req.body, name: req.params.name });
+        res.json({ success: true, profile });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/login-profiles/:name', (req, res) => {
+    try {
+        loginProfiles.delete(req.params.name);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Course notes: plain text or markdown documents (slides and PDFs as extracted text) per course.
+// The upload body is the document itself, with its name and kind in the query string.
+app.get('/api/courses/:courseId/notes', (req, res) => {
+    try {
+        res.json({ courseId: req.params.courseId, documents: courseNotes.list(req.params.courseId) });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/courses/:courseId/notes', express.text({ type: ['text/plain', 'text/markdown'], limit: '8mb' }), (req, res) => {
+    try {
+        const document = courseNotes.add(req.params.courseId, {
+            name: req.query.name,
+            kind: req.query.kind || 'notes',
+            text: typeof req.body === 'string' ? req.body : ''
+        });
+        res.status(201).json({ success: true, document });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/courses/:courseId/notes/search', (req, res) => {
+    try {
+        const limit = Math.min(Math.max(Number(req.query.limit) || DEFAULT_CONTEXT_PASSAGES, 1), 20);
+        res.json({ passages: courseNotes.search(req.params.courseId, String(req.query.q || ''), limit) });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/courses/:courseId/notes/:documentId', (req, res) => {
+    try {
+        courseNotes.delete(req.params.courseId, req.params.documentId);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Answer cache admin: stats and the newest entries, clear it (or only what has expired), drop one entry
+app.get('/api/cache', (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    res.json({ ...answerCache.summary(), recent: answerCache.list({ limit }) });
+});
+
+app.delete('/api/cache', (req, res) => {
+    const removed = req.query.expired === 'true' ? answerCache.prune() : answerCache.clear();
+    res.json({ success: true, removed });
+});
+
+app.delete('/api/cache/:key', (req, res) => {
+    if (!answerCache.delete(req.params.key)) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    res.json({ success: true });
+});
+
+// Finished sessions stay listed for a while so their final state can still be inspected
+function retireSession(bot) {
+    closeChannel(bot.sessionId);
+    setTimeout(() => {
+        if (activeSessions.get(bot.sessionId) === bot) activeSessions.delete(bot.sessionId);
+    }, SESSION_RETENTION_MS).unref();
+}
+
+function findSession(req, res) {
+    const bot = activeSessions.get(req.params.id);
+    if (!bot) {
+        res.status(404).json({ error: 'Session not found' });
+    }
+    return bot;
+}
+
+app.get('/api/sessions', (req, res) => {
+    res.json({
+        sessions: Array.from(activeSessions.values()).map(bot => bot.getSummary())
+    });
+});
+
+app.get('/api/sessions/:id', (req, res) => {
+    const bot = findSession(req, res);
+    if (!bot) return;
+    res.json(bot.getSummary());
+});
+
+// Artifacts outlive the session in memory, so these read straight from the store
+app.get('/api/sessions/:id/artifacts', (req, res) => {
+    try {
+        const manifest = artifactStore.manifest(req.params.id);
+        if (!manifest) {
+            return res.status(404).json({ error: 'No artifacts for this session' });
+        }
+        res.json(manifest);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// The session's structured log as JSON lines, optionally only entries at or above `level`
+app.get('/api/sessions/:id/logs', (req, res) => {
+    const level = String(req.query.level || 'debug');
+    if (!isLogLevel(level)) {
+        return res.status(400).json({ error: `level must be one of: ${LOG_LEVELS.join(', ')}` });
+    }
+
+    try {
+        const text = artifactStore.readLog(req.params.id);
+        if (text === null) {
+            return res.status(404).json({ error: 'No log for this session' });
+        }
+        const entries = parseLogLines(text, { minLevel: level });
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="session-${req.params.id}.jsonl"`);
+        res.send(entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/sessions/:id/artifacts/:file', (req, res) => {
+    try {
+        const { filePath, kind } = artifactStore.filePath(req.params.id, req.params.file);
+        // Captured pages are served as text so their scripts never run on this origin
+        if (kind !== 'screenshot') res.type('text/plain');
+        res.sendFile(filePath, { dotfiles: 'deny', headers: { 'X-Content-Type-Options': 'nosniff' } });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Resuming a paused session is handled below; a failed session, or one whose server went down
+// mid-run, restarts from its checkpoint under the same ID
+app.post('/api/sessions/:id/resume', (req, res, next) => {
+    const running = activeSessions.get(req.params.id);
+    if (running && running.state !== 'failed') return next();
+
+    const checkpoint = checkpointStore.load(req.params.id);
+    if (!checkpoint) {
+        return res.status(404).json({ error: running ? 'Session has no checkpoint to resume from' : 'Session not found' });
+    }
+
+    try {
+        const secrets = resolveSecrets(checkpoint.config, res);
+        if (!secrets) return;
+
+        const bot = new CanvasQuizBot(checkpoint.config, secrets, { checkpoint, checkpoints: checkpointStore, cache: answerCache, notes: courseNotes, profiles: loginProfiles, artifacts: artifactStore, hosts: hostPolicy });
+        launchSession(bot);
+
+        res.json({
+            success: true,
+            sessionId: bot.sessionId,
+            channelToken: bot.channelToken,
+            completed: bot.completed.size,
+            total: bot.questions.length,
+            message: 'Session resumed from checkpoint'
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/sessions/:id/:action(pause|resume|cancel)', async (req, res) => {
+    const bot = findSession(req, res);
+    if (!bot) return;
+
+    const { action } = req.params;
+    const applied = action === 'cancel' ? await bot.cancel() : bot[action]();
+
+    if (!applied) {
+        return res.status(409).json({
+            error: `Cannot ${action} a session that is ${bot.state}`,
+            session: bot.getSummary()
+        });
+    }
+
+    res.json({ success: true, session: bot.getSummary() });
+});
+
 app.get('/api/health', (req, res) => {
     res.json({ 
         status: 'healthy',
-        activeSessions: activeSessions.size,
+        activeSessions: Array.from(activeSessions.values())
+            .filter(bot => ['starting', 'running', 'paused', 'cancelling'].includes(bot.state)).length,
         uptime: process.uptime()
     });
 });
@@ -1034,18 +2018,58 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// HTTP server
-const server = app.listen(PORT, () => {
-    console.log(`ðŸš€ Canvas Quiz Bot Server running on http://localhost:${PORT}`);
-    console.log(`ðŸ“¡ WebSocket server ready`);
-});
+// Sessions still in memory may yet add artifacts, so their folders are never swept
+function pruneArtifacts() {
+    try {
+        const removed = artifactStore.prune({ keep: Array.from(activeSessions.keys()) });
+        if (removed) console.log(`ðŸ§¹ Removed artifacts of ${removed} old sessions`);
+    } catch (error) {
+        console.error(`Could not prune artifacts: ${error.message}`);
+    }
+}
 
-// WebSocket upgrade
-server.on('upgrade', (request, socket, head) => {
-    wss.handleUpgrade(request, socket, head, (ws) => {
-        wss.emit('connection', ws, request);
+function flushAnswerCache() {
+    try {
+        answerCache.flush();
+    } catch (error) {
+        console.error(`Could not save the answer cache: ${error.message}`);
+    }
+}
+
+// HTTP server (only when run directly, so tests can import the bot without binding a port)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    pruneArtifacts();
+    setInterval(pruneArtifacts, ARTIFACT_PRUNE_INTERVAL_MS).unref();
+    setInterval(flushAnswerCache, ANSWER_CACHE_FLUSH_INTERVAL_MS).unref();
+
+    const server = app.listen(PORT, () => {
+        console.log(`ðŸš€ Canvas Quiz Bot Server running on http://localhost:${PORT}`);
+        console.log(`ðŸ“¡ WebSocket server ready`);
+        if (apiTokenGenerated) {
+            console.log(`ðŸ”‘ No API_TOKEN set, using generated token for this run: ${API_TOKEN}`);
+        }
+        if (!vault) {
+            console.log(`âš ï¸ Credential vault disabled: ${vaultError}`);
+        }
     });
-});
+
+    // WebSocket upgrade: same origin rules and API token (as ?apiToken=, browsers cannot set headers) as the REST API
+    server.on('upgrade', (request, socket, head) => {
+        const { searchParams } = new URL(request.url, 'http://localhost');
+        if (!isOriginAllowed(request.headers.origin) && !isSameOrigin(request)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        if (!tokensMatch(API_TOKEN, searchParams.get('apiToken'))) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+
+        wss.handleUpgrade(request, socket, head, (ws) => {
+            wss.emit('connection', ws, request);
+        });
+    });
+}
 
 wss.on('connection', (ws) => {
     console.log('ðŸ”Œ Client connected');
@@ -1055,9 +2079,32 @@ wss.on('connection', (ws) => {
         message: 'Connected to Canvas Quiz Bot server'
     }));
 
+    // Handshake: { type: 'subscribe', sessionId, token }
+    ws.on('message', (raw) => {
+        let data;
+        try {
+            data = JSON.parse(raw.toString());
+        } catch (e) {
+            return;
+        }
+
+        if (data.type === 'subscribe') {
+            if (!subscribe(ws, data.sessionId, data.token)) {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    message: 'Subscription rejected: unknown session or invalid token'
+                }));
+            }
+        }
+    });
+
     ws.on('close', () => {
+        if (ws.sessionId) {
+            sessionChannels.get(ws.sessionId)?.subscribers.delete(ws);
+        }
         console.log('ðŸ”Œ Client disconnected');
     });
 });
 
+export { CanvasQuizBot };
 export default app;
@@ -0,0 +1,25 @@
+// Test entry point for `npm test`. Every suite runs offline; the browser suite
+// drives headless Chromium against the local mock Canvas server and the API
+// suite talks to the local mock Canvas REST API. The browser suite skips itself
+// without Chromium; run with REQUIRE_BROWSER=1 to make that a failure instead.
+
+import './test/answer-format.test.js';
+import './test/answer-cache.test.js';
+import './test/consensus.test.js';
+import './test/audit.test.js';
+import './test/providers.test.js';
+import './test/logger.test.js';
+import './test/retry.test.js';
+import './test/scheduler.test.js';
+import './test/start-request.test.js';
+import './test/credential-vault.test.js';
+import './test/run-store.test.js';
+import './test/artifact-store.test.js';
+import './test/exporters.test.js';
+import './test/course-notes.test.js';
+import './test/page-adapters.test.js';
+import './test/login-strategies.test.js';
+import './test/rich-content.test.js';
+import './test/canvas-api.test.js';
+import './test/session-lifecycle.test.js';
+import './test/mock-canvas.test.js';
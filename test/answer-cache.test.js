@@ -0,0 +1,128 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AnswerCache, cacheKey } from '../lib/answer-cache.js';
+
+const question = {
+    id: 'question_1',
+    type: 'multiple_choice',
+    text: 'Which planet is  closest to the Sun?',
+    options: [{ text: 'Venus' }, { text: 'Mercury' }, { text: 'Mars' }]
+};
+const suggestion = { choice: 'B', explanation: 'Closest orbit.', confidence: 0.9, keyConcepts: ['Solar System'] };
+
+describe('AnswerCache', () => {
+    let dir;
+    let clock;
+    let cache;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'answer-cache-test-'));
+        clock = Date.parse('2024-01-01T00:00:00.000Z');
+        cache = new AnswerCache({ filePath: path.join(dir, 'cache.json'), ttlMs: 60000, now: () => clock });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keys questions by normalized content regardless of option order', () => {
+        const shuffled = { ...question, id: 'question_9', text: 'which planet is closest to the sun?', options: [...question.options].reverse() };
+        assert.equal(cacheKey(shuffled), cacheKey(question));
+        assert.notEqual(cacheKey({ ...question, type: 'multiple_answers' }), cacheKey(question));
+        assert.notEqual(cacheKey({ ...question, options: [...question.options, { text: 'Earth' }] }), cacheKey(question));
+    });
+
+    it('keeps answers grounded in course notes apart from ungrounded ones', () => {
+        cache.set(question, suggestion, { passageIds: ['doc-1:0', 'doc-1:3'] });
+
+        assert.equal(cache.get(question), null);
+        assert.equal(cache.get(question, { passageIds: ['doc-2:0'] }), null);
+        assert.equal(cache.get(question, { passageIds: ['doc-1:3', 'doc-1:0'] }).choice, 'B');
+    });
+
+    it('only replays answers to the provider and model that gave them', () => {
+        cache.set(question, suggestion, { provider: 'openai', model: 'gpt-4o' });
+
+        assert.equal(cache.get(question, { provider: 'openai', model: 'gpt-4o' }).choice, 'B');
+        assert.equal(cache.get(question, { provider: 'openai', model: 'gpt-4o-mini' }), null);
+        assert.equal(cache.get(question, { provider: 'stub' }), null);
+        assert.equal(cache.get(question), null);
+    });
+
+    it('maps a stored choice onto the option order of a shuffled copy', () => {
+        cache.set(question, suggestion, { provider: 'stub' });
+        const shuffled = { ...question, options: [{ text: 'Mercury' }, { text: 'Mars' }, { text: 'Venus' }] };
+
+        const hit = cache.get(shuffled, { provider: 'stub' });
+        assert.equal(hit.choice, 'A');
+        assert.equal(hit.explanation, 'Closest orbit.');
+        assert.equal(hit.cached, true);
+        assert.deepEqual(cache.summary().stats, { hits: 1, misses: 0 });
+    });
+
+    it('maps matching pairs and dropdowns by their texts', () => {
+        const matching = {
+            type: 'matching',
+            text: 'Match each animal with its sound.',
+            options: [],
+            matching: { left: [{ text: 'Dog' }, { text: 'Cat' }], right: [{ text: 'Meow' }, { text: 'Woof' }] }
+        };
+        cache.set(matching, { ...suggestion, choice: { 1: 'B', 2: 'A' } });
+
+        const reordered = { ...matching, matching: { left: [{ text: 'Cat' }, { text: 'Dog' }], right: [{ text: 'Woof' }, { text: 'Meow' }] } };
+        assert.deepEqual(cache.get(reordered).choice, { 1: 'B', 2: 'A' });
+
+        const dropdowns = {
+            type: 'multiple_dropdowns',
+            text: 'The sky is [sky].',
+            options: [],
+            blanks: [{ id: 'sky', options: [{ text: 'green' }, { text: 'blue' }] }]
+        };
+        cache.set(dropdowns, { ...suggestion, choice: { 1: 'B' } });
+        assert.deepEqual(cache.get({ ...dropdowns, blanks: [{ id: 'sky', options: [{ text: 'blue' }, { text: 'green' }] }] }).choice, { 1: 'A' });
+    });
+
+    it('persists entries and expires them after the TTL', () => {
+        cache.set(question, suggestion);
+        const reopened = new AnswerCache({ filePath: cache.filePath, ttlMs: 60000, now: () => clock });
+        assert.equal(reopened.get(question).choice, 'B');
+
+        clock += 60001;
+        assert.equal(reopened.get(question), null);
+        assert.deepEqual(reopened.summary().stats, { hits: 1, misses: 1 });
+        assert.equal(reopened.summary().entries, 0);
+    });
+
+    it('keeps hit counts in memory until the next write or flush', () => {
+        cache.set(question, suggestion);
+        const reopen = () => new AnswerCache({ filePath: cache.filePath, ttlMs: 60000, now: () => clock });
+
+        cache.get(question);
+        cache.get(question);
+        assert.equal(reopen().list()[0].hits, 0);
+
+        cache.flush();
+        assert.equal(reopen().list()[0].hits, 2);
+    });
+
+    it('lists, deletes, prunes and clears entries', () => {
+        const key = cache.set(question, suggestion, { provider: 'stub', model: 'm' });
+        clock += 30000;
+        cache.set({ ...question, text: 'Which planet is largest?' }, suggestion);
+
+        const [newest, oldest] = cache.list();
+        assert.equal(oldest.key, key);
+        assert.equal(oldest.model, 'm');
+        assert.equal(oldest.expiresAt, '2024-01-01T00:01:00.000Z');
+        assert.equal(newest.choice, undefined);
+
+        clock += 40000;
+        assert.equal(cache.prune(), 1);
+        assert.equal(cache.delete(key), false);
+        assert.equal(cache.clear(), 1);
+        assert.equal(cache.summary().entries, 0);
+    });
+});
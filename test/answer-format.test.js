@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStructuredAnswer, buildFormatInstructions, AnswerFormatError, formatChoice, resolveChoice, buildReaskPrompt } from '../lib/answer-format.js';
+
+const multipleChoice = {
+    type: 'multiple_choice',
+    options: [{ text: 'Venus' }, { text: 'Mercury' }, { text: 'Mars' }]
+};
+
+const multipleAnswers = { ...multipleChoice, type: 'multiple_answers' };
+
+const matching = {
+    type: 'matching',
+    options: [],
+    matching: {
+        left: [{ id: 'l1', text: 'Dog' }, { id: 'l2', text: 'Cat' }],
+        right: [{ value: '1', text: 'Meow' }, { value: '2', text: 'Woof' }]
+    }
+};
+
+const blanks = {
+    type: 'fill_in_multiple_blanks',
+    options: [],
+    blanks: [{ id: 'b1', options: [] }, { id: 'b2', options: [] }]
+};
+
+describe('parseStructuredAnswer', () => {
+    it('parses a well-formed reply', () => {
+        const result = parseStructuredAnswer(JSON.stringify({
+            choice: 'B',
+            explanation: 'Mercury orbits closest to the Sun.',
+            confidence: 0.9,
+            keyConcepts: ['solar system']
+        }), multipleChoice);
+
+        assert.deepEqual(result, {
+            choice: 'B',
+            explanation: 'Mercury orbits closest to the Sun.',
+            confidence: 0.9,
+            keyConcepts: ['solar system']
+        });
+    });
+
+    it('keeps only cited passage numbers that were in the prompt', () => {
+        const raw = '{"choice": "B", "explanation": "x", "confidence": 1, "sources": [2, "1", 2, 7]}';
+        assert.deepEqual(parseStructuredAnswer(raw, multipleChoice, { sourceCount: 3 }).sources, [2, 1]);
+        assert.equal(parseStructuredAnswer(raw, multipleChoice).sources, undefined);
+        assert.match(buildFormatInstructions(multipleChoice, { sourceCount: 3 }), /"sources": .*\(1-3\)/);
+        assert.doesNotMatch(buildFormatInstructions(multipleChoice), /sources/);
+    });
+
+    it('tolerates code fences and surrounding prose', () => {
+        const raw = 'Here you go:\n```json\n{"choice": "b.", "explanation": "x", "confidence": 1}\n```';
+        assert.equal(parseStructuredAnswer(raw, multipleChoice).choice, 'B');
+    });
+
+    it('returns every letter for multiple_answers', () => {
+        const raw = '{"choice": "A, C", "explanation": "x", "confidence": 0.5, "keyConcepts": []}';
+        assert.deepEqual(parseStructuredAnswer(raw, multipleAnswers).choice, ['A', 'C']);
+    });
+
+    it('rejects letters outside the option range', () => {
+        const raw = '{"choice": "T", "explanation": "x", "confidence": 0.5}';
+        assert.throws(() => parseStructuredAnswer(raw, multipleChoice), AnswerFormatError);
+    });
+
+    it('rejects several letters for a single-answer question', () => {
+        const raw = '{"choice": ["A", "B"], "explanation": "x", "confidence": 0.5}';
+        assert.throws(() => parseStructuredAnswer(raw, multipleChoice), /single letter/);
+    });
+
+    it('rejects confidence outside 0..1 and missing explanations', () => {
+        assert.throws(() => parseStructuredAnswer('{"choice": "A", "explanation": "x", "confidence": 80}', multipleChoice), /confidence/);
+        assert.throws(() => parseStructuredAnswer('{"choice": "A", "confidence": 0.8}', multipleChoice), /explanation/);
+    });
+
+    it('keeps free-text answers as strings', () => {
+        const raw = '{"choice": "Au", "explanation": "From the Latin aurum.", "confidence": 0.95}';
+        assert.equal(parseStructuredAnswer(raw, { type: 'short_answer', options: [] }).choice, 'Au');
+    });
+
+    it('maps matching items to option letters', () => {
+        const raw = '{"choice": {"1": "b", "[2]": "A."}, "explanation": "x", "confidence": 0.7}';
+        assert.deepEqual(parseStructuredAnswer(raw, matching).choice, { 1: 'B', 2: 'A' });
+    });
+
+    it('rejects keyed answers with unknown keys or letters', () => {
+        assert.throws(() => parseStructuredAnswer('{"choice": {"3": "A"}, "explanation": "x", "confidence": 0.5}', matching), /key 3/);
+        assert.throws(() => parseStructuredAnswer('{"choice": {"1": "C"}, "explanation": "x", "confidence": 0.5}', matching), /not one of the 2 options/);
+        assert.throws(() => parseStructuredAnswer('{"choice": "red", "explanation": "x", "confidence": 0.5}', blanks), /must be an object/);
+    });
+
+    it('keeps free text per blank', () => {
+        const raw = '{"choice": {"1": " red ", "2": "blue"}, "explanation": "x", "confidence": 0.5}';
+        assert.deepEqual(parseStructuredAnswer(raw, blanks).choice, { 1: 'red', 2: 'blue' });
+    });
+
+    it('requires a number for numerical questions', () => {
+        const numerical = { type: 'numerical', options: [] };
+        assert.equal(parseStructuredAnswer('{"choice": 1200.5, "explanation": "x", "confidence": 0.5}', numerical).choice, '1200.5');
+        assert.equal(parseStructuredAnswer('{"choice": "1,200", "explanation": "x", "confidence": 0.5}', numerical).choice, '1200');
+        assert.throws(() => parseStructuredAnswer('{"choice": "about 12", "explanation": "x", "confidence": 0.5}', numerical), /not a number/);
+        assert.equal(parseStructuredAnswer('{"choice": "-12,345,678.25", "explanation": "x", "confidence": 0.5}', numerical).choice, '-12345678.25');
+        for (const choice of ['"3,5"', '"1,2"', '"12,34"', '"1,2345"']) {
+            assert.throws(() => parseStructuredAnswer(`{"choice": ${choice}, "explanation": "x", "confidence": 0.5}`, numerical), /not a number/, choice);
+        }
+        for (const choice of ['{"value": 3}', '[3]', 'true']) {
+            assert.throws(() => parseStructuredAnswer(`{"choice": ${choice}, "explanation": "x", "confidence": 0.5}`, numerical), /single number/, choice);
+        }
+    });
+
+    it('rejects replies without JSON', () => {
+        assert.throws(() => parseStructuredAnswer('The answer is C', multipleChoice), AnswerFormatError);
+    });
+
+    it('does not pick letters out of prose in "choice"', () => {
+        const reply = JSON.stringify({ choice: 'The answer is C', explanation: 'x', confidence: 1 });
+        assert.throws(() => parseStructuredAnswer(reply, multipleChoice), /not one of the 3 options/);
+    });
+});
+
+describe('resolveChoice', () => {
+    const withIds = {
+        ...multipleAnswers,
+        options: multipleAnswers.options.map((opt, idx) => ({ ...opt, id: `answer_${idx}`, value: String(idx) }))
+    };
+
+    it('maps letters to the option IDs to click', () => {
+        assert.deepEqual(resolveChoice(withIds, ['A', 'C']).map(target => target.id), ['answer_0', 'answer_2']);
+        assert.equal(resolveChoice({ ...withIds, type: 'multiple_choice' }, 'B')[0].text, 'Mercury');
+    });
+
+    it('maps keyed answers to field IDs and option values', () => {
+        assert.deepEqual(resolveChoice(matching, { 1: 'B', 2: 'A' }).map(({ field, value }) => [field, value]),
+            [['l1', '2'], ['l2', '1']]);
+        assert.deepEqual(resolveChoice(blanks, { 2: 'blue' }), [{ key: '2', field: 'b2', value: 'blue', text: 'blue' }]);
+    });
+
+    it('rejects choices that do not exist on the question', () => {
+        assert.throws(() => resolveChoice(withIds, 'D'), AnswerFormatError);
+        assert.throws(() => resolveChoice(matching, { 3: 'A' }), AnswerFormatError);
+        assert.throws(() => resolveChoice(blanks, { 5: 'red' }), AnswerFormatError);
+    });
+});
+
+describe('buildReaskPrompt', () => {
+    it('repeats the prompt with the validation error and the rejected reply', () => {
+        const prompt = buildReaskPrompt('Original prompt', new AnswerFormatError('Missing "choice"', '{"answer": "B"}'));
+        assert.match(prompt, /^Original prompt\n/);
+        assert.match(prompt, /could not be used: Missing "choice"\./);
+        assert.match(prompt, /Previous reply: \{"answer": "B"\}/);
+    });
+});
+
+describe('formatChoice', () => {
+    it('joins multiple letters', () => {
+        assert.equal(formatChoice(['A', 'C']), 'A, C');
+        assert.equal(formatChoice('B'), 'B');
+    });
+
+    it('lists keyed answers by number', () => {
+        assert.equal(formatChoice({ 1: 'red', 2: 'blue' }), '[1] red; [2] blue');
+    });
+});
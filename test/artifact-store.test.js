@@ -0,0 +1,109 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ArtifactStore, ArtifactError } from '../lib/artifact-store.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ArtifactStore', () => {
+    let root;
+    let clock;
+    let store;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-test-'));
+        clock = Date.parse('2024-03-01T12:00:00Z');
+        store = new ArtifactStore({ root, retentionMs: 7 * DAY_MS, now: () => clock });
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('keeps each session in its own folder with a manifest', () => {
+        const artifacts = store.session('session-a');
+        const screenshot = artifacts.pathFor('Login page', 'png');
+        fs.writeFileSync(screenshot, 'png-bytes');
+        artifacts.add(screenshot, { kind: 'screenshot', name: 'login-page', step: 'logging_in' });
+        artifacts.writeHtml('failure', '<html></html>', { step: 'logging_in' });
+
+        assert.equal(path.dirname(screenshot), path.join(root, 'session-a'));
+        assert.match(path.basename(screenshot), /^login-page-\d+\.png$/);
+
+        const manifest = store.manifest('session-a');
+        assert.equal(manifest.sessionId, 'session-a');
+        assert.deepEqual(manifest.artifacts.map(entry => [entry.kind, entry.step, entry.bytes]), [
+            ['screenshot', 'logging_in', 9],
+            ['html', 'logging_in', 13]
+        ]);
+        assert.equal(store.manifest('session-b'), null);
+    });
+
+    it('never hands out the same file name twice', () => {
+        const artifacts = store.session('session-a');
+        const first = artifacts.pathFor('question-1', 'png');
+        fs.writeFileSync(first, '');
+        assert.notEqual(artifacts.pathFor('question-1', 'png'), first);
+    });
+
+    it('appends the session log as JSON lines and lists it once', () => {
+        const artifacts = store.session('session-a');
+        artifacts.appendLog({ level: 'info', message: 'first' });
+        artifacts.appendLog({ level: 'error', message: 'second' });
+
+        const logs = store.manifest('session-a').artifacts.filter(entry => entry.kind === 'log');
+        assert.equal(logs.length, 1);
+        assert.equal(store.readLog('session-a'), '{"level":"info","message":"first"}\n{"level":"error","message":"second"}\n');
+        assert.equal(store.readLog('session-b'), null);
+    });
+
+    it('records the failing screenshot and page', () => {
+        const artifacts = store.session('session-a');
+        const screenshot = artifacts.pathFor('failure', 'png');
+        fs.writeFileSync(screenshot, '');
+        artifacts.markFailure({ screenshot, step: 'navigating', error: 'Timeout' });
+
+        assert.deepEqual(store.manifest('session-a').failure, {
+            screenshot: path.basename(screenshot),
+            html: null,
+            step: 'navigating',
+            error: 'Timeout'
+        });
+    });
+
+    it('only serves files listed in the manifest', () => {
+        const artifacts = store.session('session-a');
+        const html = artifacts.writeHtml('failure', '<html></html>');
+        fs.writeFileSync(path.join(artifacts.dir, 'unlisted.txt'), 'secret');
+
+        assert.deepEqual(store.filePath('session-a', path.basename(html)), { filePath: html, kind: 'html' });
+        assert.throws(() => store.filePath('session-a', 'unlisted.txt'), err => err.status === 404);
+        assert.throws(() => store.filePath('session-a', '../manifest.json'), err => err.status === 404);
+        assert.throws(() => store.session('../etc'), ArtifactError);
+    });
+
+    it('prunes folders past the retention period, except the ones still in use', () => {
+        store.session('old').appendLog({ message: 'old' });
+        store.session('running').appendLog({ message: 'still going' });
+        clock += 8 * DAY_MS;
+        store.session('recent').appendLog({ message: 'new' });
+
+        assert.equal(store.prune({ keep: ['running'] }), 1);
+        assert.deepEqual(fs.readdirSync(root).sort(), ['recent', 'running']);
+    });
+
+    it('ages a folder from its last log entry, not its last artifact', () => {
+        const artifacts = store.session('chatty');
+        artifacts.writeHtml('start', '<html></html>');
+        artifacts.appendLog({ message: 'first' });
+        clock += 6 * DAY_MS;
+        artifacts.appendLog({ message: 'still going' });
+        clock += 2 * DAY_MS;
+
+        assert.equal(store.prune(), 0);
+        clock += 6 * DAY_MS;
+        assert.equal(store.prune(), 1);
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAuditReport, detectAbsoluteWording, AuditFormatError } from '../lib/audit.js';
+
+const trueFalse = {
+    type: 'true_false',
+    text: 'Water always boils at 100 degrees Celsius.',
+    options: [{ text: 'True' }, { text: 'False' }]
+};
+
+const multipleChoice = {
+    type: 'multiple_choice',
+    text: 'Which planet is closest to the Sun?',
+    options: [{ text: 'Venus' }, { text: 'Mercury' }, { text: 'A sandwich' }]
+};
+
+describe('detectAbsoluteWording', () => {
+    it('flags absolute words in true/false stems', () => {
+        const issue = detectAbsoluteWording(trueFalse);
+        assert.equal(issue.category, 'absolute_wording');
+        assert.match(issue.detail, /always/);
+    });
+
+    it('ignores other question types', () => {
+        assert.equal(detectAbsoluteWording({ ...multipleChoice, text: 'Which is always true?' }), null);
+    });
+});
+
+describe('parseAuditReport', () => {
+    it('normalizes model issues and drops unknown categories', () => {
+        const report = parseAuditReport(JSON.stringify({
+            issues: [
+                { category: 'implausible_distractor', severity: 'high', detail: 'C is a joke option.', options: ['c', 'Z'] },
+                { category: 'made_up', severity: 'low', detail: 'ignored' }
+            ],
+            summary: 'Replace option C.',
+            suggestedRevision: ''
+        }), multipleChoice);
+
+        assert.equal(report.issues.length, 1);
+        assert.deepEqual(report.issues[0].options, ['C']);
+        assert.equal(report.verdict, 'revise');
+    });
+
+    it('drops option references that are not letters of existing options', () => {
+        const report = parseAuditReport(JSON.stringify({
+            issues: [{ category: 'implausible_distractor', severity: 'high', detail: 'Odd options.', options: ['1', '@', '-', 2, 'b'] }],
+            summary: 'Replace option B.'
+        }), multipleChoice);
+
+        assert.deepEqual(report.issues[0].options, ['B']);
+    });
+
+    it('adds the absolute wording heuristic when the model misses it', () => {
+        const report = parseAuditReport('{"issues": [], "summary": "Fine."}', trueFalse);
+        assert.equal(report.issues.length, 1);
+        assert.equal(report.issues[0].source, 'heuristic');
+    });
+
+    it('passes clean items', () => {
+        const report = parseAuditReport('{"issues": [], "summary": "Well written."}', multipleChoice);
+        assert.equal(report.verdict, 'ok');
+    });
+
+    it('rejects replies without an issues array', () => {
+        assert.throws(() => parseAuditReport('{"summary": "?"}', multipleChoice), AuditFormatError);
+    });
+
+    it('reads fenced replies and rejects ones without JSON, like answer replies', () => {
+        const report = parseAuditReport('Here you go:\n```json\n{"issues": [], "summary": "Fine."}\n```', multipleChoice);
+        assert.equal(report.verdict, 'ok');
+        assert.throws(() => parseAuditReport('No issues found.', multipleChoice), { name: 'AuditFormatError', message: /does not contain a JSON object/ });
+    });
+});
@@ -0,0 +1,126 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CanvasApiClient, CanvasApiError, parseQuizUrl, nextPageUrl, toQuestion } from '../lib/canvas-api.js';
+import { exportRun } from '../lib/exporters.js';
+import { QUIZ_QUESTIONS } from './fixtures/mock-canvas-server.js';
+import { startMockCanvasApiServer, MOCK_API_TOKEN, ANSWER_KEY, COURSES } from './fixtures/mock-canvas-api-server.js';
+
+describe('Canvas API helpers', () => {
+    it('reads the origin, course and quiz from classic quiz URLs only', () => {
+        assert.deepEqual(parseQuizUrl('https://school.instructure.com/courses/12/quizzes/34/take?preview=1'), {
+            origin: 'https://school.instructure.com', courseId: '12', quizId: '34'
+        });
+        assert.equal(parseQuizUrl('https://school.instructure.com/courses/12/assignments/34'), null);
+        assert.equal(parseQuizUrl('not a url'), null);
+    });
+
+    it('finds the next page in a Link header', () => {
+        const link = '<https://x.edu/api/v1/courses?page=1>; rel="current",<https://x.edu/api/v1/courses?page=2>; rel="next",<https://x.edu/api/v1/courses?page=5>; rel="last"';
+        assert.equal(nextPageUrl(link), 'https://x.edu/api/v1/courses?page=2');
+        assert.equal(nextPageUrl('<https://x.edu/api/v1/courses?page=5>; rel="last"'), null);
+        assert.equal(nextPageUrl(null), null);
+    });
+
+    it('maps unknown Canvas question types to unknown', () => {
+        assert.equal(toQuestion({ id: 5, question_type: 'hot_spot_question', question_text: '<p>Click the heart</p>' }).type, 'unknown');
+    });
+});
+
+describe('CanvasApiClient against the mock Canvas API', () => {
+    let api;
+    const noWait = async () => {};
+    const client = (options = {}) => new CanvasApiClient({
+        baseUrl: api.url,
+        token: MOCK_API_TOKEN,
+        retry: { retries: 3, baseDelayMs: 1, maxDelayMs: 5 },
+        wait: noWait,
+        ...options
+    });
+
+    before(async () => {
+        api = await startMockCanvasApiServer();
+    });
+
+    beforeEach(() => {
+        api.state.requests.length = 0;
+        api.state.throttle = 0;
+        api.state.rateLimitRemaining = 700;
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('converts a paginated quiz to the questions the browser extracts, with the answer key', async () => {
+        const { quiz, questions, answerKey } = await client({ perPage: 5 }).fetchQuiz('101', '1');
+
+        assert.equal(quiz.title, 'Week 1 Check-in');
+        assert.deepEqual(questions, QUIZ_QUESTIONS.map(({ html, ...question }) => question));
+        assert.deepEqual(Object.fromEntries(answerKey.map(item => [item.questionId, item.choice])), ANSWER_KEY);
+        assert.equal(api.state.requests.filter(url => url.includes('/questions')).length, 3);
+    });
+
+    it('lists courses and quizzes', async () => {
+        const courses = await client({ perPage: 1 }).listCourses({ enrollmentType: 'teacher' });
+        assert.deepEqual(courses.map(course => course.id), COURSES.map(course => course.id));
+        assert.match(api.state.requests[0], /enrollment_type=teacher/);
+
+        const quizzes = await client().listQuizzes('101');
+        assert.deepEqual(quizzes.map(quiz => quiz.quiz_type), ['assignment', 'practice_quiz']);
+    });
+
+    it('lists course browser entries with classic and New Quizzes, soonest due first', async () => {
+        const courses = await client().listCourseEntries();
+        assert.deepEqual(courses[0], { id: '101', name: 'Introduction to Science', courseCode: 'SCI 101', url: `${api.url}/courses/101` });
+        assert.doesNotMatch(api.state.requests[0], /enrollment_type/);
+
+        const targets = await client().listQuizTargets('101');
+        assert.deepEqual(targets.map(target => [target.title, target.engine, target.quizType]), [
+            ['Photosynthesis Quiz', 'new_quizzes', 'new_quiz'],
+            ['Week 1 Check-in', 'classic', 'assignment'],
+            ['Practice Round', 'classic', 'practice_quiz']
+        ]);
+        assert.equal(targets[0].url, `${api.url}/courses/101/assignments/2`);
+        assert.equal(targets[1].url, api.quizUrl);
+        assert.equal(targets[2].published, false);
+    });
+
+    it('backs off and retries when Canvas throttles the token', async () => {
+        api.state.throttle = 2;
+        const retries = [];
+
+        const questions = await client({ onRetry: (error, attempt) => retries.push(`${error.canvasStatus}:${attempt}`) }).listQuizQuestions('101', '1');
+
+        assert.equal(questions.length, QUIZ_QUESTIONS.length);
+        assert.deepEqual(retries, ['403:1', '403:2']);
+    });
+
+    it('slows down once the rate limit bucket runs low', async () => {
+        api.state.rateLimitRemaining = 10;
+        const waits = [];
+
+        await client({ perPage: 5, wait: async ms => waits.push(ms) }).listQuizQuestions('101', '1');
+
+        // The first request has not seen the header yet; the two after it pause
+        assert.equal(waits.length, 2);
+    });
+
+    it('reports a rejected token and missing quizzes without retrying', async () => {
+        await assert.rejects(client({ token: 'wrong' }).getQuiz('101', '1'), err => err instanceof CanvasApiError && err.canvasStatus === 401 && /access token/.test(err.message));
+        await assert.rejects(client().getQuiz('101', '999'), { status: 404 });
+        assert.equal(api.state.requests.length, 2);
+    });
+
+    it('never sends the token to another origin named in a Link header', async () => {
+        const fetch = async () => new Response('[]', { headers: { Link: '<https://evil.example.com/api/v1/courses?page=2>; rel="next"' } });
+        await assert.rejects(client({ fetch }).listCourses(), /Refusing to follow/);
+    });
+
+    it('feeds the exporters, with the key as the suggested answers', async () => {
+        const { questions, answerKey } = await client().fetchQuiz('101', '1');
+        const { filename, body } = exportRun({ id: 'Week 1 Check-in', mode: 'canvas', questions, result: { answers: answerKey } }, 'csv');
+
+        assert.equal(filename, 'canvas-week-1-check-in.csv');
+        assert.match(body, /^1,question_1,multiple_choice,Which planet is closest to the Sun\?,A\. Venus \| B\. Mercury \| C\. Mars,B,/m);
+    });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateVotes, voteKey } from '../lib/consensus.js';
+
+const multipleChoice = { type: 'multiple_choice', options: [{ text: 'Venus' }, { text: 'Mercury' }, { text: 'Mars' }] };
+const vote = (voter, choice, confidence = 0.8, explanation = `${voter} says ${choice}`) =>
+    ({ voter, suggestion: { choice, explanation, confidence, keyConcepts: [] } });
+
+describe('voteKey', () => {
+    it('treats equivalent answers as the same vote', () => {
+        assert.equal(voteKey({ type: 'multiple_answers' }, ['C', 'A']), voteKey({ type: 'multiple_answers' }, ['A', 'C']));
+        assert.equal(voteKey({ type: 'numerical' }, '42.0'), voteKey({ type: 'numerical' }, '42'));
+        assert.equal(voteKey({ type: 'short_answer' }, ' Au. '), voteKey({ type: 'short_answer' }, 'au'));
+        assert.equal(voteKey({ type: 'fill_in_multiple_blanks' }, { 2: 'Blue', 1: 'red' }), voteKey({ type: 'fill_in_multiple_blanks' }, { 1: 'Red', 2: 'blue' }));
+        assert.notEqual(voteKey(multipleChoice, 'A'), voteKey(multipleChoice, 'B'));
+    });
+});
+
+describe('aggregateVotes', () => {
+    it('reports full agreement as full confidence without a flag', () => {
+        const result = aggregateVotes(multipleChoice, [vote('a', 'B', 0.6), vote('b', 'B', 0.9)]);
+        assert.equal(result.choice, 'B');
+        assert.equal(result.confidence, 1);
+        assert.equal(result.explanation, 'b says B');
+        assert.equal(result.consensus.flagged, false);
+        assert.equal(result.consensus.modelConfidence, 0.75);
+    });
+
+    it('picks the majority, reports the split and flags it for review', () => {
+        const result = aggregateVotes(multipleChoice, [vote('a', 'B'), vote('b', 'C', 0.99), vote('c', 'B')]);
+        assert.equal(result.choice, 'B');
+        assert.equal(result.confidence, 2 / 3);
+        assert.equal(result.consensus.flagged, true);
+        assert.deepEqual(result.consensus.votes.map(entry => [entry.answer, entry.count, entry.voters]), [['B', 2, ['a', 'c']], ['C', 1, ['b']]]);
+        assert.deepEqual(result.consensus.optionVotes, { B: 2, C: 1 });
+    });
+
+    it('breaks ties by confidence and counts voters that failed against agreement', () => {
+        const result = aggregateVotes(multipleChoice, [vote('a', 'A', 0.5), vote('b', 'C', 0.9)], { voters: 4 });
+        assert.equal(result.choice, 'C');
+        assert.equal(result.confidence, 0.25);
+        assert.equal(result.consensus.responded, 2);
+    });
+
+    it('flags a lone reply when the other voters failed', () => {
+        const result = aggregateVotes(multipleChoice, [vote('a', 'B', 0.95)], { voters: 3 });
+        assert.equal(result.choice, 'B');
+        assert.equal(result.confidence, 1 / 3);
+        assert.equal(result.consensus.flagged, true);
+    });
+
+    it('tallies each option across split multiple_answers votes', () => {
+        const question = { type: 'multiple_answers', options: multipleChoice.options };
+        const result = aggregateVotes(question, [vote('a', ['A', 'C']), vote('b', ['A'])]);
+        assert.deepEqual(result.consensus.optionVotes, { A: 2, C: 1 });
+    });
+});
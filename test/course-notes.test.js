@@ -0,0 +1,85 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Bm25Index, CourseNotesStore, splitPassages, tokenize, courseIdFromUrl, buildContextBlock } from '../lib/course-notes.js';
+
+describe('course notes text handling', () => {
+    it('tokenizes without stop words or punctuation', () => {
+        assert.deepEqual(tokenize('What is the Krebs cycle? It makes ATP!'), ['krebs', 'cycle', 'makes', 'atp']);
+    });
+
+    it('reads the course ID from a Canvas URL', () => {
+        assert.equal(courseIdFromUrl('https://school.instructure.com/courses/4821/quizzes/9'), '4821');
+        assert.equal(courseIdFromUrl('https://example.com/quiz'), null);
+    });
+
+    it('groups paragraphs into passages and keeps glossary terms one per line', () => {
+        const long = 'Sentence about cells. '.repeat(60);
+        const passages = splitPassages(`# Week 1\n\nCells are small.\n\n${long}`);
+        assert.equal(passages[0].startsWith('# Week 1 Cells are small.'), true);
+        assert.ok(passages.every(passage => passage.length <= 800));
+        assert.ok(passages.length > 1);
+
+        assert.deepEqual(splitPassages('Osmosis: water crosses a membrane\n\nDiffusion: particles spread\n', 'glossary'), [
+            'Osmosis: water crosses a membrane',
+            'Diffusion: particles spread'
+        ]);
+    });
+
+    it('ranks passages by BM25 and leaves out ones with no shared terms', () => {
+        const index = new Bm25Index([
+            { text: 'Mitochondria produce ATP through cellular respiration.' },
+            { text: 'The French Revolution began in 1789.' },
+            { text: 'ATP synthase sits in the inner membrane of mitochondria; ATP is the energy currency.' }
+        ]);
+
+        const matches = index.search('Which organelle produces ATP?');
+        assert.deepEqual(matches.map(match => match.passage.text.slice(0, 8)), ['ATP synt', 'Mitochon']);
+        assert.deepEqual(index.search('photosynthesis'), []);
+    });
+
+    it('numbers passages for the prompt', () => {
+        const block = buildContextBlock([{ name: 'Week 3', kind: 'notes', text: 'ATP is energy.' }]);
+        assert.match(block, /\[1\] Week 3 \(notes\): ATP is energy\./);
+    });
+});
+
+describe('CourseNotesStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'course-notes-test-'));
+        store = new CourseNotesStore({ dir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('stores documents per course and searches across them', () => {
+        const notes = store.add('101', { name: 'Week 3 notes', text: 'Mitochondria produce ATP.\n\nRibosomes build proteins.' });
+        store.add('101', { name: 'Glossary', kind: 'glossary', text: 'ATP: adenosine triphosphate, the energy currency' });
+        store.add('202', { name: 'Other course', text: 'ATP in another course.' });
+
+        assert.deepEqual(store.list('101').map(doc => doc.name), ['Week 3 notes', 'Glossary']);
+        assert.equal(store.list('101')[0].passageCount, 1);
+
+        const [best] = store.search('101', 'What is ATP the energy currency of?');
+        assert.equal(best.name, 'Glossary');
+        assert.equal(best.kind, 'glossary');
+        assert.ok(store.search('101', 'ATP').every(passage => passage.name !== 'Other course'));
+
+        store.delete('101', notes.id);
+        assert.deepEqual(store.search('101', 'ribosomes'), []);
+    });
+
+    it('rejects bad course IDs, kinds and empty documents', () => {
+        assert.throws(() => store.list('../etc'), { name: 'CourseNotesError', status: 400 });
+        assert.throws(() => store.add('101', { name: 'x', kind: 'video', text: 'x' }), /kind must be one of/);
+        assert.throws(() => store.add('101', { name: 'x', text: '  ' }), /no text/);
+        assert.throws(() => store.delete('101', 'missing'), { status: 404 });
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CredentialVault, VaultError } from '../lib/credential-vault.js';
+
+const masterKey = 'a'.repeat(48);
+
+describe('CredentialVault', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-test-'));
+        filePath = path.join(dir, 'credentials.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('stores secrets encrypted and returns them by ID', () => {
+        const vault = new CredentialVault({ filePath, masterKey });
+        const { id, label } = vault.create({ type: 'canvas', label: 'Fall term', username: 'student', password: 's3cret-pass' });
+
+        assert.equal(label, 'Fall term');
+        assert.deepEqual(vault.get(id, 'canvas'), { username: 'student', password: 's3cret-pass' });
+
+        const onDisk = fs.readFileSync(filePath, 'utf-8');
+        assert.ok(!onDisk.includes('s3cret-pass'));
+        assert.ok(!onDisk.includes('student"'));
+    });
+
+    it('lists credentials without secrets and survives a reload', () => {
+        const vault = new CredentialVault({ filePath, masterKey });
+        const { id } = vault.create({ type: 'api_key', label: 'Groq', apiKey: 'gsk_abc' });
+
+        const reloaded = new CredentialVault({ filePath, masterKey });
+        assert.deepEqual(reloaded.list().map(({ id, type, label }) => ({ id, type, label })), [{ id, type: 'api_key', label: 'Groq' }]);
+        assert.equal(reloaded.get(id).apiKey, 'gsk_abc');
+    });
+
+    it('cannot decrypt with a different master key', () => {
+        const { id } = new CredentialVault({ filePath, masterKey }).create({ type: 'api_key', apiKey: 'gsk_abc' });
+        const wrongKey = new CredentialVault({ filePath, masterKey: 'b'.repeat(48) });
+        assert.throws(() => wrongKey.get(id), /could not be decrypted/);
+    });
+
+    it('validates types, fields and the master key', () => {
+        assert.throws(() => new CredentialVault({ filePath, masterKey: 'short' }), VaultError);
+
+        const vault = new CredentialVault({ filePath, masterKey });
+        assert.throws(() => vault.create({ type: 'cookie', value: 'x' }), /type must be one of/);
+        assert.throws(() => vault.create({ type: 'canvas', username: 'student' }), /"password" is required/);
+
+        const { id } = vault.create({ type: 'api_key', apiKey: 'gsk_abc' });
+        assert.throws(() => vault.get(id, 'canvas'), /expected canvas/);
+        vault.delete(id);
+        assert.throws(() => vault.get(id), { status: 404 });
+    });
+});
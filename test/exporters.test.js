@@ -0,0 +1,191 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toAnkiTsv, toCsv, toQtiPackage, exportRun, runItems } from '../lib/exporters.js';
+import { crc32 } from '../lib/zip.js';
+
+const questions = [
+    {
+        id: 'question_1',
+        type: 'multiple_choice',
+        text: 'Which planet is "closest" to the Sun?',
+        options: [{ text: 'Venus' }, { text: 'Mercury' }, { text: 'Mars, probably' }]
+    },
+    { id: 'question_2', type: 'short_answer', text: 'Symbol for gold?\tTabbed', options: [] }
+];
+
+const studyRun = {
+    id: 'abc-123',
+    mode: 'study',
+    startedAt: '2024-01-01T00:00:00.000Z',
+    questions,
+    result: {
+        studySheet: [
+            { questionId: 'question_2', choice: 'Au', explanation: 'From Latin aurum', confidence: 0.9, keyConcepts: ['Chemistry'] },
+            { questionId: 'question_1', choice: 'B', explanation: 'Line one\nline two', confidence: 0.8, keyConcepts: ['Solar System'] }
+        ]
+    }
+};
+
+// Read stored entries back out of the zip by walking the local headers
+function readZip(buffer) {
+    const entries = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const crc = buffer.readUInt32LE(offset + 14);
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const name = buffer.toString('utf-8', offset + 30, offset + 30 + nameLength);
+        const data = buffer.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+        entries[name] = { crc, data: data.toString('utf-8') };
+        offset += 30 + nameLength + size;
+    }
+    return entries;
+}
+
+describe('exporters', () => {
+    it('pairs questions with their items in quiz order', () => {
+        const items = runItems(studyRun);
+        assert.deepEqual(items.map(entry => entry.item.choice), ['B', 'Au']);
+        assert.equal(runItems({ questions, result: null })[0].item, null);
+    });
+
+    it('writes an Anki TSV with one note per question and no stray tabs or newlines', () => {
+        const lines = toAnkiTsv(studyRun).trim().split('\n');
+        assert.deepEqual(lines.slice(0, 3), ['#separator:tab', '#html:true', '#tags column:3']);
+        assert.equal(lines.length, 5);
+
+        const [front, back, tags] = lines[3].split('\t');
+        assert.match(front, /closest/);
+        assert.match(front, /B\. Mercury/);
+        assert.match(back, /<b>B<\/b>/);
+        assert.match(back, /Line one line two/);
+        assert.equal(tags, 'canvas-quiz-bot multiple_choice solar-system');
+        assert.equal(lines[4].split('\t').length, 3);
+    });
+
+    it('quotes CSV fields containing commas, quotes and newlines', () => {
+        const rows = toCsv(studyRun).split('\r\n');
+        assert.equal(rows[0], 'number,question_id,type,question,options,suggested_answer,explanation,confidence,key_concepts,sources,agreement,votes,needs_review');
+        assert.equal(
+            rows[1],
+            '1,question_1,multiple_choice,"Which planet is ""closest"" to the Sun?",' +
+            '"A. Venus | B. Mercury | C. Mars, probably",B,"Line one\nline two",0.8,Solar System,,,,'
+        );
+    });
+
+    it('keeps spreadsheets from running quiz text and model output as formulas', () => {
+        const csv = toCsv({
+            mode: 'study',
+            questions: [{ ...questions[0], text: '=HYPERLINK("http://evil.example","Click")' }],
+            result: { studySheet: [{ questionId: 'question_1', choice: '-4.5', explanation: '@SUM(1+1)', confidence: 0.5, keyConcepts: ['+cmd', '-x'] }] }
+        });
+        const row = csv.split('\r\n')[1];
+
+        assert.match(row, /^1,question_1,multiple_choice,"'=HYPERLINK\(""http:\/\/evil\.example"",""Click""\)",/);
+        assert.match(row, /,-4\.5,'@SUM\(1\+1\),0\.5,'\+cmd; -x,/);
+    });
+
+    it('uses verdict and issue columns for audit runs', () => {
+        const csv = toCsv({
+            mode: 'audit',
+            questions: [questions[0]],
+            result: {
+                report: [{
+                    questionId: 'question_1',
+                    verdict: 'revise',
+                    issues: [{ category: 'ambiguous_wording', severity: 'high', detail: 'Closest when?' }],
+                    summary: 'Unclear',
+                    suggestedRevision: ''
+                }]
+            }
+        });
+        const [header, row] = csv.split('\r\n');
+        assert.match(header, /verdict,issues,summary,suggested_revision$/);
+        assert.match(row, /,revise,high ambiguous_wording: Closest when\?,Unclear,$/);
+    });
+
+    it('packages a QTI 1.2 assessment with a manifest and valid checksums', () => {
+        const entries = readZip(toQtiPackage(studyRun));
+        const names = Object.keys(entries);
+        assert.deepEqual(names, ['imsmanifest.xml', 'assessment_abc-123/assessment_abc-123.xml']);
+
+        for (const { crc, data } of Object.values(entries)) {
+            assert.equal(crc, crc32(Buffer.from(data, 'utf-8')));
+        }
+
+        const xml = entries[names[1]].data;
+        assert.match(xml, /<fieldentry>multiple_choice_question<\/fieldentry>/);
+        assert.match(xml, /<varequal respident="response1">item_1_1<\/varequal>/);
+        assert.match(xml, /<varequal respident="response1">Au<\/varequal>/);
+        assert.match(xml, /&quot;closest&quot;/);
+        assert.match(entries['imsmanifest.xml'].data, /href="assessment_abc-123\/assessment_abc-123.xml"/);
+    });
+
+    it('exports matching columns and scores every pair in QTI', () => {
+        const run = {
+            id: 'm',
+            mode: 'study',
+            questions: [{
+                id: 'question_6',
+                type: 'matching',
+                text: 'Match each animal with its sound.',
+                options: [],
+                matching: {
+                    left: [{ id: 'l1', text: 'Dog' }, { id: 'l2', text: 'Cat' }],
+                    right: [{ value: '1', text: 'Meow' }, { value: '2', text: 'Woof' }]
+                }
+            }],
+            result: { studySheet: [{ questionId: 'question_6', choice: { 1: 'B', 2: 'A' }, explanation: 'x' }] }
+        };
+
+        const row = toCsv(run).split('\r\n')[1];
+        assert.match(row, /Items: \| 1\. Dog \| 2\. Cat \| Options: \| A\. Meow \| B\. Woof,\[1\] B; \[2\] A,/);
+
+        const xml = Object.values(readZip(toQtiPackage(run)))[1].data;
+        assert.match(xml, /matching_question/);
+        assert.match(xml, /<and><varequal respident="response_1">item_1_1_1<\/varequal><varequal respident="response_2">item_1_2_0<\/varequal><\/and>/);
+    });
+
+    it('renders code, math and images in question text as HTML', () => {
+        const run = {
+            id: 'rich-1',
+            mode: 'study',
+            questions: [{
+                id: 'question_1',
+                type: 'short_answer',
+                text: 'Solve \\( x^2 < 4 \\) for `x`:\n![Graph](https://canvas.example/graph.png)\n```python\nprint(1 < 2)\n```',
+                options: []
+            }],
+            result: { studySheet: [{ questionId: 'question_1', choice: '-2 < x < 2', explanation: 'Square root.', confidence: 1, keyConcepts: [] }] }
+        };
+
+        const front = toAnkiTsv(run).trim().split('\n')[3].split('\t')[0];
+        assert.match(front, /\\\( x\^2 &lt; 4 \\\)/);
+        assert.match(front, /<code>x<\/code>/);
+        assert.match(front, /<img src="https:\/\/canvas\.example\/graph\.png" alt="Graph">/);
+        assert.match(front, /<pre><code class="language-python">print\(1 &lt; 2\)<\/code><\/pre>/);
+
+        const xml = Object.values(readZip(toQtiPackage(run)))[1].data;
+        assert.match(xml, /<mattext texttype="text\/html">Solve .*&lt;code&gt;x&lt;\/code&gt;/);
+    });
+
+    it('flags questions the consensus vote disagreed on', () => {
+        const consensus = {
+            agreement: 2 / 3,
+            flagged: true,
+            votes: [{ answer: 'B', count: 2 }, { answer: 'C', count: 1 }]
+        };
+        const run = { ...studyRun, result: { studySheet: [{ ...studyRun.result.studySheet[1], consensus }] } };
+
+        const [, back, tags] = toAnkiTsv(run).trim().split('\n')[3].split('\t');
+        assert.match(back, /Review this:<\/b> the models disagreed \(B x2, C x1\)/);
+        assert.match(tags, / review-this$/);
+        assert.match(toCsv(run).split('\r\n')[1], /,0\.67,"B x2, C x1",yes$/);
+    });
+
+    it('names the download after the run and rejects unknown formats', () => {
+        assert.equal(exportRun(studyRun, 'csv').filename, 'study-abc-123.csv');
+        assert.equal(exportRun(studyRun, 'qti').contentType, 'application/zip');
+        assert.throws(() => exportRun(studyRun, 'pdf'), /must be one of/);
+    });
+});
@@ -0,0 +1,194 @@
+// Canvas REST API fixture for the API client and course browser tests. Lists courses, quizzes and
+// a New Quizzes assignment, serves the classic quiz from mock-canvas-server.js as /api/v1 JSON with
+// the instructor's answer key, paginates with Link headers, reports X-Rate-Limit-Remaining and can be
+// told to throttle the next few requests.
+
+import express from 'express';
+import { COURSE_ID, QUIZ_ID, NEW_QUIZ_ASSIGNMENT_ID, QUIZ_QUESTIONS } from './mock-canvas-server.js';
+
+export const MOCK_API_TOKEN = 'instructor-token-1234';
+
+export const COURSES = [
+    { id: Number(COURSE_ID), name: 'Introduction to Science', course_code: 'SCI 101', workflow_state: 'available' },
+    { id: 102, name: 'Chemistry Lab', course_code: 'CHEM 110', workflow_state: 'unpublished' }
+];
+
+export const QUIZZES = [
+    { id: Number(QUIZ_ID), title: 'Week 1 Check-in', quiz_type: 'assignment', question_count: QUIZ_QUESTIONS.length, due_at: '2024-09-06T23:59:00Z', published: true },
+    { id: 3, title: 'Practice Round', quiz_type: 'practice_quiz', question_count: 0, due_at: null, published: false }
+];
+
+// A New Quizzes assignment next to an ordinary one the course browser should leave out
+export const ASSIGNMENTS = [
+    { id: Number(NEW_QUIZ_ASSIGNMENT_ID), name: 'Photosynthesis Quiz', is_quiz_lti_assignment: true, due_at: '2024-09-03T23:59:00Z', published: true },
+    { id: 4, name: 'Lab Report', is_quiz_lti_assignment: false, due_at: '2024-09-10T23:59:00Z', published: true }
+];
+
+// What the instructor marked correct, by question
+const CORRECT = {
+    question_1: ['12'],
+    question_2: ['22'],
+    question_3: ['31', '33'],
+    question_4: 'Au',
+    question_6: { question_6_answer_61: '602', question_6_answer_62: '601' },
+    question_7: { sky: '711', grass: '722' },
+    question_8: { roses: 'red', violets: 'blue' },
+    question_9: 42
+};
+
+// The key above as the client should report it, in the bot's answer format
+export const ANSWER_KEY = {
+    question_1: 'B',
+    question_2: 'B',
+    question_3: ['A', 'C'],
+    question_4: 'Au',
+    question_6: { 1: 'B', 2: 'A' },
+    question_7: { 1: 'A', 2: 'B' },
+    question_8: { 1: 'red', 2: 'blue' },
+    question_9: '42'
+};
+
+const escapeHtml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const numericId = id => Number(id.match(/(\d+)$/)[1]);
+
+// The question the page shows, as Canvas' quiz questions endpoint returns it to an instructor
+function apiQuestion(question, position) {
+    const id = numericId(question.id);
+    const correct = CORRECT[question.id];
+    const blankId = blank => blank.id.slice(`${question.id}_`.length);
+    let stem = question.html || escapeHtml(question.text);
+    let answers = [];
+    let matches;
+
+    if (question.options.length) {
+        answers = question.options.map(option => ({
+            id: Number(option.value),
+            text: option.text,
+            weight: correct.includes(option.value) ? 100 : 0
+        }));
+    } else if (question.matching) {
+        matches = question.matching.right.map(option => ({ match_id: Number(option.value), text: option.text }));
+        answers = question.matching.left.map(item => ({
+            id: numericId(item.id),
+            left: item.text,
+            right: question.matching.right.find(option => option.value === correct[item.id]).text,
+            match_id: Number(correct[item.id]),
+            weight: 100
+        }));
+    } else if (question.blanks) {
+        question.blanks.forEach((blank, idx) => {
+            stem = stem.replace(`[${idx + 1}]`, `[${blankId(blank)}]`);
+        });
+        answers = question.blanks.flatMap((blank, idx) => (blank.options.length
+            ? blank.options.map(option => ({
+                id: Number(option.value),
+                text: option.text,
+                blank_id: blankId(blank),
+                weight: correct[blankId(blank)] === option.value ? 100 : 0
+            }))
+            : [{ id: id * 10 + idx, text: correct[blankId(blank)], blank_id: blankId(blank), weight: 100 }]));
+    } else if (question.type === 'short_answer') {
+        answers = [{ id: id * 10, text: correct, weight: 100 }];
+    } else if (question.type === 'numerical') {
+        answers = [{ id: id * 10, numerical_answer_type: 'exact_answer', exact: correct, margin: 0, weight: 100 }];
+    }
+
+    return {
+        id,
+        quiz_id: Number(QUIZ_ID),
+        position,
+        question_name: `Question ${position}`,
+        question_type: `${question.type}_question`,
+        question_text: `<p>${stem}</p>`,
+        points_possible: 1,
+        answers,
+        ...(matches ? { matches } : {})
+    };
+}
+
+// Listed in reverse so the client has to put them back in position order
+export const API_QUIZ_QUESTIONS = QUIZ_QUESTIONS.map((question, idx) => apiQuestion(question, idx + 1)).reverse();
+
+export function createMockCanvasApiApp(state = { requests: [], throttle: 0, rateLimitRemaining: 700 }) {
+    const app = express();
+
+    app.use('/api/v1', (req, res, next) => {
+        state.requests.push(req.originalUrl);
+        res.set('X-Rate-Limit-Remaining', String(state.rateLimitRemaining));
+
+        if (req.get('authorization') !== `Bearer ${MOCK_API_TOKEN}`) {
+            return res.status(401).json({ errors: [{ message: 'Invalid access token.' }] });
+        }
+        if (state.throttle > 0) {
+            state.throttle--;
+            res.set('X-Rate-Limit-Remaining', '0');
+            return res.status(403).type('text/plain').send('403 Forbidden (Rate Limit Exceeded)');
+        }
+        next();
+    });
+
+    // Canvas-style pagination: ?page=&per_page= with first/next/last links
+    const paginate = (req, res, items) => {
+        const perPage = Math.max(1, Math.min(100, Number(req.query.per_page) || 10));
+        const page = Math.max(1, Number(req.query.page) || 1);
+        const last = Math.max(1, Math.ceil(items.length / perPage));
+        const link = target => {
+            const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+            url.searchParams.set('page', String(target));
+            url.searchParams.set('per_page', String(perPage));
+            return url.toString();
+        };
+
+        const links = [`<${link(page)}>; rel="current"`, `<${link(1)}>; rel="first"`, `<${link(last)}>; rel="last"`];
+        if (page < last) links.splice(1, 0, `<${link(page + 1)}>; rel="next"`);
+        res.set('Link', links.join(','));
+        res.json(items.slice((page - 1) * perPage, page * perPage));
+    };
+
+    const findQuiz = (req, res) => {
+        const quiz = req.params.courseId === COURSE_ID && QUIZZES.find(candidate => String(candidate.id) === req.params.quizId);
+        if (!quiz) res.status(404).json({ errors: [{ message: 'The specified resource does not exist.' }] });
+        return quiz;
+    };
+
+    app.get('/api/v1/courses', (req, res) => paginate(req, res, COURSES));
+
+    app.get('/api/v1/courses/:courseId/quizzes', (req, res) => {
+        paginate(req, res, req.params.courseId === COURSE_ID ? QUIZZES : []);
+    });
+
+    app.get('/api/v1/courses/:courseId/assignments', (req, res) => {
+        paginate(req, res, req.params.courseId === COURSE_ID ? ASSIGNMENTS : []);
+    });
+
+    app.get('/api/v1/courses/:courseId/quizzes/:quizId', (req, res) => {
+        const quiz = findQuiz(req, res);
+        if (quiz) res.json(quiz);
+    });
+
+    app.get('/api/v1/courses/:courseId/quizzes/:quizId/questions', (req, res) => {
+        const quiz = findQuiz(req, res);
+        if (quiz) paginate(req, res, quiz.id === Number(QUIZ_ID) ? API_QUIZ_QUESTIONS : []);
+    });
+
+    return app;
+}
+
+// Start the fixture on an ephemeral port; resolves with its base URL, the quiz URL and a close() helper
+export function startMockCanvasApiServer() {
+    const state = { requests: [], throttle: 0, rateLimitRemaining: 700 };
+    const app = createMockCanvasApiApp(state);
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                quizUrl: `http://127.0.0.1:${port}/courses/${COURSE_ID}/quizzes/${QUIZ_ID}`,
+                state,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+}
@@ -0,0 +1,441 @@
+// Canvas-shaped fixture server for offline end-to-end tests.
+// Serves a native Canvas login, a two-step SSO-style login, a classic quiz with every
+// question type the bot extracts, and a New Quizzes assignment whose quiz renders in an
+// LTI iframe. Everything stays on localhost.
+
+import express from 'express';
+
+export const MOCK_USER = { username: 'student@example.edu', password: 'correct-horse' };
+export const COURSE_ID = '101';
+export const QUIZ_ID = '1';
+export const NEW_QUIZ_ASSIGNMENT_ID = '2';
+
+const QUIZ_PATH = `/courses/${COURSE_ID}/quizzes/${QUIZ_ID}`;
+const NEW_QUIZ_PATH = `/courses/${COURSE_ID}/assignments/${NEW_QUIZ_ASSIGNMENT_ID}`;
+const LTI_QUIZ_PATH = `/lti/quizzes/${NEW_QUIZ_ASSIGNMENT_ID}`;
+
+export const QUIZ_QUESTIONS = [
+    {
+        id: 'question_1',
+        type: 'multiple_choice',
+        text: 'Which planet is closest to the Sun?',
+        options: [
+            { id: 'question_1_answer_11', value: '11', text: 'Venus' },
+            { id: 'question_1_answer_12', value: '12', text: 'Mercury' },
+            { id: 'question_1_answer_13', value: '13', text: 'Mars' }
+        ]
+    },
+    {
+        id: 'question_2',
+        type: 'true_false',
+        text: 'Water always boils at 100 degrees Celsius.',
+        options: [
+            { id: 'question_2_answer_21', value: '21', text: 'True' },
+            { id: 'question_2_answer_22', value: '22', text: 'False' }
+        ]
+    },
+    {
+        id: 'question_3',
+        type: 'multiple_answers',
+        text: 'Select all prime numbers.',
+        options: [
+            { id: 'question_3_answer_31', value: '31', text: '2' },
+            { id: 'question_3_answer_32', value: '32', text: '4' },
+            { id: 'question_3_answer_33', value: '33', text: '7' }
+        ]
+    },
+    {
+        id: 'question_4',
+        type: 'short_answer',
+        text: 'What is the chemical symbol for gold?',
+        options: []
+    },
+    {
+        id: 'question_5',
+        type: 'essay',
+        text: 'Describe the water cycle in two sentences.',
+        options: []
+    },
+    {
+        id: 'question_6',
+        type: 'matching',
+        text: 'Match each animal with the sound it makes.',
+        options: [],
+        matching: {
+            left: [
+                { id: 'question_6_answer_61', text: 'Dog' },
+                { id: 'question_6_answer_62', text: 'Cat' }
+            ],
+            right: [
+                { value: '601', text: 'Meow' },
+                { value: '602', text: 'Woof' }
+            ]
+        }
+    },
+    {
+        id: 'question_7',
+        type: 'multiple_dropdowns',
+        text: 'The sky is [1] and grass is [2].',
+        options: [],
+        blanks: [
+            { id: 'question_7_sky', options: [{ value: '711', text: 'blue' }, { value: '712', text: 'green' }] },
+            { id: 'question_7_grass', options: [{ value: '721', text: 'blue' }, { value: '722', text: 'green' }] }
+        ]
+    },
+    {
+        id: 'question_8',
+        type: 'fill_in_multiple_blanks',
+        text: 'Roses are [1] and violets are [2].',
+        options: [],
+        blanks: [
+            { id: 'question_8_roses', options: [] },
+            { id: 'question_8_violets', options: [] }
+        ]
+    },
+    {
+        id: 'question_9',
+        type: 'numerical',
+        text: 'What is 6 times 7?',
+        options: []
+    },
+    {
+        id: 'question_10',
+        type: 'calculated',
+        // Rich stem: `html` is what the page renders, `text` what extraction should serialize it to
+        text: 'Using \\( v = \\frac{d}{t} \\) with `d = 30` km and `t = 0.5` h, what is the speed in km/h?',
+        html: 'Using <img class="equation_image" alt="v equals d over t" data-equation-content="v = \\frac{d}{t}"> ' +
+            'with <code>d = 30</code> km and <code>t = 0.5</code> h, what is the speed in km/h?',
+        options: []
+    },
+    {
+        id: 'question_11',
+        type: 'file_upload',
+        text: 'Upload your lab report as a PDF.',
+        options: []
+    },
+    {
+        id: 'question_12',
+        type: 'text_only',
+        text: 'The next section covers chemistry.',
+        options: []
+    }
+];
+
+// New Quizzes items: `interaction` is the LTI tool's type, `type` is what the bot should report
+export const NEW_QUIZ_QUESTIONS = [
+    {
+        id: 'nq_1',
+        interaction: 'choice',
+        type: 'multiple_choice',
+        text: 'Which gas do plants absorb for photosynthesis?',
+        options: [
+            { value: 'nq_1_a', text: 'Oxygen' },
+            { value: 'nq_1_b', text: 'Carbon dioxide' },
+            { value: 'nq_1_c', text: 'Nitrogen' }
+        ]
+    },
+    {
+        id: 'nq_2',
+        interaction: 'true-false',
+        type: 'true_false',
+        text: 'Chlorophyll is green.',
+        options: [
+            { value: 'true', text: 'True' },
+            { value: 'false', text: 'False' }
+        ]
+    },
+    {
+        id: 'nq_3',
+        interaction: 'multi-answer',
+        type: 'multiple_answers',
+        text: 'Select all noble gases.',
+        options: [
+            { value: 'nq_3_a', text: 'Helium' },
+            { value: 'nq_3_b', text: 'Hydrogen' },
+            { value: 'nq_3_c', text: 'Neon' }
+        ]
+    },
+    {
+        id: 'nq_4',
+        interaction: 'rich-fill-blank',
+        type: 'fill_in_multiple_blanks',
+        text: 'The capital of France is [1].',
+        options: [],
+        blanks: [{ id: 'nq_4_blank_1', options: [] }]
+    },
+    {
+        id: 'nq_5',
+        interaction: 'numeric',
+        type: 'numerical',
+        text: 'How many legs does a spider have?',
+        options: []
+    },
+    {
+        id: 'nq_6',
+        interaction: 'essay',
+        type: 'essay',
+        text: 'Explain why leaves change color in autumn.',
+        options: []
+    }
+];
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${title}</title></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function parseCookies(req) {
+    return Object.fromEntries((req.headers.cookie || '')
+        .split(';')
+        .map(part => part.trim().split('='))
+        .filter(([name]) => name)
+        .map(([name, ...rest]) => [name, decodeURIComponent(rest.join('='))]));
+}
+
+// Only follow same-site relative return paths
+function safeReturnTo(value) {
+    return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/dashboard';
+}
+
+function renderSelect(name, options) {
+    return `<select class="question_input" name="${name}"><option value="">[ Select ]</option>${options
+        .map(opt => `<option value="${opt.value}">${opt.text}</option>`).join('')}</select>`;
+}
+
+// Blanks and dropdowns sit inline in the stem where the [n] markers are
+function renderStem(question) {
+    if (question.html) return question.html;
+    if (!question.blanks) return question.text;
+
+    return question.text.replace(/\[(\d+)\]/g, (marker, number) => {
+        const blank = question.blanks[Number(number) - 1];
+        return question.type === 'multiple_dropdowns'
+            ? renderSelect(blank.id, blank.options)
+            : `<input type="text" class="question_input" name="${blank.id}">`;
+    });
+}
+
+function renderQuestion(question) {
+    let answers = '';
+
+    if (question.type === 'multiple_choice' || question.type === 'true_false') {
+        answers = question.options.map(opt => `
+            <div class="answer">
+                <input type="radio" name="${question.id}" id="${opt.id}" value="${opt.value}">
+                <label for="${opt.id}" class="answer_label">${opt.text}</label>
+            </div>`).join('');
+    } else if (question.type === 'multiple_answers') {
+        answers = question.options.map(opt => `
+            <div class="answer">
+                <input type="checkbox" name="${question.id}[]" id="${opt.id}" value="${opt.value}">
+                <label for="${opt.id}" class="answer_label">${opt.text}</label>
+            </div>`).join('');
+    } else if (question.type === 'short_answer') {
+        answers = `<input type="text" name="${question.id}" class="question_input">`;
+    } else if (question.type === 'essay') {
+        answers = `<textarea name="${question.id}" class="question_input"></textarea>`;
+    } else if (question.type === 'matching') {
+        answers = question.matching.left.map(left => `
+            <div class="answer">
+                <div class="answer_match_left">${left.text}</div>
+                <div class="answer_match_right">${renderSelect(left.id, question.matching.right)}</div>
+            </div>`).join('');
+    } else if (question.type === 'numerical' || question.type === 'calculated') {
+        answers = `<input type="text" name="${question.id}" class="question_input numerical_question_input">`;
+    } else if (question.type === 'file_upload') {
+        answers = `<input type="file" name="${question.id}">`;
+    }
+
+    return `
+        <div class="display_question question ${question.type}_question" id="${question.id}">
+            <div class="question_text user_content">${renderStem(question)}</div>
+            <div class="answers">${answers}</div>
+        </div>`;
+}
+
+// React-style markup: no Canvas classes and no input IDs, only automation attributes
+function renderNewQuizQuestion(question) {
+    let answers = '';
+
+    if (question.interaction === 'choice' || question.interaction === 'true-false') {
+        answers = `<fieldset role="radiogroup">${question.options.map(opt => `
+            <label><input type="radio" name="${question.id}" value="${opt.value}"> <span>${opt.text}</span></label>`).join('')}
+        </fieldset>`;
+    } else if (question.interaction === 'multi-answer') {
+        answers = `<fieldset>${question.options.map(opt => `
+            <label><input type="checkbox" name="${question.id}[]" value="${opt.value}"> <span>${opt.text}</span></label>`).join('')}
+        </fieldset>`;
+    } else if (question.interaction === 'numeric') {
+        answers = `<input type="text" inputmode="decimal" name="${question.id}">`;
+    } else if (question.interaction === 'essay') {
+        answers = `<textarea name="${question.id}"></textarea>`;
+    }
+
+    const stem = question.blanks
+        ? question.text.replace(/\[(\d+)\]/g, (marker, number) =>
+            `<input type="text" name="${question.blanks[Number(number) - 1].id}">`)
+        : question.text;
+
+    return `
+        <div data-automation="sdk-question-item" data-interaction-type="${question.interaction}" data-item-id="${question.id}">
+            <div data-automation="sdk-item-body"><p>${stem}</p></div>
+            ${answers}
+        </div>`;
+}
+
+export function createMockCanvasApp(state = { submissions: [] }) {
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+
+    const requireLogin = (req, res, next) => {
+        if (parseCookies(req).canvas_session === 'valid') return next();
+        res.redirect(`/login/canvas?return_to=${encodeURIComponent(req.originalUrl)}`);
+    };
+
+    const finishLogin = (res, returnTo) => {
+        res.setHeader('Set-Cookie', ['canvas_session=valid; Path=/', 'pending_user=; Path=/; Max-Age=0']);
+        res.redirect(safeReturnTo(returnTo));
+    };
+
+    // Canvas native login: username and password on one form
+    app.get('/login/canvas', (req, res) => {
+        const error = req.query.error ? '<div class="ic-flash-error">Invalid username or password</div>' : '';
+        res.send(page('Log In to Canvas', `
+            ${error}
+            <form id="login_form" action="/login/canvas" method="post">
+                <input type="hidden" name="return_to" value="${safeReturnTo(req.query.return_to)}">
+                <input type="text" id="pseudonym_session_unique_id" name="pseudonym_session[unique_id]" placeholder="Email">
+                <input type="password" id="pseudonym_session_password" name="pseudonym_session[password]" placeholder="Password">
+                <button type="submit" class="Button Button--login">Log In</button>
+            </form>`));
+    });
+
+    app.post('/login/canvas', (req, res) => {
+        const session = req.body.pseudonym_session || {};
+        if (session.unique_id === MOCK_USER.username && session.password === MOCK_USER.password) {
+            return finishLogin(res, req.body.return_to);
+        }
+        res.redirect('/login/canvas?error=1');
+    });
+
+    // Two-step SSO login: credentials first, then a separate password verification page
+    app.get('/login/sso', (req, res) => {
+        res.send(page('Single Sign-On', `
+            <form action="/login/sso" method="post">
+                <input type="email" name="username" placeholder="Username">
+                <input type="password" name="password" placeholder="Password">
+                <button type="submit">Next</button>
+            </form>`));
+    });
+
+    app.post('/login/sso', (req, res) => {
+        if (req.body.username !== MOCK_USER.username) {
+            return res.redirect('/login/sso');
+        }
+        res.setHeader('Set-Cookie', `pending_user=${encodeURIComponent(req.body.username)}; Path=/`);
+        res.redirect('/login/sso/password');
+    });
+
+    app.get('/login/sso/password', (req, res) => {
+        if (!parseCookies(req).pending_user) return res.redirect('/login/sso');
+        res.send(page('Verify Password', `
+            <form action="/login/sso/password" method="post">
+                <input type="password" name="password" placeholder="Password">
+                <button type="submit">Sign In</button>
+            </form>`));
+    });
+
+    app.post('/login/sso/password', (req, res) => {
+        if (parseCookies(req).pending_user === MOCK_USER.username && req.body.password === MOCK_USER.password) {
+            return finishLogin(res, '/dashboard');
+        }
+        res.redirect('/login/sso/password');
+    });
+
+    app.get('/dashboard', requireLogin, (req, res) => {
+        res.send(page('Dashboard', `<h1>Dashboard</h1><a href="${QUIZ_PATH}">Practice Quiz</a>`));
+    });
+
+    app.get(QUIZ_PATH, requireLogin, (req, res) => {
+        res.send(page('Practice Quiz', `
+            <h1>Practice Quiz</h1>
+            <a href="${QUIZ_PATH}/take" id="take_quiz_link" class="btn take_quiz_button">Take the Quiz</a>`));
+    });
+
+    app.get(`${QUIZ_PATH}/take`, requireLogin, (req, res) => {
+        res.send(page('Taking Practice Quiz', `
+            <form id="submit_quiz_form" action="${QUIZ_PATH}/submissions" method="post">
+                ${QUIZ_QUESTIONS.map(renderQuestion).join('')}
+                <button type="submit" class="btn submit_quiz_button">Submit Quiz</button>
+            </form>`));
+    });
+
+    app.post(`${QUIZ_PATH}/submissions`, requireLogin, (req, res) => {
+        state.submissions.push({ ...req.body });
+        res.send(page('Quiz Results', '<h1>Quiz submitted</h1>'));
+    });
+
+    // New Quizzes: the assignment page only hosts the LTI tool frame
+    app.get(NEW_QUIZ_PATH, requireLogin, (req, res) => {
+        res.send(page('Unit Quiz', `
+            <h1>Unit Quiz</h1>
+            <iframe id="tool_content" name="tool_content" src="${LTI_QUIZ_PATH}" width="100%" height="800"></iframe>`));
+    });
+
+    // Inside the frame, Begin reveals the items and Submit asks for confirmation before posting
+    app.get(LTI_QUIZ_PATH, requireLogin, (req, res) => {
+        res.send(page('Quiz', `
+            <div id="quiz-landing">
+                <button type="button" data-automation="sdk-begin-button">Begin</button>
+            </div>
+            <form id="quiz-take" action="${LTI_QUIZ_PATH}/submissions" method="post" hidden>
+                ${NEW_QUIZ_QUESTIONS.map(renderNewQuizQuestion).join('')}
+                <button type="button" data-automation="sdk-submit-button">Submit</button>
+                <div id="confirm-dialog" role="dialog" hidden>
+                    <p>Submit your quiz?</p>
+                    <button type="submit" data-automation="sdk-confirm-submit-button">Submit</button>
+                </div>
+            </form>
+            <script>
+                document.querySelector('[data-automation="sdk-begin-button"]').addEventListener('click', () => {
+                    document.getElementById('quiz-landing').hidden = true;
+                    document.getElementById('quiz-take').hidden = false;
+                });
+                document.querySelector('[data-automation="sdk-submit-button"]').addEventListener('click', () => {
+                    document.getElementById('confirm-dialog').hidden = false;
+                });
+            </script>`));
+    });
+
+    app.post(`${LTI_QUIZ_PATH}/submissions`, requireLogin, (req, res) => {
+        state.submissions.push({ engine: 'new_quizzes', ...req.body });
+        res.send(page('Quiz Results', '<h1>Quiz submitted</h1>'));
+    });
+
+    return app;
+}
+
+// Start the fixture on an ephemeral port; resolves with its base URL and a close() helper
+export function startMockCanvasServer() {
+    const state = { submissions: [] };
+    const app = createMockCanvasApp(state);
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                quizUrl: `http://127.0.0.1:${port}${QUIZ_PATH}`,
+                newQuizUrl: `http://127.0.0.1:${port}${NEW_QUIZ_PATH}`,
+                state,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+}
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SessionLogger, consoleSink, redactText, redactUrl, redactFields, parseLogLines, levelAtLeast, REDACTED
+} from '../lib/logger.js';
+
+describe('redaction', () => {
+    it('drops token-carrying query and fragment parameters but keeps the rest of the URL', () => {
+        assert.equal(
+            redactUrl('https://canvas.example.edu/login/oauth2/callback?code=abc123&state=xyz&locale=en'),
+            `https://canvas.example.edu/login/oauth2/callback?code=${REDACTED}&state=${REDACTED}&locale=en`
+        );
+        assert.equal(redactUrl('https://app.example.edu/#access_token=tok&expires_in=3600'), `https://app.example.edu/#access_token=${REDACTED}&expires_in=3600`);
+        assert.equal(redactUrl('https://user:pw@example.edu/x'), 'https://example.edu/x');
+        assert.equal(redactUrl('https://canvas.example.edu/courses/1/quizzes/2'), 'https://canvas.example.edu/courses/1/quizzes/2');
+    });
+
+    it('scrubs secrets, URLs, cookies, bearer tokens and key=value pairs in free text', () => {
+        const text = redactText(
+            'pw hunter2 at https://idp.example.edu/sso?SAMLResponse=PHNhbWw+ then Cookie: canvas_session=abc; Authorization: Bearer eyJhbGci.x.y password=letmein',
+            ['hunter2']
+        );
+
+        assert.ok(!/hunter2|PHNhbWw|canvas_session=abc|eyJhbGci|letmein/.test(text), text);
+        assert.match(text, /https:\/\/idp\.example\.edu\/sso\?SAMLResponse=\[REDACTED\]/);
+    });
+
+    it('drops values under sensitive field names and redacts nested strings', () => {
+        assert.deepEqual(
+            redactFields({ password: 'x', headers: { cookie: 'a=b' }, url: 'https://x.edu/?ticket=ST-1', attempts: 2, apiKeyCredentialId: 'cred_1' }),
+            { password: REDACTED, headers: { cookie: REDACTED }, url: `https://x.edu/?ticket=${REDACTED}`, attempts: 2, apiKeyCredentialId: 'cred_1' }
+        );
+    });
+});
+
+describe('SessionLogger', () => {
+    const now = () => new Date('2024-03-01T12:00:00Z');
+
+    it('builds entries with level, event and context, and hands them to every sink', () => {
+        const seen = [];
+        const logger = new SessionLogger({
+            context: () => ({ sessionId: 's-1', step: 'logging_in' }),
+            secrets: () => ['hunter2'],
+            sinks: [
+                () => { throw new Error('broken sink'); },
+                entry => seen.push(entry)
+            ],
+            now
+        });
+
+        logger.warning('login.step', 'Typed hunter2', { attempt: 1 });
+
+        assert.deepEqual(seen, [{
+            timestamp: '2024-03-01T12:00:00.000Z',
+            level: 'warning',
+            event: 'login.step',
+            sessionId: 's-1',
+            step: 'logging_in',
+            message: `Typed ${REDACTED}`,
+            attempt: 1
+        }]);
+    });
+
+    it('rejects unknown levels', () => {
+        assert.throws(() => new SessionLogger().log('verbose', 'x', 'y'), /Unknown log level/);
+    });
+
+    it('prints to the console only at or above its level', () => {
+        const lines = [];
+        const sink = consoleSink({ minLevel: 'warning', write: line => lines.push(line) });
+        sink({ level: 'info', event: 'a', message: 'quiet' });
+        sink({ level: 'error', event: 'login.failed', message: 'loud' });
+
+        assert.deepEqual(lines, ['[ERROR] login.failed: loud']);
+        assert.equal(levelAtLeast('debug', 'info'), false);
+    });
+});
+
+describe('parseLogLines', () => {
+    it('filters by level and skips torn lines', () => {
+        const text = [
+            JSON.stringify({ level: 'debug', event: 'a' }),
+            JSON.stringify({ level: 'warning', event: 'b' }),
+            '{"level":"err',
+            JSON.stringify({ level: 'error', event: 'c' })
+        ].join('\n');
+
+        assert.deepEqual(parseLogLines(text, { minLevel: 'warning' }).map(entry => entry.event), ['b', 'c']);
+        assert.equal(parseLogLines(text).length, 3);
+    });
+});
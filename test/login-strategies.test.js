@@ -0,0 +1,179 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    detectStrategyFromUrl, detectLoginStrategy, createLoginStrategy, strategyFromProfile,
+    validateLoginProfile, runLoginPages, LoginError, LoginProfileError
+} from '../lib/login-strategies/index.js';
+import { LoginProfileStore } from '../lib/login-profile-store.js';
+
+// A page whose elements are keyed by selector; `screens` swap in as each submit "navigates"
+function fakeLoginPage(screens, url = 'https://sso.example.edu/login') {
+    const events = [];
+    let current = 0;
+    let typedInto = null;
+
+    const handle = selector => ({
+        boundingBox: async () => ({ x: 0, y: 0, width: 10, height: 10 }),
+        click: async () => {
+            if (screens[current][selector] === 'submit') {
+                events.push(`submit ${selector}`);
+                current++;
+            } else {
+                typedInto = selector;
+            }
+        },
+        type: async value => events.push(`${selector}=${value}`),
+        press: async key => {
+            events.push(`${key} in ${selector}`);
+            current++;
+        }
+    });
+
+    return {
+        events,
+        url: () => url,
+        $: async selector => (screens[current]?.[selector] ? handle(selector) : null),
+        keyboard: { press: async () => typedInto },
+        waitForNavigation: async () => {}
+    };
+}
+
+describe('detectStrategyFromUrl', () => {
+    it('recognizes identity providers by host and path', () => {
+        assert.equal(detectStrategyFromUrl('https://login.microsoftonline.com/common/oauth2/authorize'), 'microsoft');
+        assert.equal(detectStrategyFromUrl('https://accounts.google.com/o/saml2/idp?SAMLRequest=x'), 'google');
+        assert.equal(detectStrategyFromUrl('https://idp.school.edu/idp/profile/SAML2/Redirect/SSO'), 'saml');
+        assert.equal(detectStrategyFromUrl('https://sts.school.edu/adfs/ls/'), 'saml');
+        assert.equal(detectStrategyFromUrl('https://school.instructure.com/login/canvas'), 'canvas');
+    });
+
+    it('returns null for anything else', () => {
+        assert.equal(detectStrategyFromUrl('https://sso.school.edu/login'), null);
+        assert.equal(detectStrategyFromUrl('not a url'), null);
+    });
+});
+
+describe('detectLoginStrategy', () => {
+    it('falls back to the Canvas form, then the generic two-step form', async () => {
+        const canvasForm = { url: () => 'https://school.edu/login', $: async () => ({}) };
+        const unknownForm = { url: () => 'https://school.edu/login', $: async () => null };
+
+        assert.equal((await detectLoginStrategy(canvasForm)).name, 'canvas');
+        assert.equal((await detectLoginStrategy(unknownForm)).name, 'two_step');
+    });
+
+    it('rejects unknown strategy names', () => {
+        assert.throws(() => createLoginStrategy('okta'), /Unknown login strategy/);
+    });
+});
+
+describe('validateLoginProfile', () => {
+    it('keeps only the known keys', () => {
+        const profile = validateLoginProfile({ name: 'state-u', hosts: ['canvas.state.edu'], strategy: 'saml', extra: true });
+        assert.deepEqual(profile, { name: 'state-u', hosts: ['canvas.state.edu'], strategy: 'saml', manualMfa: false });
+    });
+
+    it('rejects bad names, strategies and pages', () => {
+        assert.throws(() => validateLoginProfile({ name: '../x', strategy: 'saml' }), LoginProfileError);
+        assert.throws(() => validateLoginProfile({ name: 'x' }), /needs pages, or a strategy/);
+        assert.throws(() => validateLoginProfile({ name: 'x', strategy: 'saml', loginUrl: '/sso' }), /absolute URL/);
+        assert.throws(
+            () => validateLoginProfile({ name: 'x', pages: [{ name: 'only', fields: [{ field: 'otp', selectors: ['#otp'] }] }] }),
+            /field must be one of/
+        );
+        assert.throws(() => validateLoginProfile({ name: 'x', pages: [{ name: 'empty' }] }), /needs fields/);
+    });
+
+    it('builds a strategy from pinned pages or a named built-in', () => {
+        const pages = [{ name: 'mfa', manual: true, prompt: 'Approve the push' }];
+        assert.deepEqual(strategyFromProfile({ name: 'x', pages }).pages, pages);
+        assert.equal(strategyFromProfile({ name: 'y', strategy: 'google' }).name, 'google');
+    });
+});
+
+describe('LoginProfileStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'login-profiles-test-'));
+        store = new LoginProfileStore({ filePath: path.join(dir, 'login-profiles.json') });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('saves, matches by host and deletes profiles', () => {
+        store.save({ name: 'state-u', hosts: ['canvas.state.edu'], strategy: 'microsoft', manualMfa: true });
+
+        assert.equal(store.get('state-u').strategy, 'microsoft');
+        assert.equal(store.forHost('canvas.state.edu').name, 'state-u');
+        assert.equal(store.forHost('other.edu'), null);
+
+        store.delete('state-u');
+        assert.deepEqual(store.list(), []);
+        assert.throws(() => store.delete('state-u'), err => err.status === 404);
+    });
+
+    it('does not find names inherited from Object.prototype', () => {
+        store.save({ name: 'state-u', hosts: ['canvas.state.edu'], strategy: 'microsoft' });
+
+        for (const name of ['constructor', '__proto__', 'toString']) {
+            assert.equal(store.get(name), null, name);
+            assert.throws(() => store.delete(name), err => err.status === 404, name);
+        }
+    });
+});
+
+describe('runLoginPages', () => {
+    const credentials = { username: 'student', password: 'pw' };
+
+    it('fills each page and submits it', async () => {
+        const page = fakeLoginPage([
+            { '#user': true, '#next': 'submit' },
+            { '#pass': true, '#go': 'submit' },
+            {}
+        ]);
+        const pages = [
+            { name: 'identifier', fields: [{ field: 'username', selectors: ['#missing', '#user'] }], submit: ['#next'] },
+            { name: 'password', fields: [{ field: 'password', selectors: ['#pass'] }], submit: ['#go'] }
+        ];
+
+        const ran = await runLoginPages(page, pages, { credentials });
+
+        assert.deepEqual(ran, ['identifier', 'password']);
+        assert.deepEqual(page.events, ['#user=student', 'submit #next', '#pass=pw', 'submit #go']);
+    });
+
+    it('skips a missing optional page and hands manual pages to the caller', async () => {
+        const page = fakeLoginPage([{ '#user': true, '#pass': true, '#go': 'submit' }, {}]);
+        const manual = [];
+        const pages = [
+            ...createLoginStrategy('two_step').pages.map(loginPage => ({
+                ...loginPage,
+                fields: loginPage.fields.map(field => ({ ...field, selectors: field.field === 'username' ? ['#user'] : ['#pass'] })),
+                submit: ['#go']
+            })),
+            { name: 'mfa', manual: true, prompt: 'Approve the sign-in' }
+        ];
+
+        const ran = await runLoginPages(page, pages, { credentials, manualStep: async step => manual.push(step.prompt) });
+
+        assert.deepEqual(ran, ['identifier', 'mfa']);
+        assert.deepEqual(manual, ['Approve the sign-in']);
+    });
+
+    it('fails with the page name when a required field is missing', async () => {
+        const page = fakeLoginPage([{}]);
+        const pages = [{ name: 'credentials', fields: [{ field: 'username', selectors: ['#user'] }], submit: ['#go'] }];
+
+        await assert.rejects(
+            runLoginPages(page, pages, { credentials, timeout: 300 }),
+            err => err instanceof LoginError && err.page === 'credentials'
+        );
+    });
+});
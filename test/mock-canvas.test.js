@@ -0,0 +1,180 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import puppeteer from 'puppeteer';
+import { CanvasQuizBot } from '../server.js';
+import { startMockCanvasServer, MOCK_USER, QUIZ_QUESTIONS, NEW_QUIZ_QUESTIONS } from './fixtures/mock-canvas-server.js';
+
+// The suite needs a local Chromium (PUPPETEER_EXECUTABLE_PATH picks a specific one). Where it cannot
+// start the suite is skipped, unless REQUIRE_BROWSER=1, as CI sets, turns that into a failure.
+async function probeBrowser() {
+    try {
+        const browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox'] });
+        await browser.close();
+        return null;
+    } catch (error) {
+        const reason = `Chromium is not available: ${error.message.split('\n')[0]}`;
+        if (process.env.REQUIRE_BROWSER === '1') throw new Error(reason);
+        return reason;
+    }
+}
+
+const skip = await probeBrowser();
+
+describe('CanvasQuizBot against the mock Canvas server', { skip, timeout: 300000 }, () => {
+    let canvas;
+    let bot;
+
+    const createBot = async (overrides = {}) => {
+        bot = new CanvasQuizBot({
+            provider: 'stub',
+            canvasUrl: canvas.quizUrl,
+            headless: true,
+            autoSubmit: true,
+            mode: 'quiz',
+            ...overrides
+        });
+        await bot.initialize();
+        return bot;
+    };
+
+    before(async () => {
+        canvas = await startMockCanvasServer();
+    });
+
+    afterEach(async () => {
+        if (bot && bot.browser && bot.browser.isConnected()) {
+            await bot.browser.close();
+        }
+        bot = null;
+    });
+
+    after(async () => {
+        await canvas.close();
+    });
+
+    it('logs in through the native Canvas form after being redirected from the quiz', async () => {
+        await createBot();
+        await bot.login(MOCK_USER.username, MOCK_USER.password);
+        assert.equal(bot.page.url(), canvas.quizUrl);
+    });
+
+    it('handles the two-step username-then-password flow on a custom login URL', async () => {
+        await createBot({ loginUrl: `${canvas.url}/login/sso` });
+        await bot.login(MOCK_USER.username, MOCK_USER.password);
+        assert.equal(bot.page.url(), canvas.quizUrl);
+    });
+
+    it('fails when the password is rejected', async () => {
+        await createBot();
+        await assert.rejects(bot.login(MOCK_USER.username, 'wrong-password'), /Login failed/);
+    });
+
+    it('starts the quiz and extracts every question type', async () => {
+        await createBot();
+        await bot.login(MOCK_USER.username, MOCK_USER.password);
+        await bot.navigateToQuiz();
+        const questions = await bot.extractQuestions();
+
+        assert.deepEqual(questions.map(q => q.type), QUIZ_QUESTIONS.map(q => q.type));
+        assert.deepEqual(questions.map(q => q.text), QUIZ_QUESTIONS.map(q => q.text));
+        assert.deepEqual(questions[0].options.map(opt => opt.text), ['Venus', 'Mercury', 'Mars']);
+        assert.deepEqual(questions[2].options.map(opt => opt.id), QUIZ_QUESTIONS[2].options.map(opt => opt.id));
+    });
+
+    it('keeps matching columns, dropdown lists and blank IDs', async () => {
+        await createBot();
+        await bot.login(MOCK_USER.username, MOCK_USER.password);
+        await bot.navigateToQuiz();
+        const questions = await bot.extractQuestions();
+        const byType = type => questions.find(q => q.type === type);
+        const fixture = type => QUIZ_QUESTIONS.find(q => q.type === type);
+
+        assert.deepEqual(byType('matching').matching, fixture('matching').matching);
+        assert.deepEqual(byType('multiple_dropdowns').blanks, fixture('multiple_dropdowns').blanks);
+        assert.deepEqual(byType('fill_in_multiple_blanks').blanks, fixture('fill_in_multiple_blanks').blanks);
+        assert.deepEqual(byType('text_only').options, []);
+    });
+
+    it('answers questions on the page and submits the quiz', async () => {
+        await createBot();
+        await bot.login(MOCK_USER.username, MOCK_USER.password);
+        await bot.navigateToQuiz();
+        const questions = await bot.extractQuestions();
+
+        const suggestion = choice => ({ choice, explanation: 'test', confidence: 1, keyConcepts: [] });
+        await bot.answerQuestion(questions[0], suggestion('B'));
+        await bot.answerQuestion(questions[2], suggestion(['A', 'C']));
+        await bot.answerQuestion(questions[3], suggestion('Au'));
+        await bot.answerQuestion(questions[5], suggestion({ 1: 'B', 2: 'A' }));
+        await bot.answerQuestion(questions[6], suggestion({ 1: 'A', 2: 'B' }));
+        await bot.answerQuestion(questions[7], suggestion({ 1: 'red', 2: 'blue' }));
+        await bot.answerQuestion(questions[8], suggestion('42'));
+        await bot.submitQuiz();
+
+        assert.equal(canvas.state.submissions.length, 1);
+        const [submission] = canvas.state.submissions;
+        assert.equal(submission.question_1, '12');
+        assert.deepEqual(submission.question_3, ['31', '33']);
+        assert.equal(submission.question_4, 'Au');
+        assert.equal(submission.question_6_answer_61, '602');
+        assert.equal(submission.question_6_answer_62, '601');
+        assert.equal(submission.question_7_sky, '711');
+        assert.equal(submission.question_7_grass, '722');
+        assert.equal(submission.question_8_roses, 'red');
+        assert.equal(submission.question_8_violets, 'blue');
+        assert.equal(submission.question_9, '42');
+        assert.equal(submission.question_10, '');
+    });
+
+    it('detects New Quizzes and extracts questions from the LTI frame', async () => {
+        await createBot({ canvasUrl: canvas.newQuizUrl });
+        await bot.login(MOCK_USER.username, MOCK_USER.password);
+        await bot.navigateToQuiz();
+        const questions = await bot.extractQuestions();
+
+        assert.equal(bot.adapter.name, 'new_quizzes');
+        assert.notEqual(bot.quizFrame, bot.page.mainFrame());
+        assert.deepEqual(questions.map(q => q.type), NEW_QUIZ_QUESTIONS.map(q => q.type));
+        assert.deepEqual(questions.map(q => q.text), NEW_QUIZ_QUESTIONS.map(q => q.text));
+        assert.deepEqual(questions[0].options.map(opt => opt.text), ['Oxygen', 'Carbon dioxide', 'Nitrogen']);
+        assert.deepEqual(questions[3].blanks, NEW_QUIZ_QUESTIONS[3].blanks);
+    });
+
+    it('answers and submits a New Quizzes attempt through the confirmation dialog', async () => {
+        await createBot({ canvasUrl: canvas.newQuizUrl });
+        await bot.login(MOCK_USER.username, MOCK_USER.password);
+        await bot.navigateToQuiz();
+        const questions = await bot.extractQuestions();
+
+        const suggestion = choice => ({ choice, explanation: 'test', confidence: 1, keyConcepts: [] });
+        await bot.answerQuestion(questions[0], suggestion('B'));
+        await bot.answerQuestion(questions[2], suggestion(['A', 'C']));
+        await bot.answerQuestion(questions[3], suggestion({ 1: 'Paris' }));
+        await bot.answerQuestion(questions[4], suggestion('8'));
+        await bot.submitQuiz();
+
+        const submission = canvas.state.submissions.find(entry => entry.engine === 'new_quizzes');
+        assert.ok(submission);
+        assert.equal(submission.nq_1, 'nq_1_b');
+        assert.deepEqual(submission.nq_3, ['nq_3_a', 'nq_3_c']);
+        assert.equal(submission.nq_4_blank_1, 'Paris');
+        assert.equal(submission.nq_5, '8');
+    });
+
+    it('runs study mode end to end with the stub provider and never submits', async () => {
+        bot = new CanvasQuizBot({
+            provider: 'stub',
+            canvasUrl: canvas.quizUrl,
+            headless: true,
+            autoSubmit: true,
+            mode: 'study'
+        }, { username: MOCK_USER.username, password: MOCK_USER.password });
+        const submissionsBefore = canvas.state.submissions.length;
+        const result = await bot.run();
+
+        assert.equal(result.mode, 'study');
+        assert.equal(result.studySheet.length, QUIZ_QUESTIONS.length);
+        assert.ok(result.studySheet.every(item => item.explanation));
+        assert.equal(canvas.state.submissions.length, submissionsBefore);
+    });
+});
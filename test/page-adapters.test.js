@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectEngineFromUrl, detectPageAdapter, createPageAdapter } from '../lib/page-adapters/index.js';
+
+// Just enough of a Puppeteer page for engine detection
+const fakePage = (url, hasLtiFrame = false) => ({
+    url: () => url,
+    $: async () => (hasLtiFrame ? {} : null)
+});
+
+describe('detectEngineFromUrl', () => {
+    it('recognizes classic quiz and New Quizzes assignment URLs', () => {
+        assert.equal(detectEngineFromUrl('https://school.instructure.com/courses/12/quizzes/34'), 'classic');
+        assert.equal(detectEngineFromUrl('https://school.instructure.com/courses/12/quizzes/34/take?user_id=1'), 'classic');
+        assert.equal(detectEngineFromUrl('https://school.instructure.com/courses/12/assignments/56'), 'new_quizzes');
+        assert.equal(detectEngineFromUrl('https://school.quiz-lti-iad-prod.instructure.com/lti/launch'), 'new_quizzes');
+    });
+
+    it('returns null for anything else', () => {
+        assert.equal(detectEngineFromUrl('https://school.instructure.com/courses/12'), null);
+        assert.equal(detectEngineFromUrl('not a url'), null);
+    });
+});
+
+describe('detectPageAdapter', () => {
+    it('honours an explicit engine', async () => {
+        const adapter = await detectPageAdapter(fakePage('https://x/courses/1/quizzes/2'), { engine: 'new_quizzes' });
+        assert.equal(adapter.name, 'new_quizzes');
+    });
+
+    it('trusts classic quiz URLs and otherwise looks for the LTI frame', async () => {
+        assert.equal((await detectPageAdapter(fakePage('https://x/courses/1/quizzes/2', true))).name, 'classic');
+        assert.equal((await detectPageAdapter(fakePage('https://x/courses/1/modules/items/9', true))).name, 'new_quizzes');
+        assert.equal((await detectPageAdapter(fakePage('https://x/courses/1/modules/items/9'))).name, 'classic');
+        assert.equal((await detectPageAdapter(fakePage('https://x/courses/1/assignments/9'))).name, 'new_quizzes');
+    });
+
+    it('rejects unknown engines', () => {
+        assert.throws(() => createPageAdapter('moodle'), /Unknown quiz engine/);
+    });
+});
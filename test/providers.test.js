@@ -0,0 +1,133 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createProvider, StubProvider, OpenAICompatibleProvider, ProviderError } from '../lib/providers/index.js';
+import { parseStructuredAnswer, buildFormatInstructions } from '../lib/answer-format.js';
+import { describeQuestion } from '../lib/question-types.js';
+
+const prompt = 'Which planet?\n\nOptions:\nA. Venus\nB. Mercury\nC. Mars\n';
+
+describe('createProvider', () => {
+    it('builds each adapter', () => {
+        assert.equal(createProvider({ provider: 'groq', apiKey: 'gsk_test' }).name, 'groq');
+        assert.equal(createProvider({ provider: 'openai', model: 'llama3' }).name, 'openai');
+        assert.equal(createProvider({ provider: 'stub' }).name, 'stub');
+    });
+
+    it('rejects unknown providers and a missing Groq key', () => {
+        assert.throws(() => createProvider({ provider: 'nope' }), ProviderError);
+        assert.throws(() => createProvider({ provider: 'groq' }), /API key is required/);
+    });
+});
+
+describe('StubProvider', () => {
+    it('returns the same valid answer for the same prompt', async () => {
+        const stub = new StubProvider();
+        const messages = [{ role: 'user', content: prompt }];
+        const first = await stub.complete({ messages });
+        const second = await stub.complete({ messages });
+
+        assert.equal(first.content, second.content);
+        const question = { type: 'multiple_choice', options: [{}, {}, {}] };
+        assert.ok(['A', 'B', 'C'].includes(parseStructuredAnswer(first.content, question).choice));
+        assert.equal(stub.calls.length, 2);
+    });
+
+    it('answers keyed and numeric questions in the shape they need', async () => {
+        const stub = new StubProvider();
+        const dropdowns = {
+            type: 'multiple_dropdowns',
+            text: 'The sky is [1] and grass is [2].',
+            options: [],
+            blanks: [
+                { id: 'sky', options: [{ text: 'blue' }, { text: 'green' }] },
+                { id: 'grass', options: [{ text: 'blue' }, { text: 'green' }] }
+            ]
+        };
+        const numerical = { type: 'numerical', text: 'What is 6 times 7?', options: [] };
+
+        for (const question of [dropdowns, numerical]) {
+            const content = [question.text, ...describeQuestion(question), buildFormatInstructions(question)].join('\n');
+            const reply = await stub.complete({ messages: [{ role: 'user', content }] });
+            assert.doesNotThrow(() => parseStructuredAnswer(reply.content, question));
+        }
+    });
+
+    it('reads the text parts of messages with attached images', async () => {
+        const stub = new StubProvider();
+        const withImage = await stub.complete({
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: prompt },
+                    { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+                ]
+            }]
+        });
+        const textOnly = await stub.complete({ messages: [{ role: 'user', content: prompt }] });
+
+        assert.equal(withImage.content, textOnly.content);
+        assert.equal(withImage.usage.prompt_tokens, textOnly.usage.prompt_tokens);
+    });
+
+    it('uses a scripted responder when given one', async () => {
+        const stub = new StubProvider({ responder: () => '{"scripted": true}' });
+        const { content } = await stub.complete({ messages: [{ role: 'user', content: 'hi' }] });
+        assert.equal(content, '{"scripted": true}');
+    });
+});
+
+describe('OpenAICompatibleProvider', () => {
+    let server;
+    let baseUrl;
+    let lastRequest;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                lastRequest = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+                if (lastRequest.body.model === 'missing') {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    return res.end('{"error": "model not found"}');
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    choices: [{ message: { content: ' {"choice": "B"} ' } }],
+                    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+                }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('posts an OpenAI-style chat completion request', async () => {
+        const provider = new OpenAICompatibleProvider({ baseUrl, apiKey: 'local-key' });
+        const result = await provider.complete({
+            messages: [{ role: 'user', content: prompt }],
+            model: 'llama3',
+            temperature: 0.1,
+            maxTokens: 64,
+            json: true
+        });
+
+        assert.equal(result.content, '{"choice": "B"}');
+        assert.equal(result.usage.total_tokens, 15);
+        assert.equal(lastRequest.url, '/v1/chat/completions');
+        assert.equal(lastRequest.headers.authorization, 'Bearer local-key');
+        assert.deepEqual(lastRequest.body.response_format, { type: 'json_object' });
+        assert.equal(lastRequest.body.max_tokens, 64);
+    });
+
+    it('surfaces HTTP errors with their status', async () => {
+        const provider = new OpenAICompatibleProvider({ baseUrl });
+        await assert.rejects(
+            provider.complete({ messages: [], model: 'missing' }),
+            error => error instanceof ProviderError && error.status === 404
+        );
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry, backoffDelay } from '../lib/retry.js';
+import { ProviderError, parseRetryAfter } from '../lib/providers/provider-error.js';
+
+describe('withRetry', () => {
+    it('retries retryable errors with growing, capped delays', async () => {
+        const waits = [];
+        let calls = 0;
+        const result = await withRetry(() => {
+            calls++;
+            if (calls < 4) throw new ProviderError('503 Service Unavailable', { status: 503 });
+            return 'ok';
+        }, { retries: 5, baseDelayMs: 100, maxDelayMs: 300, wait: async ms => waits.push(ms) });
+
+        assert.equal(result, 'ok');
+        assert.equal(waits.length, 3);
+        assert.ok(waits[0] >= 50 && waits[0] <= 100);
+        assert.ok(waits[1] >= 100 && waits[1] <= 200);
+        assert.ok(waits[2] >= 150 && waits[2] <= 300);
+    });
+
+    it('waits at least as long as Retry-After asks', async () => {
+        const waits = [];
+        let calls = 0;
+        await withRetry(() => {
+            if (calls++ === 0) throw new ProviderError('429', { status: 429, retryAfterMs: 2000 });
+            return 'ok';
+        }, { baseDelayMs: 10, maxDelayMs: 5000, wait: async ms => waits.push(ms) });
+
+        assert.deepEqual(waits, [2000]);
+    });
+
+    it('gives up after the last retry and on errors that are not retryable', async () => {
+        let calls = 0;
+        await assert.rejects(withRetry(() => {
+            calls++;
+            throw new ProviderError('429', { status: 429 });
+        }, { retries: 2, wait: async () => {} }), /429/);
+        assert.equal(calls, 3);
+
+        calls = 0;
+        await assert.rejects(withRetry(() => {
+            calls++;
+            throw new ProviderError('400 Bad Request', { status: 400 });
+        }, { wait: async () => {} }), /400/);
+        assert.equal(calls, 1);
+    });
+
+    it('keeps jitter within half a step', () => {
+        assert.equal(backoffDelay(0, { baseDelayMs: 1000, maxDelayMs: 30000 }, () => 0), 500);
+        assert.equal(backoffDelay(3, { baseDelayMs: 1000, maxDelayMs: 30000 }, () => 1), 8000);
+        assert.equal(backoffDelay(10, { baseDelayMs: 1000, maxDelayMs: 30000 }, () => 1), 30000);
+    });
+});
+
+describe('ProviderError', () => {
+    it('marks rate limits and server errors as retryable', () => {
+        assert.equal(new ProviderError('x', { status: 429 }).retryable, true);
+        assert.equal(new ProviderError('x', { status: 502 }).retryable, true);
+        assert.equal(new ProviderError('x', { status: 401 }).retryable, false);
+        assert.equal(new ProviderError('x', { retryable: true }).retryable, true);
+    });
+
+    it('parses Retry-After as seconds or a date', () => {
+        const now = Date.parse('2024-01-01T00:00:00Z');
+        assert.equal(parseRetryAfter('3', now), 3000);
+        assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now), 10000);
+        assert.equal(parseRetryAfter(null, now), undefined);
+        assert.equal(parseRetryAfter('soon', now), undefined);
+    });
+});
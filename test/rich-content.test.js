@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeRichContent, richTextToHtml, htmlToRichText } from '../lib/rich-content.js';
+
+// Just enough DOM for the serializer: elements, text nodes and tag[attr="value"] lookups
+function text(value) {
+    return { nodeType: 3, textContent: value };
+}
+
+function el(tag, attrs = {}, ...children) {
+    const childNodes = children.map(child => (typeof child === 'string' ? text(child) : child));
+    const node = {
+        nodeType: 1,
+        tagName: tag.toUpperCase(),
+        childNodes,
+        getAttribute: name => attrs[name] ?? null,
+        classList: { contains: name => (attrs.class || '').split(' ').includes(name) },
+        get textContent() {
+            return childNodes.map(child => child.textContent).join('');
+        },
+        querySelector(selector) {
+            const [, wanted, attr, value] = selector.match(/^([\w-]+)(?:\[([\w-]+)="([^"]+)"\])?$/);
+            for (const child of childNodes.filter(c => c.nodeType === 1)) {
+                if (child.tagName === wanted.toUpperCase() && (!attr || child.getAttribute(attr) === value)) return child;
+                const nested = child.querySelector(selector);
+                if (nested) return nested;
+            }
+            return null;
+        }
+    };
+    if (attrs.src) node.src = attrs.src;
+    return node;
+}
+
+describe('serializeRichContent', () => {
+    it('keeps LaTeX from equation images, MathJax scripts and MathML annotations', () => {
+        const root = el('div', {},
+            'Solve ',
+            el('img', { class: 'equation_image', 'data-equation-content': '\\frac{x}{2}', alt: 'x over 2' }),
+            ' and ',
+            el('span', { class: 'MathJax' }, 'rendered junk'),
+            el('script', { type: 'math/tex; mode=display' }, 'y^2 = 4'),
+            el('math', {}, el('semantics', {}, el('annotation', { encoding: 'application/x-tex' }, '\\pi r^2'))),
+            el('span', { class: 'hidden-readable' }, 'x over 2')
+        );
+
+        assert.equal(serializeRichContent(root).text, 'Solve \\( \\frac{x}{2} \\) and\n\\[ y^2 = 4 \\]\n\\( \\pi r^2 \\)');
+    });
+
+    it('fences code blocks with their whitespace and language', () => {
+        const root = el('div', {},
+            el('p', {}, 'What does this print?'),
+            el('pre', {}, el('code', { class: 'language-python' }, 'for i in range(2):\n    print(i)\n')),
+            el('p', {}, 'Hint: ', el('code', {}, 'range'), ' starts at 0.')
+        );
+
+        assert.equal(
+            serializeRichContent(root).text,
+            'What does this print?\n\n```python\nfor i in range(2):\n    print(i)\n```\n\nHint: `range` starts at 0.'
+        );
+    });
+
+    it('lists images with alt text and writes sub/superscripts', () => {
+        const root = el('div', {},
+            'Identify the molecule ',
+            el('img', { src: 'https://canvas.example/files/1/preview', alt: 'ball and stick model' }),
+            ' of H', el('sub', {}, '2'), 'O'
+        );
+
+        const { text: result, images } = serializeRichContent(root);
+        assert.equal(result, 'Identify the molecule ![ball and stick model](https://canvas.example/files/1/preview) of H_{2}O');
+        assert.deepEqual(images, [{ src: 'https://canvas.example/files/1/preview', alt: 'ball and stick model' }]);
+    });
+});
+
+describe('richTextToHtml', () => {
+    it('renders code, images and line breaks and escapes everything else', () => {
+        const html = richTextToHtml('Is <b> bold?\n![chart](https://x/chart.png) `a < b`\n```js\nif (a < b) {}\n```');
+        assert.equal(html,
+            'Is &lt;b&gt; bold?<br><img src="https://x/chart.png" alt="chart"> <code>a &lt; b</code><br>' +
+            '<pre><code class="language-js">if (a &lt; b) {}</code></pre>');
+    });
+});
+
+describe('htmlToRichText', () => {
+    it('serializes stored Canvas HTML the way the browser serializer does', () => {
+        const html = '<p>What does this print?</p>\n<pre><code class="language-python">for i in range(2):\n    print(i)\n</code></pre>\n' +
+            '<p>Hint: <code>range</code> starts at 0.</p>';
+
+        assert.equal(htmlToRichText(html), 'What does this print?\n\n```python\nfor i in range(2):\n    print(i)\n```\n\nHint: `range` starts at 0.');
+    });
+
+    it('keeps equations, images and entities intact', () => {
+        const html = '<p>Solve <img class="equation_image" data-equation-content="a &lt; \\frac{x}{2}" alt="a less than x over 2"> for H<sub>2</sub>O &amp; ' +
+            '<img src="https://canvas.example/files/1/preview" alt="model"><script type="math/tex; mode=display">y^2 = 4</script></p>';
+
+        assert.equal(htmlToRichText(html),
+            'Solve \\( a < \\frac{x}{2} \\) for H_{2}O & ![model](https://canvas.example/files/1/preview)\n\\[ y^2 = 4 \\]');
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RunStore, sanitizeConfig } from '../lib/run-store.js';
+import { CheckpointStore, checkpointConfig } from '../lib/checkpoint-store.js';
+import { CanvasQuizBot } from '../server.js';
+
+describe('RunStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-test-'));
+        store = new RunStore({ filePath: path.join(dir, 'runs.jsonl') });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lists runs newest first without their payloads', () => {
+        store.append({ id: 'a', mode: 'study', status: 'completed', config: { canvasUrl: 'https://x' }, questions: [{}, {}], errors: [] });
+        store.append({ id: 'b', mode: 'audit', status: 'failed', config: {}, questions: [], errors: [{ message: 'boom' }] });
+
+        const runs = store.list();
+        assert.deepEqual(runs.map(run => run.id), ['b', 'a']);
+        assert.equal(runs[1].questionCount, 2);
+        assert.equal(runs[0].errorCount, 1);
+        assert.equal(runs[0].questions, undefined);
+    });
+
+    it('returns a full record by ID and skips torn lines', () => {
+        store.append({ id: 'a', questions: [{ text: 'Q1' }] });
+        fs.appendFileSync(store.filePath, '{"id": "torn"');
+
+        assert.equal(store.get('a').questions[0].text, 'Q1');
+        assert.equal(store.get('torn'), null);
+        assert.equal(store.list().length, 1);
+    });
+
+    it('returns nothing before the first run', () => {
+        assert.deepEqual(store.list(), []);
+    });
+
+    it('keeps only the latest record of a resumed run', () => {
+        store.append({ id: 'a', status: 'failed', questions: [] });
+        store.append({ id: 'b', status: 'completed', questions: [] });
+        store.append({ id: 'a', status: 'completed', questions: [] });
+
+        assert.deepEqual(store.list().map(run => [run.id, run.status]), [['a', 'completed'], ['b', 'completed']]);
+        assert.equal(store.get('a').status, 'completed');
+    });
+});
+
+describe('CheckpointStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-test-'));
+        store = new CheckpointStore({ dir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('saves, loads and deletes one checkpoint per session', () => {
+        store.save({ sessionId: 'abc-1', completed: ['q1'] });
+        store.save({ sessionId: 'abc-1', completed: ['q1', 'q2'] });
+
+        assert.deepEqual(store.load('abc-1').completed, ['q1', 'q2']);
+        assert.deepEqual(fs.readdirSync(dir), ['abc-1.json']);
+
+        store.delete('abc-1');
+        assert.equal(store.load('abc-1'), null);
+    });
+
+    it('refuses session IDs that could leave the directory', () => {
+        assert.throws(() => store.save({ sessionId: '../escape' }), /Invalid session ID/);
+        assert.equal(store.load('../../etc/passwd'), null);
+    });
+
+    it('keeps vault references but no secrets in the config', () => {
+        assert.deepEqual(
+            checkpointConfig({ mode: 'quiz', canvasUrl: 'https://x', apiKeyCredentialId: 'key-1', canvasCredentialId: 'canvas-1', password: 'p' }),
+            { mode: 'quiz', canvasUrl: 'https://x', apiKeyCredentialId: 'key-1', canvasCredentialId: 'canvas-1' }
+        );
+    });
+});
+
+describe('run records', () => {
+    it('keep only non-secret config fields', () => {
+        assert.deepEqual(
+            sanitizeConfig({ mode: 'study', canvasUrl: 'https://x', apiKeyCredentialId: 'id', groqApiKey: 'gsk_x', password: 'p' }),
+            { mode: 'study', canvasUrl: 'https://x' }
+        );
+    });
+
+    it('keep ensemble members without their vault key IDs', () => {
+        const ensemble = { samples: 2, members: [{ provider: 'groq', model: 'llama', apiKeyCredentialId: 'key-2' }] };
+        assert.deepEqual(sanitizeConfig({ mode: 'study', ensemble }).ensemble, { samples: 2, members: [{ provider: 'groq', model: 'llama' }] });
+        assert.deepEqual(checkpointConfig({ mode: 'study', ensemble }).ensemble, ensemble);
+    });
+
+    it('capture the bot state, timings and errors', () => {
+        const bot = new CanvasQuizBot({ provider: 'stub', canvasUrl: 'https://x/courses/1/quizzes/1', mode: 'study' }, { password: 'pw-secret' });
+        bot.setStep('extracting');
+        bot.log('Failed with pw-secret', 'error');
+
+        const record = bot.toRunRecord({ success: false });
+        assert.equal(record.id, bot.sessionId);
+        assert.equal(record.timings.steps[0].step, 'extracting');
+        assert.deepEqual(record.errors.map(error => error.message), ['Failed with [REDACTED]']);
+        assert.ok(!JSON.stringify(record).includes('pw-secret'));
+    });
+});
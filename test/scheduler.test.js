@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelScheduler, TokenBudget } from '../lib/scheduler.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A task that finishes when the test says so
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+describe('ModelScheduler', () => {
+    it('never runs more tasks at once than its concurrency', async () => {
+        const scheduler = new ModelScheduler({ concurrency: 2 });
+        const gates = [deferred(), deferred(), deferred()];
+        const started = [];
+
+        const results = gates.map((gate, idx) => scheduler.schedule(async () => {
+            started.push(idx);
+            await gate.promise;
+            return idx;
+        }));
+
+        await tick();
+        assert.deepEqual(started, [0, 1]);
+
+        gates[1].resolve();
+        await tick();
+        assert.deepEqual(started, [0, 1, 2]);
+
+        gates[0].resolve();
+        gates[2].resolve();
+        assert.deepEqual(await Promise.all(results), [0, 1, 2]);
+    });
+
+    it('rejects queued tasks when cancelled and keeps running ones', async () => {
+        const scheduler = new ModelScheduler({ concurrency: 1 });
+        const gate = deferred();
+        const running = scheduler.schedule(() => gate.promise);
+        const queued = scheduler.schedule(async () => 'never');
+
+        scheduler.cancelPending(new Error('ended'));
+        gate.resolve('done');
+
+        assert.equal(await running, 'done');
+        await assert.rejects(queued, /ended/);
+    });
+
+    it('checks a queued task is still wanted when it leaves the queue', async () => {
+        const scheduler = new ModelScheduler({ concurrency: 1 });
+        const gate = deferred();
+        const pause = deferred();
+        let paused = false;
+        let cancelled = false;
+        const ready = async () => {
+            if (paused) await pause.promise;
+            if (cancelled) throw new Error('cancelled');
+        };
+        const started = [];
+        const task = idx => async () => {
+            started.push(idx);
+            if (idx === 0) await gate.promise;
+            return idx;
+        };
+
+        const first = scheduler.schedule(task(0), { ready });
+        const second = scheduler.schedule(task(1), { ready });
+        const third = scheduler.schedule(task(2), { ready });
+        await tick();
+
+        // Paused after all three were queued: the running one finishes, the next holds
+        paused = true;
+        gate.resolve();
+        assert.equal(await first, 0);
+        await tick();
+        assert.deepEqual(started, [0]);
+
+        // Cancelled while holding: nothing else runs
+        cancelled = true;
+        pause.resolve();
+        await assert.rejects(second, /cancelled/);
+        await assert.rejects(third, /cancelled/);
+        assert.deepEqual(started, [0]);
+    });
+});
+
+describe('TokenBudget', () => {
+    it('holds a reservation until the window has room, then settles real usage', async () => {
+        let now = 0;
+        const waits = [];
+        const budget = new TokenBudget({
+            tokensPerMinute: 1000,
+            now: () => now,
+            wait: async ms => { waits.push(ms); now += ms; }
+        });
+
+        const first = await budget.reserve(800);
+        budget.settle(first, 600);
+        await budget.reserve(400);
+        assert.equal(budget.used(), 1000);
+        assert.deepEqual(waits, []);
+
+        now = 30000;
+        await budget.reserve(500);
+        assert.deepEqual(waits, [30000]);
+        assert.equal(budget.used(), 500);
+    });
+
+    it('lets a call larger than the budget through on an empty window', async () => {
+        const budget = new TokenBudget({ tokensPerMinute: 100, wait: async () => assert.fail('should not wait') });
+        await budget.reserve(5000);
+        assert.equal(budget.used(), 5000);
+    });
+
+    it('throttles scheduled calls by their token estimate', async () => {
+        let now = 0;
+        const budget = new TokenBudget({ tokensPerMinute: 100, now: () => now, wait: async ms => { now += ms; } });
+        const scheduler = new ModelScheduler({ concurrency: 1, budget });
+        const startedAt = [];
+
+        await Promise.all([0, 1, 2].map(() => scheduler.schedule(async () => {
+            startedAt.push(now);
+            return { usage: { total_tokens: 60 } };
+        }, { tokens: 60 })));
+
+        assert.deepEqual(startedAt, [0, 60000, 120000]);
+    });
+});
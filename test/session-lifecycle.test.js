@@ -0,0 +1,576 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CanvasQuizBot } from '../server.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StubProvider, ProviderError } from '../lib/providers/index.js';
+import { CheckpointStore } from '../lib/checkpoint-store.js';
+import { AnswerCache } from '../lib/answer-cache.js';
+import { CourseNotesStore } from '../lib/course-notes.js';
+import { ArtifactStore } from '../lib/artifact-store.js';
+import { startMockCanvasApiServer, MOCK_API_TOKEN } from './fixtures/mock-canvas-api-server.js';
+
+const createBot = () => {
+    const bot = new CanvasQuizBot({ provider: 'stub', canvasUrl: 'https://canvas.example.edu/courses/1/quizzes/1', mode: 'study' });
+    bot.state = 'running';
+    return bot;
+};
+
+describe('session lifecycle signals', () => {
+    it('holds at the next checkpoint while paused and continues on resume', async () => {
+        const bot = createBot();
+        assert.equal(bot.pause(), true);
+
+        let passed = false;
+        const waiting = bot.checkSignals().then(() => { passed = true; });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(passed, false);
+
+        assert.equal(bot.resume(), true);
+        await waiting;
+        assert.equal(passed, true);
+        assert.equal(bot.state, 'running');
+    });
+
+    it('aborts a paused session when it is cancelled', async () => {
+        const bot = createBot();
+        bot.pause();
+        const waiting = bot.checkSignals();
+
+        assert.equal(await bot.cancel(), true);
+        await assert.rejects(waiting, { name: 'SessionCancelledError' });
+    });
+
+    it('rejects transitions that do not apply to the current state', async () => {
+        const bot = createBot();
+        assert.equal(bot.resume(), false);
+        bot.state = 'completed';
+        assert.equal(bot.pause(), false);
+        assert.equal(await bot.cancel(), false);
+    });
+
+    it('summarizes state without exposing configuration', () => {
+        const bot = createBot();
+        bot.currentStep = 'processing';
+        bot.questionIndex = 2;
+        bot.totalQuestions = 5;
+
+        const summary = bot.getSummary();
+        assert.equal(summary.state, 'running');
+        assert.equal(summary.currentStep, 'processing');
+        assert.equal(summary.questionIndex, 2);
+        assert.ok(summary.elapsedMs >= 0);
+        assert.equal(summary.config, undefined);
+    });
+});
+
+describe('secret handling', () => {
+    it('keeps secrets off the config and redacts them from log messages', () => {
+        const bot = new CanvasQuizBot(
+            { provider: 'stub', canvasUrl: 'https://canvas.example.edu/courses/1/quizzes/1' },
+            { username: 'student', password: 'hunter2-long' }
+        );
+
+        assert.equal(bot.config.password, undefined);
+        assert.equal(bot.redact('Typed hunter2-long into #password'), 'Typed [REDACTED] into #password');
+    });
+});
+
+describe('malformed model replies', () => {
+    const question = {
+        id: 'question_1',
+        type: 'multiple_choice',
+        text: 'Which planet is closest to the Sun?',
+        options: [{ text: 'Venus' }, { text: 'Mercury' }, { text: 'Mars' }]
+    };
+    const valid = JSON.stringify({ choice: 'B', explanation: 'Closest orbit.', confidence: 0.9, keyConcepts: [] });
+
+    it('asks again with the validation error and uses the corrected reply', async () => {
+        const bot = createBot();
+        const replies = ['The answer is C', valid];
+        bot.provider = new StubProvider({ responder: () => replies.shift() });
+
+        const suggestion = await bot.analyzeQuestionWithAI(question);
+        assert.equal(suggestion.choice, 'B');
+        assert.equal(bot.provider.calls.length, 2);
+        assert.match(bot.provider.calls[1].messages[1].content, /could not be used: Response does not contain a JSON object/);
+    });
+
+    it('records the question as unparseable once the retries run out', async () => {
+        const bot = createBot();
+        bot.provider = new StubProvider({ responder: () => 'The answer is C' });
+
+        const error = await bot.studyQuestion(question, 0, 1).catch(e => e);
+        assert.equal(error.name, 'AnswerFormatError');
+        assert.equal(bot.provider.calls.length, 3);
+
+        bot.recordFailedQuestion(question, 0, 1, error);
+        const result = bot.buildResult('study');
+        assert.equal(result.questionsReviewed, 0);
+        assert.equal(result.unparseableCount, 1);
+        assert.equal(result.studySheet[0].status, 'unparseable');
+        assert.equal(result.studySheet[0].raw, 'The answer is C');
+    });
+});
+
+describe('fault tolerance and resume', () => {
+    const questions = ['Mercury', 'Venus', 'Earth'].map((name, idx) => ({
+        id: `question_${idx + 1}`,
+        type: 'multiple_choice',
+        text: `Which planet is number ${idx + 1} from the Sun?`,
+        options: [{ text: 'Mercury' }, { text: 'Venus' }, { text: 'Earth' }]
+    }));
+    const reply = choice => JSON.stringify({ choice, explanation: 'Order from the Sun.', confidence: 0.9, keyConcepts: [] });
+    const config = { provider: 'stub', canvasUrl: 'https://canvas.example.edu/courses/1/quizzes/1', mode: 'study' };
+
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-test-'));
+        store = new CheckpointStore({ dir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // A study session that crashed after its first question, as the checkpoint store would hold it
+    const crashedCheckpoint = () => {
+        const first = createBot();
+        first.questions = questions;
+        first.completed.add('question_1');
+        first.answers.push({ questionId: 'question_1', status: 'suggested', choice: 'A' });
+        first.answers.push({ questionId: 'question_2', status: 'failed', error: 'Page crashed' });
+        return first.toCheckpoint();
+    };
+
+    it('retries rate-limited completions with backoff', async () => {
+        const bot = createBot();
+        bot.retry = { retries: 3, baseDelayMs: 1, maxDelayMs: 5 };
+        let calls = 0;
+        bot.provider = new StubProvider({
+            responder: () => {
+                calls++;
+                if (calls < 3) throw new ProviderError('429 Too Many Requests', { provider: 'stub', status: 429 });
+                return reply('B');
+            }
+        });
+
+        const suggestion = await bot.analyzeQuestionWithAI(questions[1]);
+        assert.equal(suggestion.choice, 'B');
+        assert.equal(calls, 3);
+    });
+
+    it('does not retry errors that will not go away', async () => {
+        const bot = createBot();
+        bot.retry = { retries: 3, baseDelayMs: 1, maxDelayMs: 5 };
+        let calls = 0;
+        bot.provider = new StubProvider({
+            responder: () => {
+                calls++;
+                throw new ProviderError('401 Unauthorized', { provider: 'stub', status: 401 });
+            }
+        });
+
+        await assert.rejects(bot.analyzeQuestionWithAI(questions[0]), { status: 401 });
+        assert.equal(calls, 1);
+    });
+
+    it('resumes from the checkpoint without re-asking finished questions', async () => {
+        const bot = new CanvasQuizBot(config, {}, { checkpoint: crashedCheckpoint(), checkpoints: store });
+        const asked = [];
+        bot.provider = new StubProvider({
+            responder: messages => {
+                asked.push(messages[1].content.match(/number (\d)/)[1]);
+                return reply('C');
+            }
+        });
+        store.save(bot.toCheckpoint());
+
+        const result = await bot.run();
+
+        assert.deepEqual(asked, ['2', '3']);
+        assert.equal(result.questionsReviewed, 3);
+        assert.deepEqual(result.studySheet.map(item => item.questionId), ['question_1', 'question_2', 'question_3']);
+        assert.equal(result.studySheet[0].choice, 'A');
+        assert.equal(bot.resumeCount, 1);
+        assert.equal(store.load(bot.sessionId), null);
+    });
+
+    it('records a failing question and carries on with the rest', async () => {
+        const bot = new CanvasQuizBot(config, {}, { checkpoint: crashedCheckpoint(), checkpoints: store });
+        bot.retry = { retries: 0, baseDelayMs: 1, maxDelayMs: 1 };
+        bot.provider = new StubProvider({
+            responder: messages => {
+                if (messages[1].content.includes('number 2')) throw new Error('Model crashed');
+                return reply('C');
+            }
+        });
+
+        const result = await bot.run();
+
+        assert.equal(result.questionsReviewed, 2);
+        assert.equal(result.failedCount, 1);
+        assert.equal(result.studySheet[1].status, 'failed');
+        assert.equal(result.studySheet[1].error, 'Model crashed');
+        assert.equal(bot.state, 'completed');
+    });
+
+    it('keeps the checkpoint when the run fails so it can be resumed', async () => {
+        const bot = new CanvasQuizBot(config, {}, { checkpoint: crashedCheckpoint(), checkpoints: store });
+        bot.provider = new StubProvider({
+            responder: () => { throw new ProviderError('403 Forbidden', { provider: 'stub', status: 403 }); }
+        });
+
+        await assert.rejects(bot.run(), /403/);
+        const checkpoint = store.load(bot.sessionId);
+        assert.deepEqual(checkpoint.completed, ['question_1']);
+        assert.equal(checkpoint.questions.length, 3);
+        assert.equal(checkpoint.config.canvasUrl, config.canvasUrl);
+    });
+});
+
+describe('concurrent model calls', () => {
+    const questions = [1, 2, 3, 4].map(number => ({
+        id: `question_${number}`,
+        type: 'short_answer',
+        text: `Question number ${number}?`,
+        options: []
+    }));
+
+    // Study sessions restored with nothing done yet run without a browser
+    const checkpoint = {
+        sessionId: 'concurrency-test',
+        startedAt: new Date().toISOString(),
+        config: { provider: 'stub', mode: 'study', canvasUrl: 'https://canvas.example.edu/courses/1/quizzes/1' },
+        questions,
+        completed: []
+    };
+
+    it('runs calls in parallel but records results in question order with their token usage', async () => {
+        const bot = new CanvasQuizBot({ ...checkpoint.config, concurrency: 3 }, {}, { checkpoint });
+        let inFlight = 0;
+        let maxInFlight = 0;
+        bot.provider = new StubProvider({
+            responder: async messages => {
+                const number = Number(messages[1].content.match(/number (\d)/)[1]);
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                // Later questions answer first
+                await new Promise(resolve => setTimeout(resolve, (5 - number) * 5));
+                inFlight--;
+                return JSON.stringify({ choice: `answer ${number}`, explanation: 'x', confidence: 1, keyConcepts: [] });
+            }
+        });
+
+        const result = await bot.run();
+
+        assert.equal(maxInFlight, 3);
+        assert.deepEqual(result.studySheet.map(item => item.choice), ['answer 1', 'answer 2', 'answer 3', 'answer 4']);
+        assert.equal(bot.getSummary().usage.calls, 4);
+        assert.ok(bot.getSummary().usage.totalTokens > 0);
+        assert.equal(bot.getSummary().usage.totalTokens, bot.usage.promptTokens + bot.usage.completionTokens);
+    });
+
+    it('holds queued calls while paused and drops them on cancel', async () => {
+        const bot = new CanvasQuizBot({ ...checkpoint.config, concurrency: 1 }, {}, { checkpoint: { ...checkpoint, sessionId: 'pause-queued-test' } });
+        let calls = 0;
+        bot.provider = new StubProvider({
+            responder: async () => {
+                calls++;
+                // Every question's call is queued by now; pausing must keep the rest from starting
+                if (calls === 1) bot.pause();
+                return JSON.stringify({ choice: 'x', explanation: 'x', confidence: 1, keyConcepts: [] });
+            }
+        });
+
+        const running = bot.run();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(bot.state, 'paused');
+        assert.equal(calls, 1);
+
+        await bot.cancel();
+        await assert.rejects(running, { name: 'SessionCancelledError' });
+        assert.equal(calls, 1);
+        assert.deepEqual(bot.errors, []);
+    });
+
+    it('reports only the real error when a run fails with calls still queued', async () => {
+        const bot = new CanvasQuizBot({ ...checkpoint.config, concurrency: 1 }, {}, { checkpoint: { ...checkpoint, sessionId: 'fail-queued-test' } });
+        let calls = 0;
+        bot.provider = new StubProvider({
+            responder: () => {
+                // The first call ends the run; the one already dequeued by then still completes
+                if (++calls === 1) throw new ProviderError('401 Unauthorized', { provider: 'stub', status: 401 });
+                return JSON.stringify({ choice: 'x', explanation: 'x', confidence: 1, keyConcepts: [] });
+            }
+        });
+
+        await assert.rejects(bot.run(), /401/);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepEqual(bot.errors.map(error => error.event), ['model.failed', 'session.failed']);
+    });
+});
+
+describe('answer cache', () => {
+    const question = {
+        id: 'question_1',
+        type: 'multiple_choice',
+        text: 'Which planet is closest to the Sun?',
+        options: [{ text: 'Venus' }, { text: 'Mercury' }, { text: 'Mars' }]
+    };
+    const config = { provider: 'stub', canvasUrl: 'https://canvas.example.edu/courses/1/quizzes/1', mode: 'study' };
+
+    let dir;
+    let cache;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'answer-cache-session-'));
+        cache = new AnswerCache({ filePath: path.join(dir, 'cache.json') });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('answers a question seen before without calling the model', async () => {
+        const first = new CanvasQuizBot(config, {}, { cache });
+        first.provider = new StubProvider({
+            responder: () => JSON.stringify({ choice: 'B', explanation: 'Closest orbit.', confidence: 0.9, keyConcepts: [] })
+        });
+        await first.studyQuestion(question, 0, 1);
+        assert.equal(first.provider.calls.length, 1);
+        assert.deepEqual(first.getSummary().cache, { hits: 0, misses: 1 });
+
+        const second = new CanvasQuizBot(config, {}, { cache });
+        second.provider = new StubProvider({ responder: () => { throw new Error('should not be called'); } });
+        const shuffled = { ...question, options: [{ text: 'Mars' }, { text: 'Mercury' }, { text: 'Venus' }] };
+        const item = await second.studyQuestion(shuffled, 0, 1);
+
+        assert.equal(second.provider.calls.length, 0);
+        assert.equal(item.choice, 'B');
+        assert.equal(item.cached, true);
+        assert.deepEqual(second.toRunRecord().cacheStats, { hits: 1, misses: 0 });
+    });
+
+    it('skips the cache when the session opts out', async () => {
+        cache.set(question, { choice: 'A', explanation: 'x', confidence: 1, keyConcepts: [] });
+        const bot = new CanvasQuizBot({ ...config, useCache: false }, {}, { cache });
+        bot.provider = new StubProvider({
+            responder: () => JSON.stringify({ choice: 'B', explanation: 'Closest orbit.', confidence: 0.9, keyConcepts: [] })
+        });
+
+        const suggestion = await bot.analyzeQuestionWithAI(question);
+        assert.equal(suggestion.choice, 'B');
+        assert.equal(bot.provider.calls.length, 1);
+    });
+});
+
+describe('course notes grounding', () => {
+    let dir;
+    let notes;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'course-notes-session-'));
+        notes = new CourseNotesStore({ dir });
+        notes.add('42', { name: 'Week 3 notes', text: 'Mitochondria produce most of the ATP in a cell.\n\nThe French Revolution began in 1789.' });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('puts matching course passages in the prompt and cites the ones used', async () => {
+        const bot = new CanvasQuizBot({ provider: 'stub', canvasUrl: 'https://canvas.example.edu/courses/42/quizzes/1', mode: 'study' }, {}, { notes });
+        bot.provider = new StubProvider({
+            responder: () => JSON.stringify({ choice: 'A', explanation: 'Per the notes.', confidence: 0.8, keyConcepts: [], sources: [1] })
+        });
+
+        const item = await bot.studyQuestion({
+            id: 'question_1',
+            type: 'multiple_choice',
+            text: 'Which organelle produces ATP?',
+            options: [{ text: 'Mitochondria' }, { text: 'Nucleus' }]
+        }, 0, 1);
+
+        const prompt = bot.provider.calls[0].messages[1].content;
+        assert.match(prompt, /\[1\] Week 3 notes \(notes\): Mitochondria produce/);
+        assert.match(prompt, /"sources"/);
+        assert.equal(item.sources.length, 1);
+        assert.equal(item.sources[0].name, 'Week 3 notes');
+        assert.match(item.sources[0].excerpt, /^Mitochondria/);
+    });
+
+    it('sends the bare question when the course has no matching notes', async () => {
+        const bot = new CanvasQuizBot({ provider: 'stub', canvasUrl: 'https://canvas.example.edu/courses/7/quizzes/1', mode: 'study' }, {}, { notes });
+        const item = await bot.studyQuestion({ id: 'question_1', type: 'short_answer', text: 'Which organelle produces ATP?', options: [] }, 0, 1);
+
+        assert.doesNotMatch(bot.provider.calls[0].messages[1].content, /Course material/);
+        assert.equal(item.sources, undefined);
+    });
+
+    it('does not serve an ungrounded cached answer to a grounded session', async () => {
+        const question = { id: 'question_1', type: 'short_answer', text: 'Which organelle produces ATP?', options: [] };
+        const cache = new AnswerCache({ filePath: path.join(dir, 'cache.json') });
+        cache.set(question, { choice: 'Ribosome', explanation: 'x', confidence: 1, keyConcepts: [] });
+
+        const grounded = () => {
+            const bot = new CanvasQuizBot({ provider: 'stub', canvasUrl: 'https://canvas.example.edu/courses/42/quizzes/1', mode: 'study' }, {}, { notes, cache });
+            bot.provider = new StubProvider({
+                responder: () => JSON.stringify({ choice: 'Mitochondria', explanation: 'Per the notes.', confidence: 0.8, keyConcepts: [], sources: [1] })
+            });
+            return bot;
+        };
+
+        const first = grounded();
+        assert.equal((await first.analyzeQuestionWithAI(question)).choice, 'Mitochondria');
+        assert.equal(first.provider.calls.length, 1);
+
+        const second = grounded();
+        const cached = await second.analyzeQuestionWithAI(question);
+        assert.equal(second.provider.calls.length, 0);
+        assert.equal(cached.sources[0].name, 'Week 3 notes');
+    });
+});
+
+describe('consensus voting', () => {
+    const question = {
+        id: 'question_1',
+        type: 'multiple_choice',
+        text: 'Which planet is closest to the Sun?',
+        options: [{ text: 'Venus' }, { text: 'Mercury' }, { text: 'Mars' }]
+    };
+    const reply = choice => JSON.stringify({ choice, explanation: `Picked ${choice}.`, confidence: 0.9, keyConcepts: [] });
+
+    it('asks every sample and member, and flags a split vote for review', async () => {
+        const bot = new CanvasQuizBot({
+            provider: 'stub',
+            canvasUrl: 'https://canvas.example.edu/courses/1/quizzes/1',
+            mode: 'study',
+            ensemble: { samples: 2, members: [{ provider: 'stub', model: 'other' }] }
+        });
+        bot.provider = new StubProvider({ responder: () => reply('B') });
+        bot.ensembleMembers[0].provider = new StubProvider({ responder: () => reply('C') });
+
+        const item = await bot.studyQuestion(question, 0, 1);
+
+        assert.equal(bot.provider.calls.length, 2);
+        assert.equal(bot.ensembleMembers[0].provider.calls[0].model, 'other');
+        assert.equal(item.choice, 'B');
+        assert.equal(item.confidence, 2 / 3);
+        assert.equal(item.consensus.flagged, true);
+        assert.deepEqual(item.consensus.votes.map(vote => vote.voters), [['stub #1', 'stub #2'], ['stub:other']]);
+        assert.equal(bot.buildResult('study').reviewCount, 1);
+        assert.equal(bot.usage.calls, 3);
+    });
+
+    it('carries on with the votes it has when a member fails', async () => {
+        const bot = new CanvasQuizBot({
+            provider: 'stub',
+            canvasUrl: 'https://canvas.example.edu/courses/1/quizzes/1',
+            mode: 'study',
+            ensemble: { samples: 1, members: [{ provider: 'stub', model: 'broken' }] }
+        });
+        bot.retry = { retries: 0, baseDelayMs: 1, maxDelayMs: 1 };
+        bot.provider = new StubProvider({ responder: () => reply('B') });
+        bot.ensembleMembers[0].provider = new StubProvider({ responder: () => { throw new ProviderError('401 Unauthorized', { status: 401 }); } });
+
+        const suggestion = await bot.analyzeQuestionWithAI(question);
+        assert.equal(suggestion.choice, 'B');
+        assert.equal(suggestion.confidence, 0.5);
+        assert.equal(suggestion.consensus.flagged, true);
+    });
+});
+
+describe('session artifacts', () => {
+    const config = { provider: 'stub', canvasUrl: 'https://canvas.example.edu/courses/1/quizzes/1', mode: 'study' };
+
+    let root;
+    let store;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-session-'));
+        store = new ArtifactStore({ root });
+    });
+
+    afterEach(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('writes the redacted, structured session log to its own folder', () => {
+        const bot = new CanvasQuizBot(config, { password: 'hunter2-long' }, { artifacts: store });
+        bot.currentStep = 'logging_in';
+        bot.log('Typed hunter2-long into #password', 'info', 'login.step');
+        bot.log('Landed on https://canvas.example.edu/?ticket=ST-123abc', 'debug', 'login.landed');
+
+        const text = store.readLog(bot.sessionId);
+        assert.ok(!text.includes('hunter2-long'));
+        assert.ok(!text.includes('ST-123abc'));
+
+        const [typed, landed] = text.trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(typed.event, 'login.step');
+        assert.equal(typed.step, 'logging_in');
+        assert.equal(typed.sessionId, bot.sessionId);
+        assert.equal(typed.message, 'Typed [REDACTED] into #password');
+        assert.equal(landed.level, 'debug');
+    });
+
+    it('saves a screenshot and the HTML of the page a session failed on', async () => {
+        const bot = new CanvasQuizBot(config, {}, { artifacts: store });
+        bot.currentStep = 'navigating';
+        bot.page = {
+            isClosed: () => false,
+            screenshot: async ({ path: filePath }) => fs.writeFileSync(filePath, 'png-bytes'),
+            content: async () => '<html><body>Page not found</body></html>'
+        };
+
+        await bot.captureFailure(new Error('Quiz page did not load'));
+
+        const { failure, artifacts } = store.manifest(bot.sessionId);
+        assert.equal(failure.step, 'navigating');
+        assert.equal(failure.error, 'Quiz page did not load');
+        assert.deepEqual(artifacts.filter(entry => entry.kind !== 'log').map(entry => entry.file), [failure.screenshot, failure.html]);
+        assert.deepEqual(bot.screenshots, [path.join(root, bot.sessionId, failure.screenshot)]);
+    });
+
+    it('takes no screenshots without an artifact store', async () => {
+        const bot = new CanvasQuizBot(config);
+        bot.page = { screenshot: async () => assert.fail('screenshot taken') };
+        assert.equal(await bot.takeScreenshot('login-page'), null);
+    });
+});
+
+describe('questions from the Canvas API', () => {
+    let api;
+
+    before(async () => {
+        api = await startMockCanvasApiServer();
+    });
+
+    after(async () => {
+        await api.close();
+    });
+
+    it('audits a quiz fetched with an instructor token without opening a browser', async () => {
+        const bot = new CanvasQuizBot({ provider: 'stub', canvasUrl: api.quizUrl, mode: 'audit', questionSource: 'api' }, { token: MOCK_API_TOKEN });
+        bot.initialize = async () => assert.fail('browser launched');
+        bot.provider = new StubProvider({ responder: () => JSON.stringify({ issues: [], summary: 'Clear.', suggestedRevision: '' }) });
+
+        const result = await bot.run();
+
+        assert.equal(result.questionsAudited, 12);
+        assert.equal(result.report[0].question, 'Which planet is closest to the Sun?');
+        assert.equal(bot.toRunRecord(result).config.questionSource, 'api');
+        assert.equal(bot.redact(`token ${MOCK_API_TOKEN}`), 'token [REDACTED]');
+    });
+
+    it('fails the run when Canvas rejects the token', async () => {
+        const bot = new CanvasQuizBot({ provider: 'stub', canvasUrl: api.quizUrl, mode: 'audit', questionSource: 'api' }, { token: 'expired' });
+
+        await assert.rejects(bot.run(), /Canvas rejected the access token/);
+        assert.equal(bot.state, 'failed');
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parse, validate, ValidationError } from '../lib/schema.js';
+import { parseStartRequest } from '../lib/start-request.js';
+import { HostPolicy, HostPolicyError, isInternalAddress, hostMatches } from '../lib/host-policy.js';
+
+const fieldErrors = fn => {
+    try {
+        fn();
+    } catch (error) {
+        assert.ok(error instanceof ValidationError, error.message);
+        return error.errors.map(({ field, code }) => `${field}:${code}`);
+    }
+    assert.fail('expected a ValidationError');
+};
+
+describe('schema', () => {
+    const schema = {
+        name: { type: 'string', required: true, maxLength: 5 },
+        count: { type: 'integer', min: 1, default: 1 },
+        tags: { type: 'array', items: { type: 'enum', values: ['a', 'b'] } },
+        nested: { type: 'object', fields: { url: { type: 'url' } } }
+    };
+
+    it('fills defaults, trims strings and treats empty strings as missing', () => {
+        assert.deepEqual(parse(schema, { name: ' ok ', count: '' }), { name: 'ok', count: 1 });
+    });
+
+    it('reports every problem with a dotted field path', () => {
+        const { errors } = validate(schema, { count: 1.5, tags: ['a', 'c'], nested: { url: 'file:///etc/passwd' } });
+        assert.deepEqual(errors.map(({ field, code }) => `${field}:${code}`), [
+            'name:required', 'count:type', 'tags[1]:enum', 'nested.url:protocol'
+        ]);
+    });
+
+    it('rejects bodies that are not objects', () => {
+        assert.deepEqual(fieldErrors(() => parse(schema, [])), ['(body):type']);
+    });
+});
+
+describe('parseStartRequest', () => {
+    const base = { provider: 'stub', canvasUrl: 'https://canvas.example.edu/courses/1/quizzes/2' };
+
+    it('returns a typed config with the defaults filled in', () => {
+        const config = parseStartRequest(base, { env: { MODEL_TOKENS_PER_MINUTE: '6000' } });
+
+        assert.equal(config.mode, 'quiz');
+        assert.equal(config.headless, true);
+        assert.equal(config.delayMin, 2);
+        assert.equal(config.tokensPerMinute, 6000);
+        assert.equal(config.ensemble, null);
+        assert.equal(config.loginStrategy, 'auto');
+    });
+
+    it('range-checks delays and keeps delayMin below delayMax', () => {
+        assert.deepEqual(fieldErrors(() => parseStartRequest({ ...base, delayMin: -1, delayMax: 'soon' })), ['delayMin:min', 'delayMax:type']);
+        assert.deepEqual(fieldErrors(() => parseStartRequest({ ...base, delayMin: 9, delayMax: 3 })), ['delayMax:range']);
+    });
+
+    it('only accepts http and https Canvas URLs', () => {
+        assert.deepEqual(fieldErrors(() => parseStartRequest({ ...base, canvasUrl: 'file:///etc/passwd' })), ['canvasUrl:protocol']);
+        assert.deepEqual(fieldErrors(() => parseStartRequest({ provider: 'stub' })), ['canvasUrl:required']);
+    });
+
+    it('refuses URLs that are not a quiz unless the engine is set explicitly', () => {
+        const courseUrl = 'https://canvas.example.edu/courses/1';
+        assert.deepEqual(fieldErrors(() => parseStartRequest({ ...base, canvasUrl: courseUrl })), ['canvasUrl:quiz_url']);
+        assert.equal(parseStartRequest({ ...base, canvasUrl: courseUrl, quizEngine: 'classic' }).canvasUrl, courseUrl);
+        assert.equal(parseStartRequest({ ...base, canvasUrl: 'https://canvas.example.edu/courses/1/assignments/7' }).quizEngine, 'auto');
+    });
+
+    it('only accepts login profile names a profile could be saved under', () => {
+        assert.equal(parseStartRequest({ ...base, loginProfile: 'state-u' }).loginProfile, 'state-u');
+        assert.deepEqual(fieldErrors(() => parseStartRequest({ ...base, loginProfile: '../state u' })), ['loginProfile:pattern']);
+    });
+
+    it('applies the rules that span fields', () => {
+        assert.deepEqual(fieldErrors(() => parseStartRequest({ ...base, provider: 'groq' })), ['apiKeyCredentialId:required']);
+        assert.deepEqual(fieldErrors(() => parseStartRequest({ ...base, manualMfa: true })), ['manualMfa:conflict']);
+        assert.deepEqual(
+            fieldErrors(() => parseStartRequest({ ...base, ensemble: { samples: 6, members: [{ provider: 'openai' }, { provider: 'stub' }] } })),
+            ['ensemble.members[0].model:required', 'ensemble:max']
+        );
+    });
+
+    it('only sources questions from the Canvas API for study and audit runs on classic quizzes', () => {
+        const api = { ...base, questionSource: 'api', canvasTokenCredentialId: 'cred_1' };
+
+        assert.equal(parseStartRequest({ ...api, mode: 'audit' }).questionSource, 'api');
+        assert.deepEqual(fieldErrors(() => parseStartRequest(api)), ['questionSource:conflict']);
+        assert.deepEqual(
+            fieldErrors(() => parseStartRequest({ ...base, questionSource: 'api', mode: 'audit', canvasUrl: 'https://canvas.example.edu/courses/1/assignments/2' })),
+            ['canvasTokenCredentialId:required', 'canvasUrl:quiz_url']
+        );
+    });
+});
+
+describe('HostPolicy', () => {
+    const lookup = addresses => async () => addresses.map(address => ({ address }));
+
+    it('recognizes internal addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1']) {
+            assert.equal(isInternalAddress(address), true, address);
+        }
+        for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700::1111']) {
+            assert.equal(isInternalAddress(address), false, address);
+        }
+    });
+
+    it('matches wildcard hosts on subdomains only', () => {
+        assert.equal(hostMatches('school.instructure.com', '*.instructure.com'), true);
+        assert.equal(hostMatches('instructure.com', '*.instructure.com'), false);
+        assert.equal(hostMatches('evilinstructure.com', '*.instructure.com'), false);
+    });
+
+    it('refuses internal hosts and non-web schemes without an allow-list', () => {
+        const policy = new HostPolicy();
+        assert.equal(policy.check('https://canvas.example.edu/courses/1'), 'canvas.example.edu');
+
+        for (const url of ['http://localhost:3000/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:10.0.0.1]/', 'http://intranet/', 'http://printer.local/']) {
+            assert.throws(() => policy.check(url), err => err instanceof HostPolicyError && err.code === 'internal_address', url);
+        }
+        assert.throws(() => policy.check('file:///etc/passwd'), { code: 'protocol' });
+    });
+
+    it('only allows listed hosts once an allow-list is set, with login hosts for sign-in pages', () => {
+        const policy = new HostPolicy({ canvasHosts: ['*.instructure.com'], loginHosts: ['login.microsoftonline.com'] });
+
+        assert.equal(policy.check('https://school.instructure.com/courses/1'), 'school.instructure.com');
+        assert.throws(() => policy.check('https://canvas.other.edu/'), /not an allowed Canvas host/);
+        assert.throws(() => policy.check('https://login.microsoftonline.com/', { kind: 'canvas' }), /not an allowed Canvas host/);
+        assert.equal(policy.allowsNavigation('https://login.microsoftonline.com/common/oauth2'), true);
+        assert.equal(policy.allowsNavigation('http://10.0.0.5/admin'), false);
+        assert.equal(policy.allowsNavigation('data:text/html,hi'), false);
+    });
+
+    it('lets the New Quizzes frame of a vanity-domain Canvas load, but only as a subframe', () => {
+        const policy = new HostPolicy({ canvasHosts: ['canvas.state.edu'] });
+        const frameUrl = 'https://state.quiz-lti-iad-prod.instructure.com/lti/launch';
+
+        assert.equal(policy.allowsNavigation(frameUrl, { subframe: true }), true);
+        assert.equal(policy.allowsNavigation(frameUrl), false);
+        assert.equal(policy.allowsNavigation('http://state.quiz-lti-iad-prod.instructure.com/', { subframe: true }), false);
+        assert.equal(policy.allowsNavigation('https://evil.example.com/quiz-lti-x.instructure.com', { subframe: true }), false);
+        assert.equal(policy.allowsNavigation('https://school.instructure.com/', { subframe: true }), false);
+    });
+
+    it('lets an explicitly listed internal Canvas through', () => {
+        const policy = new HostPolicy({ canvasHosts: ['canvas.campus.local'] });
+        assert.equal(policy.check('http://canvas.campus.local/courses/1'), 'canvas.campus.local');
+    });
+
+    it('refuses public names that resolve to internal addresses', async () => {
+        await new HostPolicy({ lookup: lookup(['93.184.216.34']) }).assertAllowed('https://canvas.example.edu/');
+        await assert.rejects(
+            new HostPolicy({ lookup: lookup(['10.0.0.8']) }).assertAllowed('https://canvas.example.edu/', { field: 'canvasUrl' }),
+            { code: 'internal_address', field: 'canvasUrl' }
+        );
+        await assert.rejects(
+            new HostPolicy({ lookup: async () => { throw new Error('ENOTFOUND'); } }).assertAllowed('https://nowhere.example.edu/'),
+            { code: 'unresolvable' }
+        );
+    });
+});